@@ -0,0 +1,311 @@
+// -----------------------------
+// geodesic.js：Schwarzschild / Kerr 零测地线积分（JS 版，供 l.html 自检与无头校验）
+// 坐标：Kerr-Schild 笛卡尔坐标 (X, Y, Z)，自旋轴 +Z，单位 G = c = M = 1，a 为无量纲自旋（0 即 Schwarzschild）。
+// 哈密顿量：H = ½(|p|² − E² − f k²)，k = E + L·p，f = 2r³/(r⁴ + a²Z²)，
+//          L = ((rX + aY)/(r² + a²), (rY − aX)/(r² + a²), Z/r)；光子 E = 1、H = 0。
+// 积分器：Dormand–Prince 5(4) 自适应步长（FSAL）。l.html 的“精确模式”片元着色器是同一套方程与步长控制。
+// l.html 场景坐标 (x, y, z)（盘面 y = 0）对应 (X, Y, Z) = (x, z, −y)，此时盘的转向与 a > 0 同向。
+// 无头运行：node -e "import('./geodesic.js').then(g => console.table(g.runChecks()))"
+// -----------------------------
+
+// 外视界 r+
+export function horizon(a){
+  return 1 + Math.sqrt(Math.max(0, 1 - a*a));
+}
+
+// Kerr-Schild 点的 Boyer–Lindquist 半径 r
+export function radius(x, a){
+  const a2 = a*a, w = x[0]*x[0] + x[1]*x[1] + x[2]*x[2] - a2;
+  return Math.sqrt(0.5*w + Math.sqrt(0.25*w*w + a2*x[2]*x[2]));
+}
+
+// dx/dλ 与 dp/dλ（= ∂H/∂p，−∂H/∂x，梯度解析求出）
+export function derivs(x, p, a){
+  const a2 = a*a, X = x[0], Y = x[1], Z = x[2];
+  const w = X*X + Y*Y + Z*Z - a2;
+  const D = Math.sqrt(0.25*w*w + a2*Z*Z);
+  const r2 = 0.5*w + D, r = Math.sqrt(r2);
+  // ∂r/∂x_i，由 r⁴ − (ρ² − a²) r² − a²Z² = 0 隐函数求导
+  const dr = [X*r2/(2*r*D), Y*r2/(2*r*D), (Z*r2 + a2*Z)/(2*r*D)];
+  const S = r2*r2 + a2*Z*Z;
+  const f = 2*r2*r/S;
+  const df = dr.map((d, i) => 2*(3*r2*d*S - r2*r*(4*r2*r*d + (i === 2 ? 2*a2*Z : 0)))/(S*S));
+  const Q = r2 + a2;
+  const L = [(r*X + a*Y)/Q, (r*Y - a*X)/Q, Z/r];
+  const k = 1 + L[0]*p[0] + L[1]*p[1] + L[2]*p[2];
+  const xp = X*p[0] + Y*p[1];
+  const N = r*xp + a*(Y*p[0] - X*p[1]);
+  const dN = [dr[0]*xp + r*p[0] - a*p[1], dr[1]*xp + r*p[1] + a*p[0], dr[2]*xp];
+  const dLp = dN.map((n, i) => n/Q - N*2*r*dr[i]/(Q*Q) + (i === 2 ? p[2]/r : 0) - dr[i]*Z*p[2]/r2);
+  return {
+    dx: [p[0] - f*k*L[0], p[1] - f*k*L[1], p[2] - f*k*L[2]],
+    dp: [0.5*df[0]*k*k + f*k*dLp[0], 0.5*df[1]*k*k + f*k*dLp[1], 0.5*df[2]*k*k + f*k*dLp[2]]
+  };
+}
+
+// 光子在 x 处沿坐标方向 d（单位向量）出发时的协变动量 p（H = 0，E = 1）。
+// dx/dλ = s·d 代入 p = s d + f k L 解出 s；要求 x 在能层外（f < 1）
+export function photonMomentum(x, d, a){
+  const r = radius(x, a), a2 = a*a;
+  const f = 2*r*r*r/(r*r*r*r + a2*x[2]*x[2]);
+  const Q = r*r + a2;
+  const L = [(r*x[0] + a*x[1])/Q, (r*x[1] - a*x[0])/Q, x[2]/r];
+  const u = L[0]*d[0] + L[1]*d[1] + L[2]*d[2];
+  const c = 1/(1 - f);
+  const s = Math.sqrt((1 + f*c)/(1 + f*c*u*u));
+  const k = c*(1 + s*u);
+  return [s*d[0] + f*k*L[0], s*d[1] + f*k*L[1], s*d[2] + f*k*L[2]];
+}
+
+export function hamiltonian(x, p, a){
+  const r = radius(x, a), a2 = a*a;
+  const f = 2*r*r*r/(r*r*r*r + a2*x[2]*x[2]);
+  const Q = r*r + a2;
+  const k = 1 + ((r*x[0] + a*x[1])*p[0] + (r*x[1] - a*x[0])*p[1])/Q + x[2]*p[2]/r;
+  return 0.5*(p[0]*p[0] + p[1]*p[1] + p[2]*p[2] - 1 - f*k*k);
+}
+
+// Dormand–Prince 5(4) 系数
+const A = [
+  [],
+  [1/5],
+  [3/40, 9/40],
+  [44/45, -56/15, 32/9],
+  [19372/6561, -25360/2187, 64448/6561, -212/729],
+  [9017/3168, -355/33, 46732/5247, 49/176, -5103/18656],
+  [35/384, 0, 500/1113, 125/192, -2187/6784, 11/84]
+];
+const E = [71/57600, 0, -71/16695, 71/1920, -17253/339200, 22/525, -1/40];
+
+export const DEFAULTS = {
+  tol: 1e-6,          // 每步误差容限（相对 1 + |x|、1 + |p|）
+  hMax: 1.0,          // 最大步长（M）：穿盘检测按步端点线性插值
+  maxSteps: 20000,
+  escape: 80          // 超过此半径且向外即视为逃逸
+};
+
+function axpy(y, h, ks, coef, part){
+  const out = y[part].slice();
+  for (let j = 0; j < coef.length; j++) {
+    if (!coef[j]) continue;
+    for (let i = 0; i < 3; i++) out[i] += h*coef[j]*ks[j][part === 'x' ? 'dx' : 'dp'][i];
+  }
+  return out;
+}
+
+// 一步 DP45：返回 5 阶结果、末端导数（FSAL）与归一化误差
+export function step(state, h, a, tol, k1){
+  const ks = [k1 || derivs(state.x, state.p, a)];
+  for (let s = 1; s < 7; s++) {
+    ks.push(derivs(axpy(state, h, ks, A[s], 'x'), axpy(state, h, ks, A[s], 'p'), a));
+  }
+  const next = { x: axpy(state, h, ks, A[6], 'x'), p: axpy(state, h, ks, A[6], 'p') };
+  const ex = [0, 0, 0], ep = [0, 0, 0];
+  for (let j = 0; j < 7; j++) {
+    for (let i = 0; i < 3; i++) { ex[i] += h*E[j]*ks[j].dx[i]; ep[i] += h*E[j]*ks[j].dp[i]; }
+  }
+  const len = v => Math.hypot(v[0], v[1], v[2]);
+  const err = Math.max(len(ex)/(tol*(1 + len(state.x))), len(ep)/(tol*(1 + len(state.p))));
+  return { next, err, k7: ks[6] };
+}
+
+// 追踪一条光线直到落入视界、逃逸或步数用尽
+// 返回 { fate: 'horizon' | 'escape' | 'steps', x, p, minR, steps, crossings（穿过 Z = 0 的 r 列表）, lambda }
+export function trace(x0, d, a, options){
+  const o = Object.assign({}, DEFAULTS, options);
+  const rp = horizon(a);
+  let state = { x: x0.slice(), p: o.p || photonMomentum(x0, d, a) };
+  let r = radius(state.x, a);
+  let h = Math.min(o.hMax, 0.05*r);
+  let k1 = null, minR = r, lambda = 0, steps = 0;
+  const crossings = [];
+  const limit = o.lambda === undefined ? Infinity : o.lambda;
+  while (steps < o.maxSteps) {
+    if (r < rp + 0.01) return { fate: 'horizon', x: state.x, p: state.p, minR, steps, crossings, lambda };
+    const out = (state.x[0]*state.p[0] + state.x[1]*state.p[1] + state.x[2]*state.p[2]) > 0;
+    if (r > o.escape && out) return { fate: 'escape', x: state.x, p: state.p, minR, steps, crossings, lambda };
+    if (lambda >= limit) break;
+    h = Math.min(h, limit - lambda);
+    const s = step(state, h, a, o.tol, k1);
+    steps++;
+    if (s.err <= 1) {
+      const z1 = state.x[2], z2 = s.next.x[2];
+      if (z1*z2 < 0) {
+        const t = z1/(z1 - z2);
+        crossings.push(radius(state.x.map((v, i) => v + (s.next.x[i] - v)*t), a));
+      }
+      state = s.next;
+      k1 = s.k7;
+      lambda += h;
+      r = radius(state.x, a);
+      minR = Math.min(minR, r);
+    }
+    // 拒绝时 k1 仍是当前点的导数，只缩步
+    h = Math.min(o.hMax, h*Math.min(5, Math.max(0.2, 0.9*Math.pow(Math.max(s.err, 1e-10), -0.2))));
+  }
+  return { fate: 'steps', x: state.x, p: state.p, minR, steps, crossings, lambda };
+}
+
+// --------- 解析值 ---------
+// 赤道面圆形光子轨道半径（prograde：与自旋同向）
+export function photonOrbit(a, prograde){
+  return 2*(1 + Math.cos(2/3*Math.acos(prograde ? -a : a)));
+}
+
+// 赤道面临界碰撞参数 |b|（阴影左右边缘）；a = 0 时为 √27
+export function criticalImpact(a, prograde){
+  return prograde ? 6*Math.cos(Math.acos(-a)/3) - a : 6*Math.cos(Math.acos(a)/3) + a;
+}
+
+// Bardeen–Press–Teukolsky 最内稳定圆轨道
+export function isco(a, prograde){
+  const z1 = 1 + Math.cbrt(1 - a*a)*(Math.cbrt(1 + a) + Math.cbrt(1 - a));
+  const z2 = Math.sqrt(3*a*a + z1*z1);
+  return 3 + z2 + (prograde ? -1 : 1)*Math.sqrt((3 - z1)*(3 + z1 + 2*z2));
+}
+
+// 赤道圆轨道的单位质量能量 E(r)；ISCO 是它的极小点
+export function circularEnergy(r, a, prograde){
+  const s = prograde ? a : -a, q = Math.sqrt(r);
+  return (r*q - 2*q + s)/(Math.pow(r, 0.75)*Math.sqrt(r*q - 3*q + 2*s));
+}
+
+// --------- 吸积盘 ---------
+// x³ − 3x + 2a = 0 的三个根（x = √r；x1² 即顺行光子轨道）
+function cubicRoots(a){
+  const t = Math.acos(a);
+  return [2*Math.cos((t - Math.PI)/3), 2*Math.cos((t + Math.PI)/3), -2*Math.cos(t/3)];
+}
+
+// Novikov–Thorne 薄盘表面通量 F(r)（Page & Thorne 1974），省去常数因子 3Ṁ/8π；
+// 内沿 rIn 处零力矩（F = 0），rIn 取 ISCO 即标准模型；r ≤ rIn 返回 0。l.html 的物理着色是同一公式
+export function novikovThorneFlux(r, a, rIn){
+  if (r <= rIn) return 0;
+  const x = Math.sqrt(r), x0 = Math.sqrt(rIn);
+  const [x1, x2, x3] = cubicRoots(a);
+  // a = 0 时 x2 = 0，该项极限为 0
+  const term = (xi, xj, xk) => Math.abs(xi) < 1e-6 ? 0 :
+    3*(xi - a)*(xi - a)/(xi*(xi - xj)*(xi - xk))*Math.log((x - xi)/(x0 - xi));
+  const bracket = x - x0 - 1.5*a*Math.log(x/x0) - term(x1, x2, x3) - term(x2, x1, x3) - term(x3, x1, x2);
+  return bracket/(x*x*x*x*(x*x*x - 3*x + 2*a));
+}
+
+// [rIn, rOut] 上通量最大处 { r, flux }（F 单峰：内沿为 0，外侧 ∝ r⁻³）；l.html 用它把峰值温度归一
+export function diskFluxPeak(a, rIn, rOut){
+  let lo = rIn, hi = rOut;
+  const g = (Math.sqrt(5) - 1)/2;
+  for (let i = 0; i < 100; i++) {
+    const m1 = hi - g*(hi - lo), m2 = lo + g*(hi - lo);
+    if (novikovThorneFlux(m1, a, rIn) < novikovThorneFlux(m2, a, rIn)) lo = m1; else hi = m2;
+  }
+  const r = 0.5*(lo + hi);
+  return { r, flux: novikovThorneFlux(r, a, rIn) };
+}
+
+// 赤道面顺行 Kepler 圆轨道上的发射体 → 无穷远观者的频率比 g = 1/(u^t (1 − Ω b))，
+// b = L_z/E 是光子的碰撞参数（与盘同向为正）。g 同时包含多普勒、横向多普勒与引力红移
+export function diskRedshift(r, a, b){
+  const q = Math.sqrt(r);
+  const ut = (r*q + a)/(Math.pow(r, 0.75)*Math.sqrt(r*q - 3*q + 2*a));
+  return 1/(ut*(1 - b/(r*q + a)));
+}
+
+// --------- 数值求解 ---------
+// 从远处沿 +X 平行射入、偏离 Y = ∓offset 的光线是否被捕获；二分出临界值，
+// 报告的是守恒量 b = L_z/E = X p_Y − Y p_X（与出发距离无关）
+export function numericImpact(a, prograde, options){
+  const o = Object.assign({ distance: 1000, iterations: 36, lo: 1, hi: 8 }, options);
+  const side = prograde ? -1 : 1;   // 自旋 +Z 时，Y < 0 一侧向 +X 走的光子与自旋同向
+  const launch = offset => {
+    const x = [-o.distance, side*offset, 0];
+    return { x, p: photonMomentum(x, [1, 0, 0], a) };
+  };
+  const captured = offset => {
+    const l = launch(offset);
+    return trace(l.x, [1, 0, 0], a, { p: l.p, escape: o.distance*1.01, tol: o.tol || 1e-8 }).fate === 'horizon';
+  };
+  let lo = o.lo, hi = o.hi;
+  for (let i = 0; i < o.iterations; i++) {
+    const mid = 0.5*(lo + hi);
+    if (captured(mid)) lo = mid; else hi = mid;
+  }
+  const l = launch(0.5*(lo + hi));
+  return Math.abs(l.x[0]*l.p[1] - l.x[1]*l.p[0]);
+}
+
+// 在赤道圆形光子轨道半径上沿切向出发的光子（默认 a = 0，r = 3M）：走过 lambda 后的半径、H 与 L_z 漂移。
+// Kerr-Schild 下 r 固定的赤道圆是半径 √(r² + a²) 的坐标圆，切向即坐标切向；顺行为绕 +Z 逆时针
+export function photonSphereDrift(lambda, a = 0, prograde = true){
+  const r0 = photonOrbit(a, prograde);
+  const x = [Math.sqrt(r0*r0 + a*a), 0, 0], d = [0, prograde ? 1 : -1, 0];
+  const p = photonMomentum(x, d, a);
+  const res = trace(x, d, a, { p, lambda, tol: 1e-10, hMax: 0.05 });
+  return { r: radius(res.x, a), h: hamiltonian(res.x, res.p, a), dLz: angularMomentum(res) - angularMomentum({ x, p }), fate: res.fate };
+}
+
+// L_z = X p_Y − Y p_X（绕自旋轴，Kerr 中守恒）
+function angularMomentum(s){
+  return s.x[0]*s.p[1] - s.x[1]*s.p[0];
+}
+
+// 从 x0 沿 d 追踪一条光线，报告终点处 H 与 L_z 相对起点的漂移
+export function rayDrift(x0, d, a, options){
+  const p = photonMomentum(x0, d, a);
+  const res = trace(x0, d, a, Object.assign({ p }, options));
+  return { fate: res.fate, minR: res.minR, h: hamiltonian(res.x, res.p, a), dLz: angularMomentum(res) - angularMomentum({ x: x0, p }) };
+}
+
+// 黄金分割求 E(r) 极小点
+export function numericIsco(a, prograde){
+  let lo = photonOrbit(a, prograde) + 1e-6, hi = 20;
+  const g = (Math.sqrt(5) - 1)/2;
+  for (let i = 0; i < 200; i++) {
+    const m1 = hi - g*(hi - lo), m2 = lo + g*(hi - lo);
+    const e1 = circularEnergy(m1, a, prograde), e2 = circularEnergy(m2, a, prograde);
+    if (!(e1 >= e2)) hi = m2; else lo = m1;   // NaN（光子轨道内侧）往外收
+  }
+  return 0.5*(lo + hi);
+}
+
+// --------- 自检 ---------
+// [{ name, expected, got, tol, pass }]；单位都是 M（r_s = 2M）
+export function runChecks(){
+  const out = [];
+  const check = (name, expected, got, tol) => {
+    out.push({ name, expected, got, tol, pass: Number.isFinite(got) && Math.abs(got - expected) <= tol });
+  };
+  // 光子球：r = 1.5 r_s 处的切向光子走半圈仍在原半径上（不稳定轨道，误差随圈数指数放大）
+  const ring = photonSphereDrift(Math.PI*3*Math.sqrt(3));
+  check('光子球 r = 1.5 r_s（Schwarzschild）', 3, ring.r, 1e-4);
+  check('H 守恒（光子球轨道）', 0, ring.h, 1e-8);
+  // Kerr 赤道圆形光子轨道：DP45 积分后仍在闭式半径上，L_z 不变（顺行 a = 0.5 在能层外，逆行取 a = 0.9）
+  for (const [a, prograde] of [[0.5, true], [0.9, false]]) {
+    const orbit = photonSphereDrift(10, a, prograde);
+    const tag = '（a = ' + a + '，' + (prograde ? '顺行' : '逆行') + '）';
+    check('圆形光子轨道 r' + tag, photonOrbit(a, prograde), orbit.r, 1e-5);
+    check('L_z 守恒，光子轨道' + tag, 0, orbit.dLz, 1e-8);
+  }
+  // 离开赤道面、掠过 r ≈ 4.2M 后逃逸的光线：H = 0 与 L_z 沿途守恒
+  const ray = rayDrift([-40, 6, 3], [1, 0, 0], 0.9, { tol: 1e-9, escape: 60 });
+  check('H 守恒（a = 0.9 离轴光线）', 0, ray.h, 1e-7);
+  check('L_z 守恒（a = 0.9 离轴光线）', 0, ray.dLz, 1e-7);
+  // 阴影半径 √27 M
+  check('阴影半径 √27 M（Schwarzschild）', Math.sqrt(27), numericImpact(0, true), 1e-3);
+  // Kerr 赤道面阴影两侧
+  for (const a of [0.5, 0.9]) {
+    check('阴影顺行边 b（a = ' + a + '）', criticalImpact(a, true), numericImpact(a, true), 1e-3);
+    check('阴影逆行边 b（a = ' + a + '）', criticalImpact(a, false), numericImpact(a, false), 1e-3);
+  }
+  // ISCO：闭式解与 E(r) 极小点
+  check('ISCO（a = 0）= 6M', 6, numericIsco(0, true), 1e-4);
+  for (const a of [0.5, 0.9, 0.998]) {
+    check('ISCO 顺行（a = ' + a + '）', isco(a, true), numericIsco(a, true), 1e-4);
+    check('ISCO 逆行（a = ' + a + '）', isco(a, false), numericIsco(a, false), 1e-4);
+  }
+  // Novikov–Thorne 通量：Schwarzschild 盘（内沿 ISCO）峰值在 r ≈ 9.55M；远处 F ∝ r⁻³
+  check('NT 通量峰值 r（a = 0）', 9.55, diskFluxPeak(0, 6, 40).r, 0.01);
+  check('NT 通量远场 r⁻³', 1, 8*novikovThorneFlux(2e8, 0, 6)/novikovThorneFlux(1e8, 0, 6), 1e-3);
+  // 正面看（b = 0）的 g 只剩横向多普勒 + 引力红移：a = 0 时为 √(1 − 3M/r)
+  check('盘红移 g（a = 0，r = 6M，b = 0）', Math.sqrt(0.5), diskRedshift(6, 0, 0), 1e-12);
+  return out;
+}
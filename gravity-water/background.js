@@ -0,0 +1,241 @@
+// background.js - What the water refracts and reflects: background sources and environment maps
+// Every source is uploaded into one texture, top row at the top of the screen (UNPACK_FLIP_Y):
+//   default  the canvas given to create(), uploaded once
+//   image    File / Blob / URL, uploaded once
+//   video    File / Blob / URL, looped and muted, uploaded when a new frame is decoded
+//   canvas   any canvas, re-uploaded every frame (it may be animating)
+//   camera   getUserMedia by facing ('environment' | 'user') or deviceId; the front camera is mirrored
+// fit() gives the cover-fit uv transform for the shader. An environment map is either one
+// equirectangular image or six cube faces (+x, -x, +y, -y, +z, -z). Browser only.
+
+(function (root) {
+    'use strict';
+
+    function texture(gl, target) {
+        const tex = gl.createTexture();
+        gl.bindTexture(target, tex);
+        gl.texParameteri(target, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
+        gl.texParameteri(target, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+        gl.texParameteri(target, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE); // NPOT images in WebGL1
+        gl.texParameteri(target, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+        return tex;
+    }
+
+    function upload(gl, target, tex, face, source) {
+        gl.bindTexture(target, tex);
+        gl.pixelStorei(gl.UNPACK_FLIP_Y_WEBGL, target === gl.TEXTURE_2D);
+        gl.texImage2D(face, 0, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, source);
+        gl.pixelStorei(gl.UNPACK_FLIP_Y_WEBGL, false);
+    }
+
+    // File / Blob / URL to a URL, and how to let go of it
+    function toUrl(src) {
+        if (typeof src === 'string') return { url: src, release() {} };
+        const url = URL.createObjectURL(src);
+        return { url, release() { URL.revokeObjectURL(url); } };
+    }
+
+    function loadImage(src) {
+        const ref = toUrl(src);
+        return new Promise((resolve, reject) => {
+            const img = new Image();
+            img.crossOrigin = 'anonymous';
+            img.onload = () => { ref.release(); resolve(img); };
+            img.onerror = () => { ref.release(); reject(new Error("Can't load image")); };
+            img.src = ref.url;
+        });
+    }
+
+    // --- Sources ---
+    // options: { fallback: canvas for the default source, video: <video> to play into (iOS wants
+    // one in the document), onChange(state) }
+    function create(gl, options) {
+        const opts = options || {};
+        const tex = texture(gl, gl.TEXTURE_2D);
+        const state = { kind: 'default', width: 1, height: 1, mirror: false, facing: 'environment', deviceId: null };
+        let media = null;        // <video> for video and camera sources
+        let live = null;         // Canvas re-uploaded every frame
+        let fresh = false;       // A new video frame is waiting
+        let release = () => {};
+
+        gl.bindTexture(gl.TEXTURE_2D, tex);
+        gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, 1, 1, 0, gl.RGBA, gl.UNSIGNED_BYTE, new Uint8Array([0, 0, 0, 255]));
+
+        function changed() {
+            if (opts.onChange) opts.onChange(state);
+        }
+
+        // Stop whatever is playing (camera tracks, object URLs)
+        function stop() {
+            if (media) {
+                if (media.srcObject) media.srcObject.getTracks().forEach(t => t.stop());
+                media.pause();
+                media.srcObject = null;
+                media.removeAttribute('src');
+                media = null;
+            }
+            live = null;
+            fresh = false;
+            release();
+            release = () => {};
+        }
+
+        function still(kind, img, w, h, mirror) {
+            stop();
+            upload(gl, gl.TEXTURE_2D, tex, gl.TEXTURE_2D, img);
+            Object.assign(state, { kind, width: w, height: h, mirror: !!mirror });
+            changed();
+        }
+
+        function useDefault() {
+            if (!opts.fallback) return;
+            still('default', opts.fallback, opts.fallback.width, opts.fallback.height);
+        }
+
+        function useImage(src) {
+            return loadImage(src).then(img => still('image', img, img.naturalWidth, img.naturalHeight));
+        }
+
+        function useCanvas(canvas) {
+            still('canvas', canvas, canvas.width, canvas.height);
+            live = canvas;
+        }
+
+        function playing(video, kind, mirror) {
+            media = video;
+            const watch = () => {
+                if (media !== video) return;
+                fresh = true;
+                if (video.requestVideoFrameCallback) video.requestVideoFrameCallback(watch);
+            };
+            return new Promise((resolve, reject) => {
+                video.onloadeddata = () => {
+                    Object.assign(state, { kind, width: video.videoWidth, height: video.videoHeight, mirror });
+                    watch();
+                    changed();
+                    resolve(state);
+                };
+                video.onerror = () => reject(new Error("Can't play " + kind));
+                const p = video.play();
+                if (p && p.catch) p.catch(reject);
+            });
+        }
+
+        function useVideo(src) {
+            stop();
+            const ref = toUrl(src);
+            release = ref.release;
+            const video = opts.video || document.createElement('video');
+            Object.assign(video, { loop: true, muted: true, playsInline: true, crossOrigin: 'anonymous', src: ref.url });
+            return playing(video, 'video', false);
+        }
+
+        // choice: { facing: 'environment' | 'user' } or { deviceId }; defaults to the last one
+        function useCamera(choice) {
+            const c = choice || {};
+            if (c.deviceId !== undefined) { state.deviceId = c.deviceId; }
+            else if (c.facing) { state.facing = c.facing; state.deviceId = null; }
+            if (!navigator.mediaDevices || !navigator.mediaDevices.getUserMedia) {
+                return Promise.reject(new Error("No camera API (needs https)"));
+            }
+            const video = state.deviceId ? { deviceId: { exact: state.deviceId } } : { facingMode: state.facing };
+            return navigator.mediaDevices.getUserMedia({ video, audio: false }).then(stream => {
+                stop();
+                const track = stream.getVideoTracks()[0];
+                const settings = track && track.getSettings ? track.getSettings() : {};
+                if (settings.facingMode) state.facing = settings.facingMode;
+                const el = opts.video || document.createElement('video');
+                Object.assign(el, { loop: false, muted: true, playsInline: true, srcObject: stream });
+                // Selfie view reads as a mirror
+                return playing(el, 'camera', state.facing === 'user');
+            });
+        }
+
+        function switchCamera() {
+            return useCamera({ facing: state.facing === 'user' ? 'environment' : 'user' });
+        }
+
+        // [{ deviceId, label }]; labels stay empty until camera permission was granted once
+        function listCameras() {
+            if (!navigator.mediaDevices || !navigator.mediaDevices.enumerateDevices) return Promise.resolve([]);
+            return navigator.mediaDevices.enumerateDevices().then(list => list
+                .filter(d => d.kind === 'videoinput')
+                .map((d, i) => ({ deviceId: d.deviceId, label: d.label || 'Camera ' + (i + 1) })));
+        }
+
+        function setMirror(on) {
+            state.mirror = !!on;
+            changed();
+        }
+
+        // Once per frame before drawing: pushes new video / canvas content
+        function update() {
+            if (live) upload(gl, gl.TEXTURE_2D, tex, gl.TEXTURE_2D, live);
+            else if (media && media.readyState >= 2 && (fresh || !media.requestVideoFrameCallback)) {
+                try { upload(gl, gl.TEXTURE_2D, tex, gl.TEXTURE_2D, media); } catch (e) { /* Frame not ready */ }
+                fresh = false;
+            }
+        }
+
+        // uv transform (scale x, scale y, offset x, offset y) covering a viewWidth x viewHeight view
+        function fit(viewWidth, viewHeight) {
+            const src = state.width / state.height, view = viewWidth / viewHeight;
+            let sx = 1, sy = 1;
+            if (src > view) sx = view / src; else sy = src / view;
+            return [state.mirror ? -sx : sx, sy, 0, 0];
+        }
+
+        useDefault();
+
+        return {
+            texture: tex,
+            state,
+            get kind() { return state.kind; },
+            useDefault,
+            useImage,
+            useVideo,
+            useCanvas,
+            useCamera,
+            switchCamera,
+            listCameras,
+            setMirror,
+            update,
+            fit,
+            stop
+        };
+    }
+
+    // --- Environment maps ---
+    // src: one equirectangular image (File / Blob / URL) or an array of six cube faces.
+    // Resolves to { kind: 'equirect' | 'cube', texture }.
+    function loadEnvironment(gl, src) {
+        if (Array.isArray(src)) {
+            if (src.length !== 6) return Promise.reject(new Error("A cube map needs 6 faces"));
+            return Promise.all(src.map(loadImage)).then(faces => {
+                const tex = texture(gl, gl.TEXTURE_CUBE_MAP);
+                faces.forEach((img, i) => upload(gl, gl.TEXTURE_CUBE_MAP, tex, gl.TEXTURE_CUBE_MAP_POSITIVE_X + i, img));
+                return { kind: 'cube', texture: tex };
+            });
+        }
+        return loadImage(src).then(img => {
+            const tex = texture(gl, gl.TEXTURE_2D);
+            upload(gl, gl.TEXTURE_2D, tex, gl.TEXTURE_2D, img);
+            return { kind: 'equirect', texture: tex };
+        });
+    }
+
+    // 1x1 stand-ins so both environment samplers always have a texture of the right type
+    function emptyEnvironment(gl) {
+        const black = new Uint8Array([0, 0, 0, 255]);
+        const flat = texture(gl, gl.TEXTURE_2D);
+        gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, 1, 1, 0, gl.RGBA, gl.UNSIGNED_BYTE, black);
+        const cube = texture(gl, gl.TEXTURE_CUBE_MAP);
+        for (let i = 0; i < 6; i++) gl.texImage2D(gl.TEXTURE_CUBE_MAP_POSITIVE_X + i, 0, gl.RGBA, 1, 1, 0, gl.RGBA, gl.UNSIGNED_BYTE, black);
+        return { flat, cube };
+    }
+
+    const Backgrounds = { create, loadEnvironment, emptyEnvironment };
+
+    if (typeof module !== 'undefined' && module.exports) module.exports = Backgrounds;
+    else root.Backgrounds = Backgrounds;
+})(typeof self !== 'undefined' ? self : this);
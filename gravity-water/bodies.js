@@ -0,0 +1,242 @@
+// bodies.js - Rigid boxes and circles, coupled two-way with the SPH particles
+// Bodies are plain objects (structured-cloneable, the same format goes in and comes out of snapshot()):
+//   { type: 'box',    x, y, w, h, angle, density, vx, vy, omega, color }
+//   { type: 'circle', x, y, r,    angle, density, vx, vy, omega, color }
+// density is relative to water (phase density 1): below 1 floats, above 1 sinks.
+// Everything is position based like the fluid: constraints move positions (and angles),
+// velocities are recovered from the displacement at the end of the step.
+
+(function (root) {
+    'use strict';
+
+    const BOX_SAMPLES = [-1, -1, 1, -1, 1, 1, -1, 1, 0, -1, 1, 0, 0, 1, -1, 0]; // Corners, then edge midpoints
+
+    // --- Body ---
+    function makeBody(def, massPerArea) {
+        const b = {
+            type: def.type,
+            x: def.x, y: def.y, angle: def.angle || 0,
+            w: def.w || 0, h: def.h || 0, r: def.r || 0,
+            density: def.density !== undefined ? def.density : 0.5,
+            vx: def.vx || 0, vy: def.vy || 0, omega: def.omega || 0,
+            color: def.color || null,
+            prevX: 0, prevY: 0, prevAngle: 0,
+            cos: 1, sin: 0
+        };
+        let area, inertiaPerMass;
+        if (b.type === 'box') {
+            area = b.w * b.h;
+            inertiaPerMass = (b.w * b.w + b.h * b.h) / 12;
+            b.bound = 0.5 * Math.sqrt(b.w * b.w + b.h * b.h);
+        } else if (b.type === 'circle') {
+            area = Math.PI * b.r * b.r;
+            inertiaPerMass = b.r * b.r / 2;
+            b.bound = b.r;
+        } else {
+            throw new Error("Unknown body type: " + def.type);
+        }
+        b.mass = Math.max(b.density * area * massPerArea, 1e-3);
+        b.invMass = 1 / b.mass;
+        b.invInertia = 1 / (b.mass * inertiaPerMass);
+        updateRotation(b);
+        return b;
+    }
+
+    function updateRotation(b) {
+        b.cos = Math.cos(b.angle);
+        b.sin = Math.sin(b.angle);
+    }
+
+    // Signed distance from a world point to the body; out receives the outward normal
+    function distance(b, px, py, out) {
+        const dx = px - b.x, dy = py - b.y;
+        if (b.type === 'circle') {
+            const d = Math.sqrt(dx * dx + dy * dy);
+            if (d > 0) { out.nx = dx / d; out.ny = dy / d; } else { out.nx = 0; out.ny = -1; }
+            return d - b.r;
+        }
+        // Into box space
+        const lx = b.cos * dx + b.sin * dy, ly = -b.sin * dx + b.cos * dy;
+        const qx = Math.abs(lx) - b.w / 2, qy = Math.abs(ly) - b.h / 2;
+        let nx, ny, d;
+        if (qx > 0 || qy > 0) {
+            const ox = Math.max(qx, 0), oy = Math.max(qy, 0);
+            d = Math.sqrt(ox * ox + oy * oy);
+            nx = (lx < 0 ? -ox : ox) / d; ny = (ly < 0 ? -oy : oy) / d;
+        } else if (qx > qy) {
+            d = qx; nx = lx < 0 ? -1 : 1; ny = 0;
+        } else {
+            d = qy; nx = 0; ny = ly < 0 ? -1 : 1;
+        }
+        out.nx = b.cos * nx - b.sin * ny;
+        out.ny = b.sin * nx + b.cos * ny;
+        return d;
+    }
+
+    // Move a (and b, unless b is null = static) apart by pen along n, at contact point (px, py).
+    // Positional impulse with the generalized inverse mass, so off-centre hits spin the body.
+    function resolve(a, b, px, py, nx, ny, pen) {
+        const ra = (px - a.x) * ny - (py - a.y) * nx;
+        let w = a.invMass + ra * ra * a.invInertia, rb = 0;
+        if (b) {
+            rb = (px - b.x) * ny - (py - b.y) * nx;
+            w += b.invMass + rb * rb * b.invInertia;
+        }
+        const l = pen / w;
+        a.x += nx * l * a.invMass; a.y += ny * l * a.invMass; a.angle += ra * l * a.invInertia;
+        updateRotation(a);
+        if (b) {
+            b.x -= nx * l * b.invMass; b.y -= ny * l * b.invMass; b.angle -= rb * l * b.invInertia;
+            updateRotation(b);
+        }
+    }
+
+    function eachSample(b, fn) {
+        for (let s = 0; s < BOX_SAMPLES.length; s += 2) {
+            const lx = BOX_SAMPLES[s] * b.w / 2, ly = BOX_SAMPLES[s + 1] * b.h / 2;
+            fn(b.x + b.cos * lx - b.sin * ly, b.y + b.sin * lx + b.cos * ly);
+        }
+    }
+
+    // --- World ---
+    // options: { massPerArea } particle mass per square pixel of fluid at rest
+    function create(list, options) {
+        const massPerArea = (options && options.massPerArea) || 1 / 400;
+        let bodies = [];
+        const tmp = { nx: 0, ny: 0 };
+
+        function set(next) {
+            bodies = (next || []).map(def => makeBody(def, massPerArea));
+        }
+
+        function add(def) {
+            bodies.push(makeBody(def, massPerArea));
+            return bodies.length - 1;
+        }
+
+        function remove(i) {
+            bodies.splice(i, 1);
+        }
+
+        // Gravity and explicit motion (k = step in 60Hz frames)
+        function predict(gx, gy, k) {
+            for (const b of bodies) {
+                b.vx += gx * k; b.vy += gy * k;
+                b.prevX = b.x; b.prevY = b.y; b.prevAngle = b.angle;
+                b.x += b.vx * k; b.y += b.vy * k; b.angle += b.omega * k;
+                updateRotation(b);
+            }
+        }
+
+        // Push particles out of the bodies to at least margin away, and the bodies back
+        // in proportion: a light box rides on the water, a heavy one parts it.
+        function collideParticles(x, y, mass, n, margin) {
+            for (const b of bodies) {
+                const reach = b.bound + margin;
+                for (let i = 0; i < n; i++) {
+                    const dx = x[i] - b.x, dy = y[i] - b.y;
+                    if (dx * dx + dy * dy > reach * reach) continue;
+                    const d = distance(b, x[i], y[i], tmp);
+                    if (d >= margin) continue;
+                    const pen = margin - d, nx = tmp.nx, ny = tmp.ny;
+                    const rb = dx * ny - dy * nx;
+                    const wp = 1 / mass[i], wb = b.invMass + rb * rb * b.invInertia;
+                    const l = pen / (wp + wb);
+                    x[i] += nx * l * wp; y[i] += ny * l * wp;
+                    b.x -= nx * l * b.invMass; b.y -= ny * l * b.invMass; b.angle -= rb * l * b.invInertia;
+                    updateRotation(b);
+                }
+            }
+        }
+
+        // Walls, static obstacles and body-body contacts
+        function constrain(width, height, obstacles) {
+            for (let i = 0; i < bodies.length; i++) {
+                const b = bodies[i];
+                if (b.type === 'circle') {
+                    if (b.x < b.r) b.x = b.r; else if (b.x > width - b.r) b.x = width - b.r;
+                    if (b.y < b.r) b.y = b.r; else if (b.y > height - b.r) b.y = height - b.r;
+                    if (!obstacles.empty) {
+                        const d = obstacles.distance(b.x, b.y, tmp);
+                        if (d < b.r) { b.x += tmp.nx * (b.r - d); b.y += tmp.ny * (b.r - d); }
+                    }
+                } else {
+                    eachSample(b, (px, py) => {
+                        if (px < 0) resolve(b, null, px, py, 1, 0, -px);
+                        else if (px > width) resolve(b, null, px, py, -1, 0, px - width);
+                        if (py < 0) resolve(b, null, px, py, 0, 1, -py);
+                        else if (py > height) resolve(b, null, px, py, 0, -1, py - height);
+                        if (!obstacles.empty) {
+                            const d = obstacles.distance(px, py, tmp);
+                            if (d < 0) resolve(b, null, px, py, tmp.nx, tmp.ny, -d);
+                        }
+                    });
+                }
+                for (let j = i + 1; j < bodies.length; j++) collidePair(b, bodies[j]);
+            }
+        }
+
+        function collidePair(a, b) {
+            const dx = a.x - b.x, dy = a.y - b.y, reach = a.bound + b.bound;
+            if (dx * dx + dy * dy > reach * reach) return;
+            if (a.type === 'circle' && b.type === 'circle') {
+                const d = distance(b, a.x, a.y, tmp);
+                if (d < a.r) resolve(a, b, a.x - tmp.nx * a.r, a.y - tmp.ny * a.r, tmp.nx, tmp.ny, a.r - d);
+                return;
+            }
+            if (a.type === 'circle') return collidePair(b, a);
+            // a is a box: its samples against b, then (for a box b) b's samples against a
+            eachSample(a, (px, py) => {
+                const d = distance(b, px, py, tmp);
+                if (d < 0) resolve(a, b, px, py, tmp.nx, tmp.ny, -d);
+            });
+            if (b.type === 'circle') {
+                const d = distance(a, b.x, b.y, tmp);
+                if (d < b.r) resolve(b, a, b.x - tmp.nx * b.r, b.y - tmp.ny * b.r, tmp.nx, tmp.ny, b.r - d);
+            } else {
+                eachSample(b, (px, py) => {
+                    const d = distance(a, px, py, tmp);
+                    if (d < 0) resolve(b, a, px, py, tmp.nx, tmp.ny, -d);
+                });
+            }
+        }
+
+        // Velocities from the corrected positions
+        function finish(k, damping) {
+            for (const b of bodies) {
+                b.vx = (b.x - b.prevX) / k * damping;
+                b.vy = (b.y - b.prevY) / k * damping;
+                b.omega = (b.angle - b.prevAngle) / k * damping;
+            }
+        }
+
+        // Plain copies in the input format (worker frames, getState)
+        function snapshot() {
+            return bodies.map(b => ({
+                type: b.type, x: b.x, y: b.y, w: b.w, h: b.h, r: b.r, angle: b.angle,
+                density: b.density, vx: b.vx, vy: b.vy, omega: b.omega, color: b.color
+            }));
+        }
+
+        set(list);
+
+        return {
+            get list() { return bodies; },
+            get length() { return bodies.length; },
+            set,
+            add,
+            remove,
+            distance,
+            predict,
+            collideParticles,
+            constrain,
+            finish,
+            snapshot
+        };
+    }
+
+    const Bodies = { create, distance };
+
+    if (typeof module !== 'undefined' && module.exports) module.exports = Bodies;
+    else root.Bodies = Bodies;
+})(typeof self !== 'undefined' ? self : this);
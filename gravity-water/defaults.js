@@ -0,0 +1,96 @@
+// defaults.js - Default settings, presets and quality tiers shared by the app and <gravity-water>
+// config(overrides) returns a fresh deep copy of CONFIG (callers mutate theirs) with overrides on top.
+// PRESETS are deltas from CONFIG, MIXTURES initial phase layouts (see solver.js), QUALITY the
+// screen-space water tiers (see renderer-webgl.js).
+
+(function (root) {
+    'use strict';
+
+    const CONFIG = {
+        particleCount: 900,
+        radius: 20,          // Even fatter particles for volumetric look
+        physRadius: 15,
+        gravityScale: 0.18,
+        damping: 0.96,
+        stiffness: 0.02,     // Softer = more stacking = more thickness
+        stiffnessNear: 0.1,
+        restDensity: 3.0,
+        interactionRadius: 120, // Interaction radius
+        subSteps: 2,
+        useWorker: false,       // Run the solver in solver-worker.js (render never waits on physics), or ?solver=worker
+        useGPU: false,          // Float-texture solver in gpu-solver.js, falls back to the CPU solver; or ?solver=gpu
+        gpuParticleCount: 50000,
+        // Fluid types (see solver.js). Colour is the tint of transmitted light.
+        phases: [
+            { name: 'water', density: 1.0, viscosity: 0, color: [0.1, 0.4, 0.8], miscible: true },
+            { name: 'oil', density: 0.6, viscosity: 0, color: [0.95, 0.75, 0.2], miscible: false },
+            { name: 'syrup', density: 1.4, viscosity: 0, color: [0.6, 0.2, 0.05], miscible: false },
+            { name: 'red', density: 1.0, viscosity: 0, color: [0.95, 0.15, 0.2], miscible: true },
+            { name: 'blue', density: 1.0, viscosity: 0, color: [0.1, 0.3, 0.95], miscible: true },
+            { name: 'honey', density: 1.4, viscosity: 5.0, cohesion: 0.05, color: [0.95, 0.6, 0.1], miscible: false },
+            { name: 'slime', density: 1.1, viscosity: 1.0, cohesion: 0.3, color: [0.4, 0.9, 0.2], miscible: false }
+        ],
+        viscosity: 0,           // Global viscosity / cohesion on top of the per-phase values
+        viscosityQuadratic: 0.1,
+        cohesion: 0,
+        mixturePreset: 'water', // Key of MIXTURES, spawned by Reset
+        capacity: 1500,         // Pool size for emitters and pouring (GL buffers are sized to it)
+        pourPhase: 0,           // Phase poured by the 'pour' tool
+        scene: 'open',          // Key of SCENES
+        maskUrl: null,          // PNG whose opaque area becomes the container (enables the 'mask' scene)
+        // Shading
+        quality: 'medium',      // Key of QUALITY
+        refraction: 0.15,       // Thickness: how far the background is displaced
+        absorption: 1.5,        // Beer's law density
+        lightX: 0.2,            // Light direction (z is 1)
+        lightY: 0.5,
+        lightTilt: 1,           // How far the light and reflections stay put while the device turns
+        reflectivity: 0.5,      // Sky / environment map reflection
+        tint: '#1a66cc',        // Overrides the phase colours by tintStrength
+        tintStrength: 0,
+        // Tilt (see input.js)
+        tiltGain: 4.9,          // Gravity for a phone held upright; keyboard / joystick use 1
+        tiltSmoothing: 0.12,    // Seconds
+        // Performance (see governor.js)
+        governor: 'adaptive',   // 'adaptive': trade resolution, substeps, particles for targetFps; 'fixed'
+        targetFps: 60,
+        // Sound and vibration (see feedback.js)
+        volume: 0.5,
+        haptics: 'on'
+    };
+
+    // Screen-space water: target resolution (of the canvas), blur radii in target texels,
+    // bilateral depth passes and whitewater capacity (0 = off)
+    const QUALITY = {
+        low: { scale: 0.5, blur: 0, depthBlur: 3, depthPasses: 1, foam: 0 },
+        medium: { scale: 0.75, blur: 2, depthBlur: 6, depthPasses: 1, foam: 1000 },
+        high: { scale: 1.0, blur: 3, depthBlur: 10, depthPasses: 2, foam: 3000 }
+    };
+
+    // Deltas from the CONFIG defaults
+    const PRESETS = {
+        water: {},
+        honey: { viscosity: 4, viscosityQuadratic: 0.3, cohesion: 0.05, damping: 0.9, refraction: 0.2, absorption: 2.2, tint: '#f29a1a', tintStrength: 0.9 },
+        mercury: { gravityScale: 0.25, stiffness: 0.04, stiffnessNear: 0.2, cohesion: 0.3, damping: 0.98, refraction: 0.05, absorption: 3, tint: '#c8ccd4', tintStrength: 1 },
+        bubbly: { stiffness: 0.012, restDensity: 2.2, cohesion: 0.02, damping: 0.99, radius: 26, refraction: 0.25, absorption: 0.8, tint: '#7fe3ff', tintStrength: 0.6 }
+    };
+
+    // Initial phase layouts (indices into CONFIG.phases)
+    const MIXTURES = {
+        water: null,
+        'oil-water': { layout: 'mixed', parts: [{ phase: 0, fraction: 0.6 }, { phase: 1, fraction: 0.4 }] },
+        layers: { layout: 'mixed', parts: [{ phase: 2, fraction: 0.3 }, { phase: 0, fraction: 0.4 }, { phase: 1, fraction: 0.3 }] },
+        dyes: { layout: 'columns', parts: [{ phase: 3, fraction: 0.5 }, { phase: 4, fraction: 0.5 }] },
+        honey: { layout: 'rows', parts: [{ phase: 5, fraction: 1 }] },
+        slime: { layout: 'mixed', parts: [{ phase: 6, fraction: 0.5 }, { phase: 0, fraction: 0.5 }] }
+    };
+
+    function config(overrides) {
+        return Object.assign(JSON.parse(JSON.stringify(CONFIG)), overrides);
+    }
+
+    const WaterDefaults = { CONFIG, PRESETS, MIXTURES, QUALITY, config };
+
+    if (typeof module !== 'undefined' && module.exports) module.exports = WaterDefaults;
+    else root.WaterDefaults = WaterDefaults;
+})(typeof self !== 'undefined' ? self : this);
@@ -0,0 +1,315 @@
+// feedback.js - Sound and vibration driven by the water: sloshing noise, thuds against the walls,
+// droplet plinks on splashes and navigator.vibrate pulses when a mass of water hits a wall.
+//   analyze(prev, cur, env)   one frame of metrics from two consecutive particle frames
+//                             { count, x, y, vx, vy } (solver.getState() snapshots fit as they are)
+//   tracker()                 the same frames live from a solver's interleaved positions and ids
+//                             (main-thread and worker solvers; the GPU solver's positions never leave the GPU)
+//   create(options)           Web Audio synth + vibration fed with analyze() metrics
+// Velocities are px per 1/60 s frame, energies ½v² in px²/frame² per particle (all particles weigh the same).
+// A NaN velocity means unknown (the slot holds a different particle than last frame): analyze() skips it.
+// Headless check on recorded states:
+//   const a = solver.getState(); solver.step(); const b = solver.getState(); Feedback.analyze(a, b, env)
+
+(function (root) {
+    'use strict';
+
+    const DEFAULTS = {
+        // Analysis
+        impactSpeed: 1.5,    // px/frame into a wall before it counts as a hit (resting water presses at ~0.2)
+        splashSpeed: 5,      // px/frame against gravity: a particle thrown off the surface
+        contact: 2,          // px beyond the wall margin that still counts as touching it
+        maxSpeed: 60,        // Jumps beyond this are respawned / removed particles, not motion (as foam.js)
+        // Output
+        volume: 0.5,
+        haptics: true,
+        sloshEnergy: 30,     // Mean kinetic energy for full sloshing noise (a hard shake reaches ~80)
+        hitEnergy: 0.4,      // Mean impact energy (impact / count) for a full-strength thud
+        hitMin: 0.05,        // Share of hitEnergy below which a hit makes no sound
+        vibrateAt: 0.3,      // Share of hitEnergy that vibrates
+        hitGap: 0.08,        // s between two thuds
+        vibrateGap: 0.15,    // s between two pulses
+        plinksPerSecond: 12,
+        seed: 1
+    };
+
+    const tmp = { nx: 0, ny: 0 };
+
+    // Energy a particle loses into a surface: its normal speed before the frame, what is left after
+    function hit(before, after, minSpeed) {
+        if (before <= minSpeed) return 0;
+        const rest = after > 0 ? after : 0;
+        return 0.5 * (before * before - rest * rest);
+    }
+
+    // env: { width, height, margin (wall distance of a particle centre), gravity: {x, y},
+    //        obstacles (Obstacles set, optional) }
+    // Returns { count, kinetic (mean), impact (sum), impactX, impactY (where it hit, energy-weighted),
+    //           splash (particles thrown this frame), splashX, splashY }
+    function analyze(prev, cur, env, options) {
+        const cfg = Object.assign({}, DEFAULTS, options);
+        const out = { count: 0, kinetic: 0, impact: 0, impactX: 0, impactY: 0, splash: 0, splashX: 0, splashY: 0 };
+        const n = Math.min(prev.count, cur.count);
+        const m = env.margin + cfg.contact, w = env.width, h = env.height;
+        const max2 = cfg.maxSpeed * cfg.maxSpeed, minSpeed = cfg.impactSpeed;
+        const g = env.gravity || { x: 0, y: 1 };
+        const gl = Math.sqrt(g.x * g.x + g.y * g.y);
+        const ux = gl > 0 ? g.x / gl : 0, uy = gl > 0 ? g.y / gl : 1;
+        const obstacles = env.obstacles;
+
+        for (let i = 0; i < n; i++) {
+            const vx = cur.vx[i], vy = cur.vy[i], pvx = prev.vx[i], pvy = prev.vy[i];
+            const sp2 = vx * vx + vy * vy;
+            if (!(sp2 <= max2 && pvx * pvx + pvy * pvy <= max2)) continue; // Also skips NaN
+            out.count++;
+            out.kinetic += 0.5 * sp2;
+
+            const x = cur.x[i], y = cur.y[i];
+            let e = 0;
+            if (x < m) e += hit(-pvx, -vx, minSpeed);
+            if (x > w - m) e += hit(pvx, vx, minSpeed);
+            if (y < m) e += hit(-pvy, -vy, minSpeed);
+            if (y > h - m) e += hit(pvy, vy, minSpeed);
+            if (obstacles && obstacles.distance(x, y, tmp) < m) {
+                e += hit(-(pvx * tmp.nx + pvy * tmp.ny), -(vx * tmp.nx + vy * tmp.ny), minSpeed);
+            }
+            if (e > 0) {
+                out.impact += e;
+                out.impactX += e * x; out.impactY += e * y;
+            }
+
+            // Thrown: the speed against gravity crosses the threshold this frame
+            const up = -(vx * ux + vy * uy), upBefore = -(pvx * ux + pvy * uy);
+            if (up >= cfg.splashSpeed && upBefore < cfg.splashSpeed) {
+                out.splash++;
+                out.splashX += x; out.splashY += y;
+            }
+        }
+
+        if (out.count > 0) out.kinetic /= out.count;
+        if (out.impact > 0) { out.impactX /= out.impact; out.impactY /= out.impact; }
+        if (out.splash > 0) { out.splashX /= out.splash; out.splashY /= out.splash; }
+        return out;
+    }
+
+    // push(positions, n, frames, ids): frames = solver frames (1/60 s) since the last push, ids the
+    // solver's particle ids. Drains and remove() move the last particle into the freed slot: a slot
+    // whose id changed gets a NaN velocity instead of a jump. Without ids only the maxSpeed filter is left.
+    // Returns { prev, cur } for analyze() (reused by the next push), or null until two frames
+    // with velocities exist: after creation and after clear().
+    function tracker() {
+        let pos = new Float32Array(0), known = 0;   // Positions at the last push, how many are valid
+        let slotIds = new Uint32Array(0);           // Particle id per slot at the last push
+        let last = frame(0), next = frame(0), lastMoving = false;
+
+        function frame(cap) {
+            return { count: 0, x: new Float32Array(cap), y: new Float32Array(cap), vx: new Float32Array(cap), vy: new Float32Array(cap) };
+        }
+
+        function push(positions, n, frames, ids) {
+            if (!(frames > 0)) return null;
+            if (last.x.length < n) {
+                const cap = Math.max(n, last.x.length * 2);
+                last = frame(cap); next = frame(cap); pos = new Float32Array(cap * 2); slotIds = new Uint32Array(cap);
+                clear();
+            }
+            const moving = known > 0, m = Math.min(n, known);
+            for (let i = 0; i < n; i++) {
+                const x = positions[i * 2], y = positions[i * 2 + 1];
+                next.x[i] = x; next.y[i] = y;
+                if (i >= m) {
+                    next.vx[i] = 0; next.vy[i] = 0;
+                } else if (ids && ids[i] !== slotIds[i]) {
+                    next.vx[i] = NaN; next.vy[i] = NaN;
+                } else {
+                    next.vx[i] = (x - pos[i * 2]) / frames;
+                    next.vy[i] = (y - pos[i * 2 + 1]) / frames;
+                }
+                pos[i * 2] = x; pos[i * 2 + 1] = y;
+                if (ids) slotIds[i] = ids[i];
+            }
+            next.count = m;   // Particles added since the last push have no velocity yet
+            known = n;
+            const out = moving && lastMoving ? { prev: last, cur: next } : null;
+            lastMoving = moving;
+            const t = last; last = next; next = t;
+            return out;
+        }
+
+        // Teleports (reset, scene change): the next two pushes only warm up again
+        function clear() {
+            known = 0;
+            lastMoving = false;
+        }
+
+        return { push, clear };
+    }
+
+    function mulberry32(a) {
+        return function () {
+            a |= 0; a = a + 0x6D2B79F5 | 0;
+            let t = Math.imul(a ^ a >>> 15, 1 | a);
+            t = t + Math.imul(t ^ t >>> 7, 61 | t) ^ t;
+            return ((t ^ t >>> 14) >>> 0) / 4294967296;
+        };
+    }
+
+    // --- Output ---
+    // The AudioContext is made on the first resume(): browsers only start sound from a tap.
+    // Without Web Audio (or under Node) only the vibration part runs.
+    function create(options) {
+        const cfg = Object.assign({}, DEFAULTS, options);
+        const rng = mulberry32(cfg.seed);
+        const AC = root.AudioContext || root.webkitAudioContext;
+        let ctx = null, master = null, noise = null;
+        let slosh = null;          // { filter, gain, pan }
+        let lastHit = -Infinity, lastPulse = -Infinity, lastPlink = -Infinity;
+        let clock = 0;             // s, advanced by update() when there is no AudioContext
+
+        function now() {
+            return ctx ? ctx.currentTime : clock;
+        }
+
+        function build() {
+            ctx = new AC();
+            master = ctx.createGain();
+            master.gain.value = cfg.volume;
+            master.connect(ctx.destination);
+
+            // Two seconds of white noise, shared by the slosh loop and the thuds
+            noise = ctx.createBuffer(1, ctx.sampleRate * 2, ctx.sampleRate);
+            const data = noise.getChannelData(0);
+            for (let i = 0; i < data.length; i++) data[i] = rng() * 2 - 1;
+
+            const src = ctx.createBufferSource();
+            src.buffer = noise; src.loop = true;
+            const filter = ctx.createBiquadFilter();
+            filter.type = 'bandpass'; filter.frequency.value = 300; filter.Q.value = 0.8;
+            const gain = ctx.createGain();
+            gain.gain.value = 0;
+            const pan = panner();
+            src.connect(filter).connect(gain).connect(pan).connect(master);
+            src.start();
+            slosh = { filter, gain, pan };
+        }
+
+        function panner() {
+            return ctx.createStereoPanner ? ctx.createStereoPanner() : ctx.createGain();
+        }
+
+        function setPan(node, x) {
+            if (node.pan) node.pan.value = Math.max(-1, Math.min(1, x));
+        }
+
+        // Low thump of water against glass: filtered noise burst, brighter when harder
+        function thud(level, pan) {
+            const t = ctx.currentTime;
+            const src = ctx.createBufferSource();
+            src.buffer = noise;
+            const filter = ctx.createBiquadFilter();
+            filter.type = 'lowpass';
+            filter.frequency.value = 250 + 1200 * level;
+            const gain = ctx.createGain();
+            const decay = 0.12 + 0.25 * level;
+            gain.gain.setValueAtTime(0, t);
+            gain.gain.linearRampToValueAtTime(0.9 * level, t + 0.005);
+            gain.gain.exponentialRampToValueAtTime(0.001, t + decay);
+            const p = panner();
+            setPan(p, pan);
+            src.connect(filter).connect(gain).connect(p).connect(master);
+            src.start(t, rng() * 1.5, decay + 0.05);
+        }
+
+        // Droplet: a short sine whose pitch jumps up as the bubble closes
+        function plink(level, pan) {
+            const t = ctx.currentTime;
+            const f = 700 + 1200 * rng();
+            const osc = ctx.createOscillator();
+            osc.type = 'sine';
+            osc.frequency.setValueAtTime(f, t);
+            osc.frequency.exponentialRampToValueAtTime(f * (1.5 + 0.5 * rng()), t + 0.04);
+            const gain = ctx.createGain();
+            gain.gain.setValueAtTime(0, t);
+            gain.gain.linearRampToValueAtTime(0.25 * level, t + 0.003);
+            gain.gain.exponentialRampToValueAtTime(0.001, t + 0.12);
+            const p = panner();
+            setPan(p, pan);
+            osc.connect(gain).connect(p).connect(master);
+            osc.start(t);
+            osc.stop(t + 0.15);
+        }
+
+        function vibrate(ms) {
+            const nav = root.navigator;
+            if (cfg.haptics && nav && typeof nav.vibrate === 'function') nav.vibrate(ms);
+        }
+
+        // metrics: analyze() output; width: of the box, for stereo placement; dt: s since the last call
+        function update(metrics, width, dt) {
+            if (!ctx) clock += dt || 1 / 60;
+            const t = now();
+            const side = x => width > 0 ? x / width * 2 - 1 : 0;
+            const hitLevel = metrics.count > 0 ? Math.min(1, metrics.impact / metrics.count / cfg.hitEnergy) : 0;
+
+            if (slosh) {
+                const level = Math.min(1, Math.sqrt(metrics.kinetic / cfg.sloshEnergy));
+                slosh.gain.gain.setTargetAtTime(0.35 * level + 0.3 * hitLevel, t, 0.06);
+                slosh.filter.frequency.setTargetAtTime(250 + 900 * level, t, 0.06);
+                if (metrics.impact > 0) setPan(slosh.pan, 0.6 * side(metrics.impactX));
+            }
+            if (hitLevel > cfg.hitMin && t - lastHit > cfg.hitGap) {
+                lastHit = t;
+                if (ctx) thud(hitLevel, side(metrics.impactX));
+            }
+            if (hitLevel > cfg.vibrateAt && t - lastPulse > cfg.vibrateGap) {
+                lastPulse = t;
+                vibrate(Math.round(10 + 30 * hitLevel));
+            }
+            if (metrics.splash > 0 && ctx && t - lastPlink > 1 / cfg.plinksPerSecond) {
+                lastPlink = t;
+                plink(Math.min(1, 0.3 + metrics.splash / 20), side(metrics.splashX));
+            }
+        }
+
+        // Call from a tap the first time
+        function resume() {
+            if (!AC) return Promise.resolve();
+            if (!ctx) build();
+            return ctx.state === 'suspended' ? ctx.resume() : Promise.resolve();
+        }
+
+        function suspend() {
+            if (ctx && ctx.state === 'running') ctx.suspend();
+        }
+
+        function setVolume(v) {
+            cfg.volume = v;
+            if (master) master.gain.setTargetAtTime(v, ctx.currentTime, 0.02);
+        }
+
+        function setHaptics(on) {
+            if (!on) vibrate(0); // Cancels a running pulse
+            cfg.haptics = !!on;
+        }
+
+        function dispose() {
+            if (ctx) ctx.close();
+            ctx = null; master = null; slosh = null;
+        }
+
+        return {
+            config: cfg,
+            get audio() { return !!ctx; },
+            update,
+            resume,
+            suspend,
+            setVolume,
+            setHaptics,
+            dispose
+        };
+    }
+
+    const Feedback = { DEFAULTS, analyze, tracker, create };
+
+    if (typeof module !== 'undefined' && module.exports) module.exports = Feedback;
+    else root.Feedback = Feedback;
+})(typeof self !== 'undefined' ? self : this);
@@ -1,44 +1,138 @@
 // fluid.js - Realistic AR Water V5 (Volumetric Thickness)
 
-const CONFIG = {
-    particleCount: 900,
-    radius: 20,          // Even fatter particles for volumetric look
-    physRadius: 15,
-    gravityScale: 0.18,
-    damping: 0.96,
-    stiffness: 0.02,     // Softer = more stacking = more thickness
-    stiffnessNear: 0.1,
-    restDensity: 3.0,
-    interactionRadius: 120, // Interaction radius
-    subSteps: 2
+// Defaults, presets and quality tiers: defaults.js
+const CONFIG = WaterDefaults.config();
+const { QUALITY, PRESETS, MIXTURES } = WaterDefaults;
+
+// Everything the settings panel exposes (see settings.js). rebuild: needs a new solver,
+// cpuOnly: tuned for the CPU particle scale, not passed to the GPU solver.
+const SETTINGS_SCHEMA = [
+    { key: 'gravityScale', label: 'Gravity', group: 'Physics', min: 0, max: 0.5, step: 0.01 },
+    { key: 'damping', label: 'Damping', group: 'Physics', min: 0.8, max: 1, step: 0.005 },
+    { key: 'stiffness', label: 'Stiffness', group: 'Physics', min: 0.005, max: 0.1, step: 0.001, cpuOnly: true },
+    { key: 'stiffnessNear', label: 'Near stiffness', group: 'Physics', min: 0, max: 0.5, step: 0.01, cpuOnly: true },
+    { key: 'restDensity', label: 'Rest density', group: 'Physics', min: 1, max: 6, step: 0.1, cpuOnly: true },
+    { key: 'viscosity', label: 'Viscosity', group: 'Physics', min: 0, max: 8, step: 0.1 },
+    { key: 'viscosityQuadratic', label: 'Viscosity (fast)', group: 'Physics', min: 0, max: 1, step: 0.01 },
+    { key: 'cohesion', label: 'Cohesion', group: 'Physics', min: 0, max: 0.4, step: 0.01 },
+    { key: 'subSteps', label: 'Substeps', group: 'Physics', min: 1, max: 6, step: 1 },
+    { key: 'interactionRadius', label: 'Touch radius', group: 'Physics', min: 20, max: 300, step: 5 },
+    { key: 'radius', label: 'Radius', group: 'Particles', min: 8, max: 40, step: 1, cpuOnly: true },
+    { key: 'physRadius', label: 'Physics radius', group: 'Particles', min: 6, max: 30, step: 1, rebuild: true },
+    { key: 'particleCount', label: 'Count', group: 'Particles', min: 100, max: 4000, step: 50, rebuild: true },
+    { key: 'governor', label: 'Quality control', group: 'Performance', type: 'select', options: ['adaptive', 'fixed'] },
+    { key: 'targetFps', label: 'Target FPS', group: 'Performance', min: 24, max: 120, step: 1 },
+    { key: 'quality', label: 'Quality', group: 'Shading', type: 'select', options: ['low', 'medium', 'high'] },
+    { key: 'refraction', label: 'Thickness', group: 'Shading', min: 0, max: 0.3, step: 0.01 },
+    { key: 'absorption', label: 'Absorption', group: 'Shading', min: 0, max: 3, step: 0.1 },
+    { key: 'lightX', label: 'Light X', group: 'Shading', min: -1, max: 1, step: 0.05 },
+    { key: 'lightY', label: 'Light Y', group: 'Shading', min: -1, max: 1, step: 0.05 },
+    { key: 'lightTilt', label: 'Light follows tilt', group: 'Shading', min: 0, max: 1, step: 0.1 },
+    { key: 'reflectivity', label: 'Reflections', group: 'Shading', min: 0, max: 1, step: 0.05 },
+    { key: 'tint', label: 'Tint', group: 'Shading', type: 'color' },
+    { key: 'tintStrength', label: 'Tint strength', group: 'Shading', min: 0, max: 1, step: 0.05 },
+    { key: 'tiltGain', label: 'Tilt gain', group: 'Input', min: 0.5, max: 10, step: 0.1 },
+    { key: 'tiltSmoothing', label: 'Smoothing', group: 'Input', min: 0, max: 0.5, step: 0.01 },
+    { key: 'volume', label: 'Volume', group: 'Feedback', min: 0, max: 1, step: 0.05 },
+    { key: 'haptics', label: 'Vibration', group: 'Feedback', type: 'select', options: ['on', 'off'] }
+];
+
+// Obstacle layouts in canvas pixels (shape format: obstacles.js). May return a Promise.
+// A scene is either an array of shapes or { obstacles, emitters, drains, bodies } (see solver.js).
+const SCENES = {
+    open: () => [],
+    toys: (w, h) => {
+        const s = Math.min(w, h);
+        return {
+            obstacles: [],
+            bodies: [
+                { type: 'box', x: w * 0.3, y: h * 0.2, w: s * 0.14, h: s * 0.09, density: 0.4, color: [0.95, 0.75, 0.2] },
+                { type: 'circle', x: w * 0.55, y: h * 0.15, r: s * 0.06, density: 0.6, color: [0.9, 0.3, 0.3] },
+                { type: 'box', x: w * 0.75, y: h * 0.25, w: s * 0.08, h: s * 0.08, density: 2.5, color: [0.5, 0.5, 0.55] }
+            ]
+        };
+    },
+    pegs: (w, h) => {
+        const r = Math.min(w, h) * 0.03, shapes = [];
+        for (let row = 0; row < 4; row++) {
+            for (let col = 0; col < 6; col++) {
+                const x = w * (col + (row % 2 ? 1.0 : 0.5)) / 6;
+                if (x < w - r) shapes.push({ type: 'circle', x, y: h * (0.45 + row * 0.1), r });
+            }
+        }
+        return shapes;
+    },
+    glass: (w, h) => {
+        const t = Math.min(w, h) * 0.02;
+        return [
+            { type: 'capsule', ax: w * 0.18, ay: h * 0.35, bx: w * 0.28, by: h * 0.88, r: t },
+            { type: 'capsule', ax: w * 0.82, ay: h * 0.35, bx: w * 0.72, by: h * 0.88, r: t },
+            { type: 'capsule', ax: w * 0.28, ay: h * 0.88, bx: w * 0.72, by: h * 0.88, r: t }
+        ];
+    },
+    funnel: (w, h) => [
+        { type: 'polygon', points: [0, h * 0.4, w * 0.44, h * 0.6, 0, h * 0.65] },
+        { type: 'polygon', points: [w, h * 0.4, w, h * 0.65, w * 0.56, h * 0.6] }
+    ],
+    faucet: (w, h) => {
+        const t = Math.min(w, h) * 0.02;
+        return {
+            obstacles: [
+                { type: 'capsule', ax: w * 0.25, ay: h * 0.45, bx: w * 0.3, by: h * 0.9, r: t },
+                { type: 'capsule', ax: w * 0.75, ay: h * 0.45, bx: w * 0.7, by: h * 0.9, r: t },
+                { type: 'capsule', ax: w * 0.3, ay: h * 0.9, bx: w * 0.7, by: h * 0.9, r: t }
+            ],
+            emitters: [{ x: w * 0.1, y: h * 0.15, vx: w * 0.006, vy: 0, rate: 90, phase: 0 }],
+            drains: [{ x: w * 0.9, y: h - t, r: w * 0.08 }]
+        };
+    },
+    mask: (w, h) => Obstacles.loadMask(CONFIG.maskUrl, { x: 0, y: 0, width: w, height: h }, { invert: true })
 };
 
+let renderer;             // Draws the solver each frame: WebGL, or Canvas 2D without it (see initRenderer)
 let gl;
-let programs = {};
-let buffers = {};
-let textures = {};
-let framebuffers = {};
+let device;              // RenderDevice (render-device.js): context, caps, resize and loss events
+let gpuSnapshot = null;  // GPU particles read back before the page was hidden (iOS drops the context)
 let width, height;
 
-// Physics State
-let particles = {
-    x: new Float32Array(CONFIG.particleCount),
-    y: new Float32Array(CONFIG.particleCount),
-    vx: new Float32Array(CONFIG.particleCount),
-    vy: new Float32Array(CONFIG.particleCount),
-    prevX: new Float32Array(CONFIG.particleCount),
-    prevY: new Float32Array(CONFIG.particleCount)
-};
-const GRID_SIZE = CONFIG.physRadius * 2;
-let grid = {};
+// Physics State (solver lives in solver.js)
+let solver;
+let obstacleScene = Obstacles.create([]); // Main-thread copy for drawing (the solver may live in a worker)
+let tilt;                     // GravityInput controller, owns the gravity vector
 let gravity = { x: 0, y: 1 };
-let pointer = { x: -1000, y: -1000, down: false };
+const touches = new Map();    // pointerId -> { x, y, lastX, lastY, vx, vy, tool, since, pinch } in CSS pixels
+let pinch = null;             // { a, b, dist, radius } while two fingers resize the touch radius
+let tool = 'push';            // Tool for new touches, one of FluidSolver.TOOLS
 let isRunning = false;
+let settings; // Settings store over CONFIG
+let onboarding; // Motion / camera permission states and their explanations (onboarding.js)
+
+// Recording / replay (recorder.js)
+let recorder = null;      // Set while recording
+let player = null;        // Set while replaying; replaces the live inputs
+let lastRecording = null;
+let exporter = null;      // { frame, finish, cancel } while a replay is being exported
 
-// Camera
+// Background and reflections (background.js)
 let videoElement;
-let isCameraActive = false;
-let cameraReady = false;
+let background;           // renderer.background (WebGL only): default, image, video, canvas or camera
+
+// Performance (governor.js). The canvas keeps its pixel ratio: the simulation works in canvas pixels.
+let governor;             // Measures every frame, adjusts quality while CONFIG.governor is 'adaptive'
+let gpuTimer;             // device.timer(), made again with the context
+let resolutionScale = 1;  // Governor's multiplier on the quality tier's target scale
+let parked = [];          // Phases of the particles the governor took out, last out first back
+let lastFrameStart = 0;
+let profilerUpdated = 0;
+
+// Sound and vibration (feedback.js): CPU and worker solvers only
+let feedback;
+let feedbackTracker;      // Frames with velocities from the solver's positions
+let feedbackTime = 0;     // solver.time at the last frame fed in
+
+// AR (xr.js)
+let ar = null;            // GravityXR controller while an immersive-ar session runs
+let xrEnv = {};           // navigator.xr / XRWebGLLayer overrides: the mock with ?xr=mock
 
 // --- Debug System ---
 function log(msg) {
@@ -51,83 +145,146 @@ function log(msg) {
 }
 function showError(msg) { log("[ERROR] " + msg); alert(msg); }
 
+// --- Renderers ---
+// One simulation, two ways to draw it. render() steps the solver and hands the frame over:
+//   { name, canvas, lost, target, draw(frame), setScene(obstacles), setQuality(tier, scale), setPool(count) }
+// frame: { solver, stepped, xrView, gravity, shading }; target: the water buffer ({ width, height }).
+// renderer-webgl.js is the screen-space pipeline; renderer-canvas.js thresholds blurred blobs
+// on a 2D canvas where WebGL is missing or fails (?renderer=canvas forces it).
+function initRenderer() {
+    const forced = /[?&]renderer=canvas\b/.test(location.search);
+    return (!forced && initWebGL()) || initCanvas2D();
+}
+
+// No camera, AR, reflections or GPU solver here: those all live on the GL context
+function initCanvas2D() {
+    let canvas = document.getElementById('glcanvas');
+    if (device) {
+        // The context failed after it was made, and a canvas keeps its first context for good
+        device.loseContext();
+        device.destroy();
+        device = null;
+        gl = null;
+        const fresh = canvas.cloneNode(false);
+        canvas.replaceWith(fresh);
+        canvas = fresh;
+    }
+    try {
+        renderer = CanvasRenderer.create(canvas, { maxDpr: 2, background: createDefaultBackground(), onResize });
+    } catch (e) {
+        showError(e.message);
+        return false;
+    }
+    width = renderer.width;
+    height = renderer.height;
+    updateQuality();
+    gpuTimer = RenderDevice.timer(null, null);
+    log("Renderer: Canvas 2D");
+    return true;
+}
+
+// Water buffer size: the quality tier times the governor's multiplier
+function updateQuality() {
+    renderer.setQuality(QUALITY[CONFIG.quality], resolutionScale);
+}
+
 // --- 1. WebGL Core ---
+// The context lives in render-device.js, everything made on it in renderer-webgl.js.
 function initWebGL() {
     log("Init WebGL V5...");
     try {
-        const canvas = document.getElementById('glcanvas');
-        gl = canvas.getContext('webgl', { alpha: false, depth: false }) || canvas.getContext('experimental-webgl');
-        if (!gl) throw new Error("WebGL fail");
-        
-        // High DPI Support
-        const dpr = window.devicePixelRatio || 1;
-        const effectiveDPR = Math.min(dpr, 2.0);
-        
-        canvas.width = window.innerWidth * effectiveDPR;
-        canvas.height = window.innerHeight * effectiveDPR;
-        width = canvas.width;
-        height = canvas.height;
-
-        if (!gl.getExtension('OES_texture_float')) log("WARN: No float textures");
-
-        programs.water = createProgram(gl, 'vs-quad', 'fs-water');
-        programs.particles = createProgram(gl, 'vs-particles', 'fs-particles');
-        if (!programs.water || !programs.particles) throw new Error("Shader error");
-
-        buffers.quad = gl.createBuffer();
-        gl.bindBuffer(gl.ARRAY_BUFFER, buffers.quad);
-        gl.bufferData(gl.ARRAY_BUFFER, new Float32Array([-1, -1, 1, -1, -1, 1, -1, 1, 1, -1, 1, 1]), gl.STATIC_DRAW);
-
-        buffers.particles = gl.createBuffer();
-        gl.bindBuffer(gl.ARRAY_BUFFER, buffers.particles);
-        gl.bufferData(gl.ARRAY_BUFFER, CONFIG.particleCount * 8, gl.DYNAMIC_DRAW);
-
-        textures.bg = createDefaultTexture(gl);
-        textures.camera = gl.createTexture();
-        gl.bindTexture(gl.TEXTURE_2D, textures.camera);
-        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
-        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
-        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
-        gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, 1, 1, 0, gl.RGBA, gl.UNSIGNED_BYTE, new Uint8Array([0,0,0,255]));
-
-        // Water Mask FBO: 0.8 scale for better volume
-        framebuffers.water = createFramebuffer(Math.floor(width * 0.8), Math.floor(height * 0.8));
-
+        device = RenderDevice.create(document.getElementById('glcanvas'), {
+            attributes: { alpha: false, depth: false },
+            maxDpr: 2,
+            onResize,
+            onLost: onContextLost,
+            onRestored: onContextRestored
+        });
+        gl = device.gl;
+        width = device.width;
+        height = device.height;
+        log("Caps: " + device.describe());
+        renderer = WebGLRenderer.create(device, {
+            pool: poolSize(),
+            radius: CONFIG.radius,
+            background: createDefaultBackground(),
+            video: videoElement,
+            onBackgroundChange,
+            gpuColor: CONFIG.phases[0].color,
+            log
+        });
+        background = renderer.background;
+        gpuTimer = device.timer();
+        updateQuality();
         return true;
     } catch (e) {
-        showError(e.message);
+        log("WebGL: " + e.message + ", falling back to Canvas 2D");
         return false;
     }
 }
 
-function createProgram(gl, vsId, fsId) {
-    try {
-        const vs = gl.createShader(gl.VERTEX_SHADER);
-        gl.shaderSource(vs, document.getElementById(vsId).textContent);
-        gl.compileShader(vs);
-        const fs = gl.createShader(gl.FRAGMENT_SHADER);
-        gl.shaderSource(fs, document.getElementById(fsId).textContent);
-        gl.compileShader(fs);
-        const prog = gl.createProgram();
-        gl.attachShader(prog, vs); gl.attachShader(prog, fs); gl.linkProgram(prog);
-        return prog;
-    } catch (e) { return null; }
-}
-
-function createFramebuffer(w, h) {
-    const tex = gl.createTexture();
-    gl.bindTexture(gl.TEXTURE_2D, tex);
-    gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, w, h, 0, gl.RGBA, gl.UNSIGNED_BYTE, null);
-    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
-    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
-    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
-    const fb = gl.createFramebuffer();
-    gl.bindFramebuffer(gl.FRAMEBUFFER, fb);
-    gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, tex, 0);
-    return { tex, fb, width: w, height: h };
-}
-
-function createDefaultTexture(gl) {
+// --- Resize and context loss ---
+function onResize(w, h) {
+    const sx = w / width, sy = h / height;
+    width = w;
+    height = h;
+    log("Resize: " + w + "x" + h);
+    updateQuality();
+    if (solver) rescaleSimulation(sx, sy);
+}
+
+function onContextLost() {
+    log("WebGL context lost, waiting for it to come back");
+    if (ar) ar.end();
+    if (exporter) stopReplay(); // The canvas an export records from is gone
+}
+
+// Nothing made on the old context survives. CPU / worker particles live in JS memory; GPU
+// particles come back from the snapshot taken when the page was hidden, or start over.
+function onContextRestored() {
+    const sx = device.width / width, sy = device.height / height;
+    width = device.width;
+    height = device.height;
+    try { renderer.rebuild(); } catch (e) { showError(e.message); return; }
+    background = renderer.background;
+    gpuTimer = device.timer();
+    if (solver && solver.gpu) {
+        const snapshot = gpuSnapshot;
+        gpuSnapshot = null;
+        initSolver();
+        applyScene(CONFIG.scene).then(() => {
+            if (snapshot && solver.gpu && snapshot.count === solver.count) {
+                scaleState(snapshot, sx, sy);
+                solver.setState(snapshot);
+            } else log("GPU particles reset: their state went with the context");
+        });
+    } else if (solver) {
+        rescaleSimulation(sx, sy);
+    }
+    log("WebGL context restored");
+    if (isRunning) requestAnimationFrame(render);
+}
+
+// Particles and bodies keep their place relative to the container, the scene is rebuilt at the new size
+function rescaleSimulation(sx, sy) {
+    solver.configure(solverSettings());
+    return Promise.resolve(solver.getState()).then(state => {
+        scaleState(state, sx, sy);
+        return applyScene(CONFIG.scene).then(() => solver.setState(state));
+    });
+}
+
+function scaleState(state, sx, sy) {
+    for (let i = 0; i < state.count; i++) {
+        state.x[i] *= sx; state.y[i] *= sy;
+        if (state.prevX) { state.prevX[i] *= sx; state.prevY[i] *= sy; }
+    }
+    if (state.bodies) state.bodies.forEach(b => { b.x *= sx; b.y *= sy; });
+    state.width = width;
+    state.height = height;
+}
+
+function createDefaultBackground() {
     const canvas = document.createElement('canvas');
     canvas.width = 512; canvas.height = 512;
     const ctx = canvas.getContext('2d');
@@ -142,171 +299,751 @@ function createDefaultTexture(gl) {
         ctx.arc(Math.random()*512, Math.random()*512, Math.random()*5+2, 0, Math.PI*2);
         ctx.fill();
     }
-    
-    const tex = gl.createTexture();
-    gl.bindTexture(gl.TEXTURE_2D, tex);
-    gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, canvas);
-    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
-    return tex;
+    return canvas;
+}
+
+// --- Background ---
+// Everything below needs the GL context, so it waits for the start tap
+function toggleCamera() {
+    if (!background) return log("Camera needs WebGL");
+    if (background.kind === 'camera') onboarding.skip('camera'); // Remembered: no camera at the next start
+    else useCamera();
 }
 
-// --- Camera ---
-async function toggleCamera() {
+function useCamera(choice) {
+    if (!background) return;
+    const state = onboarding.states.camera;
+    if (state === 'insecure' || state === 'unsupported') { onboarding.show('camera'); return; }
+    background.useCamera(choice).then(() => onboarding.set('camera', 'granted'), e => {
+        log("Camera: " + e.message);
+        onboarding.fail('camera', e);
+    });
+}
+
+function onBackgroundChange(state) {
     const btn = document.getElementById('btn-cam');
-    if (isCameraActive) {
-        if(videoElement.srcObject) videoElement.srcObject.getTracks().forEach(t=>t.stop());
-        videoElement.srcObject=null; isCameraActive=false; cameraReady=false;
-        btn.innerText = "Camera: OFF"; btn.classList.remove('active');
-    } else {
-        try {
-            const stream = await navigator.mediaDevices.getUserMedia({ video: { facingMode: 'environment' } });
-            videoElement.srcObject = stream; videoElement.play();
-            isCameraActive=true; btn.innerText="Camera: ON"; btn.classList.add('active');
-            videoElement.onplaying = () => cameraReady = true;
-        } catch (e) { alert("Camera Fail: "+e.message); }
-    }
+    const on = state.kind === 'camera';
+    btn.innerText = on ? "Camera: ON" : "Camera: OFF";
+    btn.classList.toggle('active', on);
+    log("Background: " + state.kind + " " + state.width + "x" + state.height + (state.mirror ? ", mirrored" : ""));
+    // Device names only show once camera permission was given
+    if (on) refreshCameraList();
 }
 
-// --- Physics (Optimized) ---
-function initParticles() {
-    const cols = Math.floor(Math.sqrt(CONFIG.particleCount));
-    const spacing = CONFIG.physRadius * 2.2;
-    const startX = (width/window.devicePixelRatio - cols * spacing) / 2; 
-    for(let i=0; i<CONFIG.particleCount; i++){
-        particles.x[i] = startX + (i%cols)*spacing;
-        particles.y[i] = height*0.1 + Math.floor(i/cols)*spacing;
-        particles.prevX[i] = particles.x[i]; particles.prevY[i] = particles.y[i];
-        particles.vx[i]=0; particles.vy[i]=0;
+function refreshCameraList() {
+    const select = document.getElementById('sel-camera');
+    if (!select || !background) return;
+    background.listCameras().then(list => {
+        select.innerHTML = '<option value="">Camera…</option>' +
+            list.map(c => `<option value="${c.deviceId}">${c.label.replace(/</g, '&lt;')}</option>`).join('');
+        select.value = background.state.deviceId || '';
+    });
+}
+
+function useBackgroundFile(file) {
+    if (!background) return;
+    const use = file.type.startsWith('video/') ? background.useVideo(file) : background.useImage(file);
+    use.catch(e => showError(e.message));
+}
+
+// One equirectangular image, or six cube faces told apart by name (px / posx / right, ...)
+const CUBE_FACES = [/(^|[^a-z])(px|posx|right)/i, /(^|[^a-z])(nx|negx|left)/i, /(^|[^a-z])(py|posy|top|up)/i,
+    /(^|[^a-z])(ny|negy|bottom|down)/i, /(^|[^a-z])(pz|posz|front)/i, /(^|[^a-z])(nz|negz|back)/i];
+
+function useEnvironmentFiles(files) {
+    if (!gl) return log("Reflections need WebGL");
+    let src = files[0];
+    if (files.length === 6) {
+        const named = CUBE_FACES.map(re => files.find(f => re.test(f.name)));
+        src = named.every(f => f) && new Set(named).size === 6 ? named : files;
     }
+    Backgrounds.loadEnvironment(gl, src).then(env => {
+        renderer.setEnvironment(env);
+        log("Environment: " + env.kind);
+    }, e => showError(e.message));
 }
 
-function updatePhysics() {
-    const dpr = width / window.innerWidth;
-    for(let i=0; i<CONFIG.particleCount; i++){
-        particles.vx[i] += gravity.x * CONFIG.gravityScale;
-        particles.vy[i] += gravity.y * CONFIG.gravityScale;
-        
-        if(pointer.down) {
-            let dx = particles.x[i] - pointer.x * dpr;
-            let dy = particles.y[i] - pointer.y * dpr;
-            let d2 = dx*dx+dy*dy;
-            let iR = CONFIG.interactionRadius * dpr;
-            if(d2 < iR*iR){
-                let d = Math.sqrt(d2);
-                let f = (1 - d/iR)*4.0;
-                particles.vx[i] += (dx/d)*f;
-                particles.vy[i] += (dy/d)*f;
-            }
+function clearEnvironment() {
+    if (!gl || !renderer.environment) return;
+    renderer.setEnvironment(null);
+    log("Environment: none");
+}
+
+// --- AR (see xr.js) ---
+// WebXR immersive-ar where the browser has it, else the camera behind the water as before
+function toggleAR() {
+    if (!gl) return log("AR needs WebGL");
+    if (ar) { ar.end(); return; }
+    GravityXR.isSupported(xrEnv.xr || navigator.xr).then(ok => {
+        if (!ok || !renderer.canTray) {
+            log("AR: no WebXR immersive-ar, camera backdrop instead");
+            if (background.kind !== 'camera') useCamera({ facing: 'environment' });
+            return;
         }
-        particles.prevX[i] = particles.x[i]; particles.prevY[i] = particles.y[i];
-        particles.x[i] += particles.vx[i]; particles.y[i] += particles.vy[i];
+        const session = GravityXR.create({ gl, xr: xrEnv.xr, XRWebGLLayer: xrEnv.XRWebGLLayer },
+            { aspect: height / width, domOverlay: document.getElementById('controls') });
+        session.on('place', () => log("AR: tray placed"));
+        session.on('end', endAR);
+        return session.start().then(() => {
+            // The session owns the camera now; the tray floor is the default background
+            if (background.kind === 'camera') background.useDefault();
+            renderer.setTray(true);
+            ar = session;
+            document.getElementById('btn-ar').classList.add('active');
+            log("AR: tap a surface to place the tray");
+        });
+    }).catch(e => showError("AR Fail: " + e.message));
+}
+
+function endAR() {
+    ar = null;
+    renderer.setTray(false);
+    document.getElementById('btn-ar').classList.remove('active');
+    log("AR: ended");
+    if (isRunning) requestAnimationFrame(render); // Session frames stopped with it
+}
+
+// ?xr=mock: a scripted phone 1 m up and back, looking down at a floor hit, for desktop testing.
+// window.xrMock drives it from the console (setPose, setHit, select).
+function initXRMock() {
+    if (!/[?&]xr=mock\b/.test(location.search)) return;
+    const a = -Math.PI / 4;
+    xrEnv = GravityXR.mock({ width: window.innerWidth, height: window.innerHeight });
+    xrEnv.setPose({ x: 0, y: 1, z: 1 }, { x: Math.sin(a / 2), y: 0, z: 0, w: Math.cos(a / 2) });
+    xrEnv.setHit(GravityXR.rigidMatrix({ x: 0, y: 0, z: 0 }, { x: 0, y: 0, z: 0, w: 1 }));
+    window.xrMock = xrEnv;
+    log("AR: mock session");
+}
+
+function scheduleFrame() {
+    if (!ar) { requestAnimationFrame(render); return; }
+    ar.requestFrame(render);
+    // Nothing composites a mock session: the page clock ticks it
+    if (xrEnv.tick) requestAnimationFrame(t => xrEnv.tick(t));
+}
+
+// --- Obstacles (see obstacles.js) ---
+function sceneNames() {
+    return Object.keys(SCENES).filter(k => k !== 'mask' || CONFIG.maskUrl);
+}
+
+// Returns a Promise. Synchronous scenes (all but 'mask') are in place before it returns,
+// so a recording that changes scene replays on the same step.
+function applyScene(name) {
+    CONFIG.scene = name;
+    recordEvent('s', name);
+    const btn = document.getElementById('btn-scene');
+    if (btn) btn.innerText = "Scene: " + name.charAt(0).toUpperCase() + name.slice(1);
+    let scene;
+    try { scene = SCENES[name](width, height); } catch (e) { showError(e.message); return Promise.resolve(); }
+    if (scene && typeof scene.then === 'function') {
+        return scene.then(s => {
+            if (CONFIG.scene === name) setScene(s); // Else superseded while the mask was loading
+        }).catch(e => showError(e.message));
     }
+    setScene(scene);
+    return Promise.resolve();
+}
 
-    const boundW = width; 
-    const boundH = height;
-    
-    for(let s=0; s<CONFIG.subSteps; s++){
-        grid = {};
-        for(let i=0; i<CONFIG.particleCount; i++){
-            let k = Math.floor(particles.x[i]/GRID_SIZE) + "," + Math.floor(particles.y[i]/GRID_SIZE);
-            if(!grid[k]) grid[k]=[]; grid[k].push(i);
+function setScene(scene) {
+    const shapes = Array.isArray(scene) ? scene : scene.obstacles || [];
+    solver.setObstacles(shapes);
+    if (solver.setEmitters) { // Not on the GPU path (fixed particle count, no bodies)
+        solver.setEmitters(scene.emitters || []);
+        solver.setDrains(scene.drains || []);
+        solver.setBodies(scene.bodies || []);
+    }
+    obstacleScene.set(shapes);
+    renderer.setScene(obstacleScene);
+}
+
+function nextScene() {
+    const names = sceneNames();
+    applyScene(names[(names.indexOf(CONFIG.scene) + 1) % names.length]);
+}
+
+// --- Physics (see solver.js) ---
+function poolSize() {
+    return Math.max(CONFIG.capacity, CONFIG.particleCount);
+}
+
+const MAX_BODIES = WebGLRenderer.MAX_BODIES; // What fs-water draws; the oldest toy goes past it
+const TOOL_LABELS = { push: 'Push', pull: 'Pull', stir: 'Stir', drag: 'Drag', pour: 'Pour' };
+
+function nextTool() {
+    const tools = FluidSolver.TOOLS;
+    tool = tools[(tools.indexOf(tool) + 1) % tools.length];
+    const btn = document.getElementById('btn-tool');
+    btn.innerText = "Tool: " + TOOL_LABELS[tool];
+    btn.classList.toggle('active', tool !== 'push');
+    if (tool === 'pour' && solver && solver.gpu) log("Pour needs the CPU solver");
+}
+
+// --- Pointers ---
+// Every finger (or the mouse while its button is held) stirs on its own, with its own velocity.
+// A second finger landing right after the first and close to it starts a pinch instead:
+// the spread resizes the touch radius and neither finger touches the water.
+const PINCH_WINDOW = 250;     // ms between the two fingers
+const PINCH_REACH = 300;      // CSS px between them
+
+function onPointerDown(e) {
+    if (e.pointerType === 'mouse' && e.button !== 0) return;
+    e.currentTarget.setPointerCapture(e.pointerId);
+    const t = { x: e.clientX, y: e.clientY, lastX: e.clientX, lastY: e.clientY, vx: 0, vy: 0, tool, since: e.timeStamp, pinch: false };
+    if (e.pointerType === 'touch' && touches.size === 1 && !pinch) {
+        const [id, other] = touches.entries().next().value;
+        const dist = Math.hypot(t.x - other.x, t.y - other.y);
+        if (e.timeStamp - other.since < PINCH_WINDOW && dist < PINCH_REACH && dist > 0) {
+            other.pinch = t.pinch = true;
+            pinch = { a: id, b: e.pointerId, dist, radius: CONFIG.interactionRadius };
         }
-        for(let i=0; i<CONFIG.particleCount; i++){
-            let neighbors = [];
-            let px=particles.x[i], py=particles.y[i];
-            let gx=Math.floor(px/GRID_SIZE), gy=Math.floor(py/GRID_SIZE);
-            for(let x=gx-1; x<=gx+1; x++){
-                for(let y=gy-1; y<=gy+1; y++){
-                    let cell = grid[x+","+y];
-                    if(cell){
-                        for(let j of cell){
-                            if(i===j) continue;
-                            let dx=particles.x[j]-px, dy=particles.y[j]-py, d2=dx*dx+dy*dy;
-                            if(d2 < GRID_SIZE*GRID_SIZE && d2>0.001) neighbors.push({id:j, d:Math.sqrt(d2), dx, dy});
-                        }
-                    }
+    }
+    touches.set(e.pointerId, t);
+}
+
+function onPointerMove(e) {
+    const t = touches.get(e.pointerId);
+    if (!t) return; // Hovering mouse
+    t.x = e.clientX; t.y = e.clientY;
+    if (pinch && t.pinch) {
+        const a = touches.get(pinch.a), b = touches.get(pinch.b);
+        if (a && b) settings.set('interactionRadius', pinch.radius * Math.hypot(a.x - b.x, a.y - b.y) / pinch.dist);
+    }
+}
+
+function onPointerUp(e) {
+    touches.delete(e.pointerId);
+    // The finger left behind stays out of the water until it lifts too
+    if (pinch && (e.pointerId === pinch.a || e.pointerId === pinch.b)) pinch = null;
+}
+
+// Solver pointers for this frame, in canvas pixels. Velocity is per frame, lightly smoothed
+// because events arrive unevenly.
+function pointerInputs(dpr) {
+    const out = [];
+    for (const [id, t] of touches) {
+        t.vx = t.vx * 0.5 + (t.x - t.lastX) * 0.5;
+        t.vy = t.vy * 0.5 + (t.y - t.lastY) * 0.5;
+        t.lastX = t.x; t.lastY = t.y;
+        if (t.pinch) continue;
+        out.push({ id, x: t.x * dpr, y: t.y * dpr, vx: t.vx * dpr, vy: t.vy * dpr, tool: t.tool, phase: CONFIG.pourPhase });
+    }
+    return out;
+}
+
+// Drop a random box or ball (light ones float, heavy ones sink)
+function dropToy() {
+    if (!solver.addBody) return log("Toys need the CPU solver");
+    const s = Math.min(width, height);
+    const density = 0.3 + Math.random() * 1.5;
+    const shade = 1.1 - density * 0.4;
+    const def = Math.random() < 0.5
+        ? { type: 'circle', r: s * (0.03 + Math.random() * 0.04) }
+        : { type: 'box', w: s * (0.05 + Math.random() * 0.1), h: s * (0.04 + Math.random() * 0.06), angle: Math.random() * Math.PI };
+    def.x = width * (0.2 + Math.random() * 0.6);
+    def.y = height * 0.1;
+    def.density = density;
+    def.color = [0.95 * shade, 0.6 * shade + 0.2, 0.25];
+    addToy(def);
+}
+
+function addToy(def) {
+    if (!solver.addBody) return;
+    recordEvent('b', def);
+    if (solver.bodies.length >= MAX_BODIES) solver.removeBody(0); // Oldest goes
+    solver.addBody(def);
+}
+
+// A new solver starts at full quality; the governor works down from there
+function initSolver() {
+    createSolver();
+    if (feedbackTracker) feedbackTracker.clear();
+    parked = [];
+    if (governor) {
+        governor.configure({ subSteps: [1, CONFIG.subSteps], particles: particleBounds() });
+        applyGovernor(governor.reset());
+    }
+}
+
+// ?solver=cpu|worker|gpu picks the backend for this visit, otherwise defaults.js decides
+function solverBackend() {
+    const forced = /[?&]solver=(cpu|worker|gpu)\b/.exec(location.search);
+    if (forced) return forced[1];
+    return CONFIG.useGPU ? 'gpu' : CONFIG.useWorker ? 'worker' : 'cpu';
+}
+
+function createSolver() {
+    const dpr = width / window.innerWidth;
+    const backend = solverBackend();
+    if (backend === 'gpu' && !gl) log("GPU solver needs WebGL, using CPU");
+    else if (backend === 'gpu') {
+        try {
+            solver = GpuSolver.create(gl, {
+                particleCount: CONFIG.gpuParticleCount,
+                width, height,
+                interactionRadius: CONFIG.interactionRadius * dpr
+            }, (vs, fs) => renderer.program(vs, fs));
+            log("Solver: GPU, " + solver.count + " particles");
+            // The count reached is the point of this backend: keep it on screen, not just in the log
+            document.getElementById('profiler').classList.remove('hidden');
+            return;
+        } catch (e) { log("GPU solver: " + e.message + ", using CPU"); }
+    }
+    const cfg = Object.assign({}, CONFIG, {
+        width, height,
+        interactionRadius: CONFIG.interactionRadius * dpr,
+        mixture: MIXTURES[CONFIG.mixturePreset]
+    });
+    if (backend === 'worker' && typeof Worker !== 'undefined') {
+        try {
+            const proxy = FluidSolver.spawn(cfg, {
+                onError: (e) => {
+                    if (solver !== proxy) return;
+                    log("Worker: " + e.message + ", using main thread");
+                    proxy.terminate();
+                    solver = FluidSolver.create(cfg);
                 }
-            }
-            let rho=0, rhoNear=0;
-            for(let n of neighbors){ let q=1-n.d/GRID_SIZE; rho+=q*q; rhoNear+=q*q*q; }
-            let P=CONFIG.stiffness*(rho-CONFIG.restDensity), PNear=CONFIG.stiffnessNear*rhoNear;
-            let dx=0, dy=0;
-            for(let n of neighbors){
-                let q=1-n.d/GRID_SIZE, D=0.5*(P*q+PNear*q*q);
-                let ux=(n.dx/n.d)*D, uy=(n.dy/n.d)*D;
-                particles.x[n.id]+=ux; particles.y[n.id]+=uy; dx-=ux; dy-=uy;
-            }
-            particles.x[i]+=dx; particles.y[i]+=dy;
-        }
-        const m = CONFIG.radius;
-        for(let i=0; i<CONFIG.particleCount; i++){
-            if(particles.x[i]<m) particles.x[i]=m;
-            if(particles.x[i]>boundW-m) particles.x[i]=boundW-m;
-            if(particles.y[i]<m) particles.y[i]=m;
-            if(particles.y[i]>boundH-m) particles.y[i]=boundH-m;
-        }
+            });
+            solver = proxy;
+            log("Solver: worker");
+            return;
+        } catch (e) { log("Worker fail: " + e.message); }
     }
+    solver = FluidSolver.create(cfg);
+}
 
-    for(let i=0; i<CONFIG.particleCount; i++){
-        particles.vx[i] = (particles.x[i]-particles.prevX[i])*CONFIG.damping;
-        particles.vy[i] = (particles.y[i]-particles.prevY[i])*CONFIG.damping;
+// Solver-facing subset of the settings (touch radius arrives in CSS pixels)
+function solverSettings() {
+    const out = {};
+    for (const entry of SETTINGS_SCHEMA) {
+        if (entry.group === 'Shading' || entry.group === 'Input' || entry.group === 'Performance' || entry.group === 'Feedback' || entry.rebuild || (solver.gpu && entry.cpuOnly)) continue;
+        out[entry.key] = CONFIG[entry.key];
     }
+    out.interactionRadius = CONFIG.interactionRadius * width / window.innerWidth;
+    if (governor) out.subSteps = governor.state.subSteps;
+    return out;
 }
 
-// --- Render ---
-function render() {
-    if(!isRunning) return;
-    updatePhysics();
-
-    gl.bindFramebuffer(gl.FRAMEBUFFER, framebuffers.water.fb);
-    gl.viewport(0, 0, framebuffers.water.width, framebuffers.water.height);
-    gl.clearColor(0,0,0,0); gl.clear(gl.COLOR_BUFFER_BIT);
-    gl.useProgram(programs.particles);
-
-    const pos = new Float32Array(CONFIG.particleCount*2);
-    for(let i=0; i<CONFIG.particleCount; i++){ pos[i*2]=particles.x[i]; pos[i*2+1]=particles.y[i]; }
-    gl.bindBuffer(gl.ARRAY_BUFFER, buffers.particles);
-    gl.bufferSubData(gl.ARRAY_BUFFER, 0, pos);
-    
-    gl.enableVertexAttribArray(gl.getAttribLocation(programs.particles, 'a_position'));
-    gl.vertexAttribPointer(gl.getAttribLocation(programs.particles, 'a_position'), 2, gl.FLOAT, false, 0, 0);
-    gl.uniform2f(gl.getUniformLocation(programs.particles, 'u_resolution'), framebuffers.water.width, framebuffers.water.height);
-    gl.uniform1f(gl.getUniformLocation(programs.particles, 'u_pointSize'), CONFIG.radius * 3.0); 
-    gl.enable(gl.BLEND); gl.blendFunc(gl.SRC_ALPHA, gl.ONE);
-    gl.drawArrays(gl.POINTS, 0, CONFIG.particleCount);
-
-    gl.bindFramebuffer(gl.FRAMEBUFFER, null);
-    gl.viewport(0, 0, width, height);
-    gl.useProgram(programs.water);
-
-    // Get Slider Values
-    const thickVal = document.getElementById('val-thickness').value;
-    const densVal = document.getElementById('val-density').value;
-
-    gl.activeTexture(gl.TEXTURE0); gl.bindTexture(gl.TEXTURE_2D, framebuffers.water.tex);
-    gl.uniform1i(gl.getUniformLocation(programs.water, 'u_particles'), 0);
-
-    gl.activeTexture(gl.TEXTURE1);
-    if (isCameraActive && cameraReady) {
-        gl.bindTexture(gl.TEXTURE_2D, textures.camera);
-        try { gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, videoElement); } catch(e){}
+// New solver with the current CONFIG. Safe between frames: render() picks it up on the next one.
+function rebuildSimulation() {
+    if (solver.terminate) solver.terminate();
+    if (solver.dispose) solver.dispose();
+    renderer.setPool(poolSize()); // The pool may have grown past the GL buffers
+    initSolver();
+    applyScene(CONFIG.scene);
+    log("Rebuilt: " + solver.count + " particles");
+}
+
+// --- Settings (see settings.js) ---
+function initSettings() {
+    settings = Settings.create(SETTINGS_SCHEMA, CONFIG, { storageKey: 'gravity-water.settings' });
+    // A shared link wins over what this browser saved
+    settings.apply(Object.assign(settings.load(), settings.decode(location.hash)));
+    settings.subscribe(onSettingsChange);
+
+    const panel = document.getElementById('settings-panel');
+    Settings.buildPanel(panel, settings, {
+        presets: PRESETS,
+        actions: [{ label: 'Share', run: shareSettings }]
+    });
+    buildTiltControls(panel);
+    buildBackgroundControls(panel);
+    buttonGroup(panel, 'Profiler', { 'Show / hide': toggleProfiler });
+    buildSessionControls(panel);
+    // Dragging a slider must not stir the water (window touchmove) or start the app
+    ['touchstart', 'touchmove', 'click'].forEach(t => panel.addEventListener(t, e => e.stopPropagation()));
+    window.addEventListener('hashchange', () => settings.apply(settings.decode(location.hash)));
+}
+
+function onSettingsChange(changes) {
+    recordEvent('c', changes);
+    settings.save();
+    const hash = settings.encode();
+    history.replaceState(null, '', hash ? '#' + hash : location.pathname + location.search);
+    if (tilt) tilt.configure({ scale: CONFIG.tiltGain, smoothing: CONFIG.tiltSmoothing });
+    if (governor) {
+        governor.configure({ targetFps: CONFIG.targetFps, subSteps: [1, CONFIG.subSteps] });
+        if ('subSteps' in changes) governor.state.subSteps = CONFIG.subSteps;
+        if (changes.governor === 'fixed' && renderer) applyGovernor(governor.reset());
+    }
+    if ('quality' in changes && renderer) updateQuality();
+    if (feedback) {
+        feedback.setVolume(CONFIG.volume);
+        feedback.setHaptics(CONFIG.haptics === 'on');
+    }
+    if (!solver) return;
+    if (SETTINGS_SCHEMA.some(e => e.rebuild && e.key in changes)) {
+        if (solver.gpu) log("GPU solver: particle settings apply to the CPU solver only");
+        else rebuildSimulation();
     } else {
-        gl.bindTexture(gl.TEXTURE_2D, textures.bg);
+        solver.configure(solverSettings());
     }
-    gl.uniform1i(gl.getUniformLocation(programs.water, 'u_bg'), 1);
-    gl.uniform2f(gl.getUniformLocation(programs.water, 'u_resolution'), width, height);
-    
-    // Pass Uniforms
-    gl.uniform1f(gl.getUniformLocation(programs.water, 'u_refractionStr'), parseFloat(thickVal));
-    gl.uniform1f(gl.getUniformLocation(programs.water, 'u_density'), parseFloat(densVal));
+}
+
+// Fieldset of buttons appended to the settings panel
+function buttonGroup(panel, legend, actions) {
+    const group = document.createElement('fieldset');
+    group.innerHTML = `<legend>${legend}</legend>`;
+    const row = document.createElement('div');
+    row.className = 'settings-head';
+    for (const label in actions) {
+        const btn = document.createElement('button');
+        btn.textContent = label;
+        btn.addEventListener('click', actions[label]);
+        row.appendChild(btn);
+    }
+    group.appendChild(row);
+    panel.appendChild(group);
+    return group;
+}
+
+function buildTiltControls(panel) {
+    buttonGroup(panel, 'Tilt', {
+        Calibrate: calibrateTilt,
+        'Reset tilt': () => { tilt.resetCalibration(); log("Tilt: calibration cleared"); }
+    });
+}
+
+function buildBackgroundControls(panel) {
+    const media = document.createElement('input');
+    media.type = 'file';
+    media.accept = 'image/*,video/*';
+    media.style.display = 'none';
+    media.addEventListener('change', () => { if (media.files[0]) useBackgroundFile(media.files[0]); media.value = ''; });
+    const env = document.createElement('input');
+    env.type = 'file';
+    env.accept = 'image/*';
+    env.multiple = true;
+    env.style.display = 'none';
+    env.addEventListener('change', () => { if (env.files.length) useEnvironmentFiles(Array.from(env.files)); env.value = ''; });
+    const group = buttonGroup(panel, 'Background', {
+        'Image / video…': () => media.click(),
+        Camera: () => useCamera(),
+        'Switch camera': () => { if (background) background.switchCamera().catch(e => showError("Camera Fail: " + e.message)); },
+        Mirror: () => { if (background) background.setMirror(!background.state.mirror); },
+        Default: () => { if (background) background.useDefault(); },
+        'Environment…': () => env.click(),
+        'No environment': clearEnvironment
+    });
+    const select = document.createElement('select');
+    select.id = 'sel-camera';
+    select.innerHTML = '<option value="">Camera…</option>';
+    select.addEventListener('focus', refreshCameraList);
+    select.addEventListener('change', () => { if (select.value) useCamera({ deviceId: select.value }); });
+    group.querySelector('.settings-head').appendChild(select);
+    group.appendChild(media);
+    group.appendChild(env);
+}
+
+// Replay / save / load / export, under the settings
+function buildSessionControls(panel) {
+    const file = document.createElement('input');
+    file.type = 'file';
+    file.accept = 'application/json,.json';
+    file.style.display = 'none';
+    file.addEventListener('change', () => { if (file.files[0]) loadRecording(file.files[0]); file.value = ''; });
+    const group = buttonGroup(panel, 'Session', {
+        Replay: replayLast,
+        Save: saveRecording,
+        'Load…': () => file.click(),
+        WebM: () => exportReplay('webm'),
+        GIF: () => exportReplay('gif')
+    });
+    group.appendChild(file);
+}
+
+function shareSettings() {
+    const url = location.href;
+    if (navigator.clipboard) navigator.clipboard.writeText(url).then(() => log("Link copied"), () => prompt("Copy link", url));
+    else prompt("Copy link", url);
+}
+
+function toggleSettings() {
+    const panel = document.getElementById('settings-panel');
+    panel.classList.toggle('hidden');
+    document.getElementById('btn-settings').classList.toggle('active', !panel.classList.contains('hidden'));
+}
+
+function initParticles() {
+    recordEvent('r', CONFIG.mixturePreset);
+    if (renderer && renderer.foam) renderer.foam.clear();
+    solver.reset(undefined, MIXTURES[CONFIG.mixturePreset]);
+    if (feedbackTracker) feedbackTracker.clear();
+    // Recordings start here: replays must not depend on what the governor did before
+    parked = [];
+    if (governor) applyGovernor(governor.reset());
+}
+
+function setMixture(name) {
+    CONFIG.mixturePreset = name;
+    document.getElementById('sel-mixture').value = name;
+    initParticles();
+}
+
+// Returns whether the solver advanced (a worker still busy with the last frame skips it)
+function updatePhysics() {
+    let inputs;
+    if (player) {
+        if (solver.busy) return false; // A replay must not lose steps
+        inputs = player.next();
+        if (!inputs) { finishReplay(); return false; }
+    } else {
+        tilt.update(1 / 60);
+        // Pointers arrive in CSS pixels, the solver works in canvas pixels
+        inputs = { gravity, pointers: pointerInputs(width / window.innerWidth) };
+        if (recorder) inputs = recorder.quantize(inputs);
+    }
+    if (solver.step(1 / 60, inputs) === false) return false;
+    if (recorder) recorder.step(inputs);
+    return true;
+}
+
+// --- Recording (see recorder.js) ---
+// Event types besides gravity / pointers: 'r' reset (mixture), 's' scene, 'b' toy (body), 'c' settings
+function recordEvent(type, data) {
+    if (recorder) recorder.event(type, data);
+}
+
+function replayEvent(type, args) {
+    if (type === 'r') setMixture(args[0]);
+    else if (type === 's') applyScene(args[0]);
+    else if (type === 'b') addToy(args[0]);
+    else if (type === 'c') settings.apply(args[0]);
+}
+
+// A recording starts from a fresh reset of the current scene
+function toggleRecording() {
+    if (recorder) return stopRecording();
+    stopReplay();
+    applyScene(CONFIG.scene).then(() => {
+        initParticles();
+        recorder = Recorder.create({
+            settings: settings.diff(),
+            mixturePreset: CONFIG.mixturePreset,
+            scene: CONFIG.scene,
+            width, height,
+            solver: solver.gpu ? 'gpu' : 'cpu'
+        });
+        const btn = document.getElementById('btn-rec');
+        btn.innerText = "Stop"; btn.classList.add('active');
+        log("Recording...");
+    });
+}
+
+function stopRecording() {
+    lastRecording = recorder.stop();
+    recorder = null;
+    const btn = document.getElementById('btn-rec');
+    btn.innerText = "Rec"; btn.classList.remove('active');
+    log("Recorded " + lastRecording.frames + " frames, " + lastRecording.events.length + " events");
+}
+
+function startReplay(rec) {
+    if (recorder) stopRecording();
+    const h = rec.header;
+    if (h.width !== width || h.height !== height) log("Recorded at " + h.width + "x" + h.height + ", this replay will differ");
+    if (h.solver === 'gpu' || solver.gpu) log("GPU solver: replays are not bit-exact");
+    settings.apply(Object.assign({}, settings.defaults, h.settings));
+    CONFIG.mixturePreset = h.mixturePreset;
+    return applyScene(h.scene).then(() => {
+        setMixture(h.mixturePreset);
+        player = Recorder.play(rec, replayEvent);
+        log("Replay: " + rec.frames + " frames");
+    });
+}
+
+function stopReplay() {
+    player = null;
+    if (exporter) { exporter.cancel(); exporter = null; }
+}
+
+function finishReplay() {
+    player = null;
+    if (exporter) { exporter.finish(); exporter = null; }
+    log("Replay done");
+}
+
+function replayLast() {
+    if (!lastRecording) return log("Record something first");
+    startReplay(lastRecording);
+}
+
+function saveRecording() {
+    if (!lastRecording) return log("Record something first");
+    download(new Blob([Recorder.stringify(lastRecording)], { type: 'application/json' }), fileName('json'));
+}
+
+function loadRecording(file) {
+    file.text().then(text => {
+        lastRecording = Recorder.parse(text);
+        return startReplay(lastRecording);
+    }).catch(e => showError("Recording: " + e.message));
+}
+
+function fileName(ext) {
+    return 'gravity-water-' + new Date().toISOString().replace(/[:.]/g, '-') + '.' + ext;
+}
 
-    gl.bindBuffer(gl.ARRAY_BUFFER, buffers.quad);
-    gl.enableVertexAttribArray(gl.getAttribLocation(programs.water, 'a_position'));
-    gl.vertexAttribPointer(gl.getAttribLocation(programs.water, 'a_position'), 2, gl.FLOAT, false, 0, 0);
-    gl.disable(gl.BLEND);
-    gl.drawArrays(gl.TRIANGLES, 0, 6);
+function download(blob, name) {
+    const a = document.createElement('a');
+    a.href = URL.createObjectURL(blob);
+    a.download = name;
+    a.click();
+    setTimeout(() => URL.revokeObjectURL(a.href), 1000);
+}
+
+// --- Export: replays the last recording and captures one frame per solver step ---
+const GIF_MAX_WIDTH = 320;
+
+function exportReplay(format) {
+    if (!lastRecording) return log("Record something first");
+    if (exporter) return log("Export already running");
+    try {
+        exporter = format === 'gif' ? gifExporter() : webmExporter(renderer.canvas);
+    } catch (e) { return showError("Export: " + e.message); }
+    log("Exporting " + format.toUpperCase() + "...");
+    startReplay(lastRecording);
+}
+
+function webmExporter(canvas) {
+    if (typeof MediaRecorder === 'undefined' || !canvas.captureStream) throw new Error("MediaRecorder unsupported");
+    const type = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm'].find(t => MediaRecorder.isTypeSupported(t));
+    if (!type) throw new Error("WebM unsupported");
+    const stream = canvas.captureStream(0); // No automatic frames: one is pushed per step
+    const track = stream.getVideoTracks()[0];
+    const chunks = [];
+    const rec = new MediaRecorder(stream, { mimeType: type });
+    rec.ondataavailable = e => { if (e.data.size) chunks.push(e.data); };
+    rec.onstop = () => download(new Blob(chunks, { type: 'video/webm' }), fileName('webm'));
+    rec.start();
+    return {
+        frame() { if (track.requestFrame) track.requestFrame(); else if (stream.requestFrame) stream.requestFrame(); },
+        finish() { rec.stop(); track.stop(); },
+        cancel() { rec.onstop = null; rec.stop(); track.stop(); }
+    };
+}
+
+// Frames come off whichever canvas the renderer draws, scaled down by the 2D context
+function gifExporter() {
+    const scale = Math.min(1, GIF_MAX_WIDTH / width);
+    const w = Math.max(1, Math.round(width * scale)), h = Math.max(1, Math.round(height * scale));
+    const encoder = GifEncoder.create(w, h, { delay: 3 });
+    const small = document.createElement('canvas');
+    small.width = w; small.height = h;
+    const ctx = small.getContext('2d', { willReadFrequently: true });
+    let count = 0;
+    return {
+        frame() {
+            if (count++ % 2) return; // 30 fps
+            // Must run right after drawing: the WebGL drawing buffer is not preserved
+            ctx.drawImage(renderer.canvas, 0, 0, w, h);
+            encoder.addFrame(ctx.getImageData(0, 0, w, h).data);
+        },
+        finish() { download(new Blob([encoder.finish()], { type: 'image/gif' }), fileName('gif')); },
+        cancel() {}
+    };
+}
+
+// --- Performance (see governor.js) ---
+function initGovernor() {
+    governor = Governor.create({
+        targetFps: CONFIG.targetFps,
+        subSteps: [1, CONFIG.subSteps],
+        particles: particleBounds()
+    });
+}
+
+// Particles can only be parked where the solver lives on this thread and has a pool
+function particleBounds() {
+    return solver && solver.remove && !solver.gpu ? [0.5, 1] : [1, 1];
+}
+
+function measureFrame(interval, cpu, physics) {
+    // Recordings and replays need fixed settings to stay deterministic
+    governor.hold = CONFIG.governor !== 'adaptive' || !!recorder || !!player;
+    const change = governor.sample({ interval, cpu, physics, gpu: gpuTimer.poll() });
+    if (change) {
+        log("Governor: " + change.knob + " " + change.value);
+        applyGovernor(change.state);
+    }
+    updateProfiler();
+}
+
+function applyGovernor(state) {
+    if (state.scale !== resolutionScale) {
+        resolutionScale = state.scale;
+        updateQuality();
+    }
+    if (solver) {
+        solver.configure({ subSteps: state.subSteps });
+        setActiveParticles(state.particles);
+    }
+}
+
+// Parks particles off the end of the pool, or rains parked ones back in along the top
+function setActiveParticles(fraction) {
+    if (!solver.remove || solver.gpu) return;
+    const wanted = Math.round(CONFIG.particleCount * (1 - fraction));
+    while (parked.length < wanted && solver.count > 0) {
+        const i = solver.count - 1;
+        parked.push(solver.particles.phase[i]);
+        solver.remove(i);
+    }
+    while (parked.length > wanted) {
+        const x = width * (0.2 + 0.6 * Math.random()), y = CONFIG.radius + Math.random() * height * 0.1;
+        if (solver.add(x, y, 0, 0, parked[parked.length - 1]) < 0) break;
+        parked.pop();
+    }
+}
+
+function toggleProfiler() {
+    document.getElementById('profiler').classList.toggle('hidden');
+    profilerUpdated = 0;
+}
+
+// A few times a second while shown
+function updateProfiler() {
+    const el = document.getElementById('profiler');
+    const now = performance.now();
+    if (el.classList.contains('hidden') || now - profilerUpdated < 250) return;
+    profilerUpdated = now;
+    const s = governor.stats, g = governor.state, water = renderer.target;
+    const ms = v => v === null ? 'n/a' : v.toFixed(1) + ' ms';
+    el.textContent = [
+        'FPS ' + s.fps.toFixed(0) + ' / ' + CONFIG.targetFps + '   frame ' + ms(s.interval),
+        'cpu ' + ms(s.cpu) + '   physics ' + ms(s.physics) + '   gpu ' + (gpuTimer.supported ? ms(s.gpu) : 'n/a'),
+        'particles ' + solver.count + (parked.length ? ' (' + parked.length + ' parked)' : '') +
+            '   substeps ' + g.subSteps + '/' + CONFIG.subSteps,
+        'quality ' + CONFIG.quality + '   ' + renderer.name + ' ' + water.width + 'x' + water.height + ' (' + Math.round(g.scale * 100) + '%)',
+        'governor ' + (CONFIG.governor !== 'adaptive' ? 'fixed' : governor.hold ? 'held (recording)' : 'adaptive') +
+            '   solver ' + (solver.gpu ? 'GPU' : solver.terminate ? 'worker' : 'CPU')
+    ].join('\n');
+}
 
-    requestAnimationFrame(render);
+// --- Render ---
+// One frame: inputs, a solver step, the renderer's drawing, then the governor's measurement
+function render(time, xrFrame) {
+    if(!isRunning || renderer.lost) return;
+    if (gpuSnapshot && !document.hidden) gpuSnapshot = null; // Came back with the context intact
+    const frameStart = performance.now();
+    const interval = lastFrameStart ? frameStart - lastFrameStart : 0;
+    lastFrameStart = frameStart;
+    gpuTimer.begin();
+    const xrView = ar && xrFrame ? ar.frame(xrFrame) : null;
+    if (xrView) tilt.handlePose(xrView.up); // The device pose is the tilt sensor in AR
+    const stepped = updatePhysics();
+    updateFeedback();
+    const physicsTime = performance.now() - frameStart;
+    renderer.draw({
+        solver, stepped, xrView,
+        gravity: { x: gravity.x * CONFIG.gravityScale, y: gravity.y * CONFIG.gravityScale },
+        shading: WebGLRenderer.shading(CONFIG, tilt.direction)
+    });
+    gpuTimer.end();
+    if (exporter && stepped) exporter.frame();
+
+    measureFrame(interval, performance.now() - frameStart, physicsTime);
+    scheduleFrame();
 }
 
 // --- Boot ---
@@ -316,24 +1053,108 @@ function startGame(e) {
     
     document.getElementById('ui-layer').classList.add('hidden');
     document.getElementById('controls').classList.remove('hidden');
+    feedback.resume(); // Audio only starts from a tap
 
-    if (initWebGL()) {
-        initParticles();
+    if (initRenderer()) {
+        bindCanvas(renderer.canvas);
+        initSolver();
+        initGovernor();
+        applyScene(CONFIG.scene);
         isRunning = true;
         render();
-        
-        if(typeof DeviceMotionEvent !== 'undefined' && typeof DeviceMotionEvent.requestPermission === 'function'){
-            DeviceMotionEvent.requestPermission()
-                .then(r => { if (r === 'granted') window.addEventListener('devicemotion', handleMotion); })
-                .catch(err => log("Sensors: " + err));
-        } else {
-            window.addEventListener('devicemotion', handleMotion);
-        }
+        // Motion needs the start tap on iOS; the camera only comes on if it was chosen on the start screen
+        onboarding.start().then(states => {
+            if (states.motion !== 'granted') log("Sensors: " + states.motion);
+            // No readings soon after start: offer the on-screen stick (keyboard and gamepad always work)
+            setTimeout(() => {
+                if (!tilt.hasSensor) document.getElementById('joystick').classList.remove('hidden');
+            }, states.motion === 'granted' ? 1500 : 0);
+            if (states.camera === 'granted') useCamera();
+        });
     }
 }
 
+// --- Sound and vibration (see feedback.js) ---
+function initFeedback() {
+    feedback = Feedback.create({ volume: CONFIG.volume, haptics: CONFIG.haptics === 'on' });
+    feedbackTracker = Feedback.tracker();
+}
+
+// Once per rendered frame; a worker solver's frame may not be back yet (solver.time unchanged)
+function updateFeedback() {
+    if (!feedback || solver.gpu) return;
+    const frames = (solver.time - feedbackTime) * 60;
+    feedbackTime = solver.time;
+    const pair = feedbackTracker.push(solver.positions, solver.count, frames, solver.ids);
+    if (!pair) return;
+    const metrics = Feedback.analyze(pair.prev, pair.cur, {
+        width, height, margin: solver.config.radius, gravity, obstacles: obstacleScene
+    });
+    feedback.update(metrics, width, frames / 60);
+}
+
+// --- Tilt (see input.js) ---
+function initTilt() {
+    tilt = GravityInput.create({ scale: CONFIG.tiltGain, manualScale: 1, smoothing: CONFIG.tiltSmoothing });
+    gravity = tilt.gravity;
+    attachTilt();
+    tilt.bindJoystick(document.getElementById('joystick'));
+}
+
+// Skipped motion sensors: listen to an event target that never fires, keys still come from the window
+function attachTilt() {
+    tilt.attach(onboarding.states.motion === 'skipped' ? new EventTarget() : window, window);
+}
+
+// --- Permissions (see onboarding.js) ---
+function initOnboarding() {
+    onboarding = Onboarding.create(document.getElementById('onboarding'), document.getElementById('permission-notice'), {
+        requestMotion: GravityInput.requestPermission,
+        // Before the start tap there is no GL to show the camera: only ask, startGame turns it on
+        requestCamera: () => background ? background.useCamera() : askCamera(),
+        onChange: onPermissionChange
+    });
+}
+
+function askCamera() {
+    return navigator.mediaDevices.getUserMedia({ video: true, audio: false })
+        .then(stream => stream.getTracks().forEach(t => t.stop()));
+}
+
+function onPermissionChange(kind, state) {
+    log("Permission: " + kind + " " + state);
+    if (kind === 'motion' && tilt) attachTilt();
+    if (kind === 'camera' && state !== 'granted' && background && background.kind === 'camera') background.useDefault();
+}
+
+// --- Offline (sw.js) ---
+// Needs a secure context (https or localhost). ?sw=off unregisters it, for working on the files.
+function registerServiceWorker() {
+    if (!('serviceWorker' in navigator)) return;
+    if (/[?&]sw=off\b/.test(location.search)) {
+        navigator.serviceWorker.getRegistrations().then(list => list.forEach(r => r.unregister()));
+        return;
+    }
+    navigator.serviceWorker.register('sw.js').then(
+        () => log("Offline: ready"),
+        e => log("Offline: " + e.message));
+}
+
+// However the phone is held now becomes "level"
+function calibrateTilt() {
+    if (!tilt.hasSensor) { log("Tilt: no sensor to calibrate"); return; }
+    tilt.calibrate();
+    log("Tilt: calibrated");
+}
+
 window.addEventListener('load', () => {
     videoElement = document.getElementById('cam-video');
+    initSettings();
+    initOnboarding();
+    initTilt();
+    initFeedback();
+    registerServiceWorker();
+    initXRMock();
     const startBtn = document.getElementById('start-btn');
     if(startBtn) {
         startBtn.addEventListener('touchend', startGame);
@@ -341,18 +1162,33 @@ window.addEventListener('load', () => {
     }
     document.body.addEventListener('click', (e) => {
         // Only trigger global start if not clicking UI controls
-        if (!isRunning && e.target.tagName !== 'INPUT' && e.target.tagName !== 'BUTTON') startGame(e);
+        if (!isRunning && e.target.tagName !== 'INPUT' && e.target.tagName !== 'BUTTON' && e.target.tagName !== 'SELECT') startGame(e);
     });
     document.getElementById('btn-cam').addEventListener('click', toggleCamera);
+    document.getElementById('btn-ar').addEventListener('click', toggleAR);
     document.getElementById('btn-reset').addEventListener('click', initParticles);
-    
-    window.addEventListener('touchmove', e=>{e.preventDefault(); pointer.x=e.touches[0].clientX; pointer.y=e.touches[0].clientY; pointer.down=true;}, {passive:false});
-    window.addEventListener('touchend', ()=>pointer.down=false);
-    window.addEventListener('mousemove', e=>{pointer.x=e.clientX; pointer.y=e.clientY; pointer.down=true;});
-    window.addEventListener('mouseup', ()=>pointer.down=false);
+    document.getElementById('sel-mixture').addEventListener('change', e => setMixture(e.target.value));
+    document.getElementById('btn-scene').addEventListener('click', nextScene);
+    document.getElementById('btn-tool').addEventListener('click', nextTool);
+    document.getElementById('btn-toy').addEventListener('click', dropToy);
+    document.getElementById('btn-settings').addEventListener('click', toggleSettings);
+    document.getElementById('btn-rec').addEventListener('click', toggleRecording);
+    // iOS drops the context of a hidden page: read the GPU particles back while that still works
+    document.addEventListener('visibilitychange', () => {
+        if (document.hidden && solver && solver.gpu && !device.lost) gpuSnapshot = solver.getState();
+        if (document.hidden) feedback.suspend();
+        else if (isRunning) feedback.resume();
+    });
 });
 
-function handleMotion(e) {
-    let acc = e.accelerationIncludingGravity;
-    if (acc) { gravity.x = -(acc.x||0) * 0.5; gravity.y = (acc.y||0) * 0.5; }
+// Bound at start: the Canvas 2D fallback may have swapped the canvas
+function bindCanvas(canvas) {
+    // Holding still must keep pouring, so a touch counts from pointerdown
+    canvas.addEventListener('pointerdown', onPointerDown);
+    canvas.addEventListener('pointermove', onPointerMove);
+    canvas.addEventListener('pointerup', onPointerUp);
+    canvas.addEventListener('pointercancel', onPointerUp);
+    // Long-press menus and page scroll would steal the touch (body has touch-action: none)
+    canvas.addEventListener('contextmenu', e => e.preventDefault());
 }
+
@@ -0,0 +1,145 @@
+// foam.js - Whitewater: short-lived spray particles thrown off fast water at the surface
+// Purely visual and fed from the solver's positions, so it works with the main-thread and
+// worker solvers alike (not the GPU solver, whose positions never leave the GPU).
+// Fluid velocity is taken from the position change since the last update, the density
+// gradient from a coarse count grid. Output is interleaved x, y, life (1 at birth, 0 dead).
+
+(function (root) {
+    'use strict';
+
+    const DEFAULTS = {
+        capacity: 2000,
+        cell: 30,            // Density grid cell (px), about two physics radii
+        speedMin: 3,         // px/frame: slower water never foams
+        speedMax: 10,        // Full potential from here
+        maxSpeed: 60,        // Jumps beyond this are respawned / removed particles, not motion
+        rate: 0.15,          // Foam particles per fluid particle per frame at full potential
+        lifeMin: 0.5,        // s
+        lifeMax: 1.4,
+        drag: 0.985,
+        seed: 1
+    };
+
+    function mulberry32(a) {
+        return function () {
+            a |= 0; a = a + 0x6D2B79F5 | 0;
+            let t = Math.imul(a ^ a >>> 15, 1 | a);
+            t = t + Math.imul(t ^ t >>> 7, 61 | t) ^ t;
+            return ((t ^ t >>> 14) >>> 0) / 4294967296;
+        };
+    }
+
+    function create(options) {
+        const cfg = Object.assign({}, DEFAULTS, options);
+        const cap = cfg.capacity;
+        const data = new Float32Array(cap * 3);     // x, y, life (normalized)
+        const vel = new Float32Array(cap * 2);
+        const age = new Float32Array(cap * 2);      // seconds left, total
+        const rng = mulberry32(cfg.seed);
+        let count = 0;
+        let prev = new Float32Array(0), prevCount = 0;
+        let grid = new Int32Array(0), cols = 0, rows = 0;
+
+        function countGrid(pos, n, width, height) {
+            const c = Math.max(1, Math.ceil(width / cfg.cell)), r = Math.max(1, Math.ceil(height / cfg.cell));
+            if (c !== cols || r !== rows) { cols = c; rows = r; grid = new Int32Array(c * r); }
+            grid.fill(0);
+            let max = 1;
+            for (let i = 0; i < n; i++) {
+                const gi = cellOf(pos[i * 2], pos[i * 2 + 1]);
+                if (++grid[gi] > max) max = grid[gi];
+            }
+            return max;
+        }
+
+        function cellOf(x, y) {
+            const cx = Math.min(cols - 1, Math.max(0, Math.floor(x / cfg.cell)));
+            const cy = Math.min(rows - 1, Math.max(0, Math.floor(y / cfg.cell)));
+            return cy * cols + cx;
+        }
+
+        function at(cx, cy) {
+            return cx < 0 || cy < 0 || cx >= cols || cy >= rows ? 0 : grid[cy * cols + cx];
+        }
+
+        function spawn(x, y, vx, vy) {
+            if (count >= cap) return;
+            const life = cfg.lifeMin + rng() * (cfg.lifeMax - cfg.lifeMin);
+            data[count * 3] = x + (rng() - 0.5) * cfg.cell * 0.3;
+            data[count * 3 + 1] = y + (rng() - 0.5) * cfg.cell * 0.3;
+            data[count * 3 + 2] = 1;
+            vel[count * 2] = vx * (0.8 + rng() * 0.4) + (rng() - 0.5);
+            vel[count * 2 + 1] = vy * (0.8 + rng() * 0.4) + (rng() - 0.5);
+            age[count * 2] = age[count * 2 + 1] = life;
+            count++;
+        }
+
+        // One rendered frame: pos / n are the solver's interleaved positions after stepping,
+        // k the step in 60Hz frames, (gx, gy) gravity per frame² as the water feels it.
+        function update(pos, n, k, gx, gy, width, height) {
+            const dt = k / 60;
+            // Age and move the foam we have
+            for (let i = count - 1; i >= 0; i--) {
+                age[i * 2] -= dt;
+                if (age[i * 2] <= 0) { removeAt(i); continue; }
+                let vx = vel[i * 2] + gx * k, vy = vel[i * 2 + 1] + gy * k;
+                vx *= cfg.drag; vy *= cfg.drag;
+                let x = data[i * 3] + vx * k, y = data[i * 3 + 1] + vy * k;
+                if (x < 0) { x = 0; vx = 0; } else if (x > width) { x = width; vx = 0; }
+                if (y < 0) { y = 0; vy = 0; } else if (y > height) { y = height; vy *= -0.2; }
+                data[i * 3] = x; data[i * 3 + 1] = y; data[i * 3 + 2] = age[i * 2] / age[i * 2 + 1];
+                vel[i * 2] = vx; vel[i * 2 + 1] = vy;
+            }
+
+            // New foam from fast particles, more where the density falls off (crests, spray)
+            if (prevCount > 0 && k > 0) {
+                const max = countGrid(pos, n, width, height);
+                const m = Math.min(n, prevCount);
+                for (let i = 0; i < m; i++) {
+                    const x = pos[i * 2], y = pos[i * 2 + 1];
+                    const vx = (x - prev[i * 2]) / k, vy = (y - prev[i * 2 + 1]) / k;
+                    const speed = Math.sqrt(vx * vx + vy * vy);
+                    if (speed < cfg.speedMin || speed > cfg.maxSpeed) continue;
+                    const ke = Math.min(1, (speed - cfg.speedMin) / (cfg.speedMax - cfg.speedMin));
+                    const cx = Math.floor(x / cfg.cell), cy = Math.floor(y / cfg.cell);
+                    const gdx = at(cx + 1, cy) - at(cx - 1, cy), gdy = at(cx, cy + 1) - at(cx, cy - 1);
+                    const grad = Math.min(1, Math.sqrt(gdx * gdx + gdy * gdy) / max);
+                    let owed = ke * (0.25 + 0.75 * grad) * cfg.rate * k;
+                    while (owed > 0 && (owed >= 1 || rng() < owed)) { spawn(x, y, vx, vy); owed -= 1; }
+                }
+            }
+
+            if (prev.length < pos.length) prev = new Float32Array(pos.length);
+            prev.set(pos.subarray(0, n * 2));
+            prevCount = n;
+            return count;
+        }
+
+        function removeAt(i) {
+            const last = --count;
+            if (i === last) return;
+            data[i * 3] = data[last * 3]; data[i * 3 + 1] = data[last * 3 + 1]; data[i * 3 + 2] = data[last * 3 + 2];
+            vel[i * 2] = vel[last * 2]; vel[i * 2 + 1] = vel[last * 2 + 1];
+            age[i * 2] = age[last * 2]; age[i * 2 + 1] = age[last * 2 + 1];
+        }
+
+        // Drop all foam and forget the last positions (reset, new scene: no velocities from the jump)
+        function clear() {
+            count = 0;
+            prevCount = 0;
+        }
+
+        return {
+            config: cfg,
+            data,
+            get count() { return count; },
+            update,
+            clear
+        };
+    }
+
+    const Foam = { DEFAULTS, create };
+
+    if (typeof module !== 'undefined' && module.exports) module.exports = Foam;
+    else root.Foam = Foam;
+})(typeof self !== 'undefined' ? self : this);
@@ -0,0 +1,159 @@
+// gif.js - Small animated GIF89a encoder for exports
+// Fixed 6x7x6 colour cube (ordered dithering hides the banding) and LZW per frame.
+// No DOM access: frames are RGBA byte arrays, the result is a Uint8Array.
+
+(function (root) {
+    'use strict';
+
+    const LEVELS_R = 6, LEVELS_G = 7, LEVELS_B = 6;
+    // 4x4 Bayer matrix, centred around 0 in units of one quantization step
+    const BAYER = [0, 8, 2, 10, 12, 4, 14, 6, 3, 11, 1, 9, 15, 7, 13, 5].map(v => (v + 0.5) / 16 - 0.5);
+
+    function palette() {
+        const out = new Uint8Array(256 * 3);
+        for (let r = 0; r < LEVELS_R; r++) {
+            for (let g = 0; g < LEVELS_G; g++) {
+                for (let b = 0; b < LEVELS_B; b++) {
+                    const i = (r * LEVELS_G + g) * LEVELS_B + b;
+                    out[i * 3] = Math.round(r * 255 / (LEVELS_R - 1));
+                    out[i * 3 + 1] = Math.round(g * 255 / (LEVELS_G - 1));
+                    out[i * 3 + 2] = Math.round(b * 255 / (LEVELS_B - 1));
+                }
+            }
+        }
+        return out;
+    }
+
+    function level(v, levels, d) {
+        const l = Math.round(v * (levels - 1) / 255 + d);
+        return l < 0 ? 0 : l >= levels ? levels - 1 : l;
+    }
+
+    // RGBA (top row first) to palette indices
+    function quantize(rgba, width, height) {
+        const out = new Uint8Array(width * height);
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const p = y * width + x, d = BAYER[(y & 3) * 4 + (x & 3)];
+                out[p] = (level(rgba[p * 4], LEVELS_R, d) * LEVELS_G + level(rgba[p * 4 + 1], LEVELS_G, d)) * LEVELS_B
+                    + level(rgba[p * 4 + 2], LEVELS_B, d);
+            }
+        }
+        return out;
+    }
+
+    // Growable byte buffer
+    function bytes() {
+        let buf = new Uint8Array(1 << 16), len = 0;
+        function grow(need) {
+            if (len + need <= buf.length) return;
+            let size = buf.length * 2;
+            while (size < len + need) size *= 2;
+            const next = new Uint8Array(size);
+            next.set(buf.subarray(0, len));
+            buf = next;
+        }
+        return {
+            byte(v) { grow(1); buf[len++] = v; },
+            short(v) { grow(2); buf[len++] = v & 255; buf[len++] = (v >> 8) & 255; },
+            array(a) { grow(a.length); buf.set(a, len); len += a.length; },
+            ascii(s) { for (let i = 0; i < s.length; i++) this.byte(s.charCodeAt(i)); },
+            result() { return buf.slice(0, len); }
+        };
+    }
+
+    // Variable-width LZW, packed into 255-byte sub-blocks
+    function lzw(indices, out) {
+        const minCodeSize = 8, clear = 1 << minCodeSize, eoi = clear + 1;
+        let codeSize = minCodeSize + 1, next = eoi + 1;
+        let table = new Map();
+        const block = new Uint8Array(255);
+        let blockLen = 0, acc = 0, bits = 0;
+
+        function flush() {
+            out.byte(blockLen);
+            out.array(block.subarray(0, blockLen));
+            blockLen = 0;
+        }
+        function emit(code) {
+            acc |= code << bits;
+            bits += codeSize;
+            while (bits >= 8) {
+                block[blockLen++] = acc & 255;
+                acc >>>= 8;
+                bits -= 8;
+                if (blockLen === 255) flush();
+            }
+        }
+
+        out.byte(minCodeSize);
+        emit(clear);
+        let prefix = indices[0];
+        for (let i = 1; i < indices.length; i++) {
+            const k = indices[i], key = prefix * 256 + k;
+            const code = table.get(key);
+            if (code !== undefined) { prefix = code; continue; }
+            emit(prefix);
+            if (next === 4096) {
+                // Table full: start over
+                emit(clear);
+                table = new Map();
+                codeSize = minCodeSize + 1;
+                next = eoi + 1;
+            } else {
+                if (next >= (1 << codeSize)) codeSize++;
+                table.set(key, next++);
+            }
+            prefix = k;
+        }
+        emit(prefix);
+        emit(eoi);
+        if (bits > 0) { block[blockLen++] = acc & 255; if (blockLen === 255) flush(); }
+        if (blockLen > 0) flush();
+        out.byte(0);
+    }
+
+    // options: { delay (1/100 s per frame, default 4), loop (0 = forever) }
+    function create(width, height, options) {
+        const opts = options || {};
+        const out = bytes();
+        let frames = 0;
+
+        out.ascii('GIF89a');
+        out.short(width); out.short(height);
+        out.byte(0xF7); // Global colour table of 256 entries, 8 bit colour resolution
+        out.byte(0); out.byte(0);
+        out.array(palette());
+        // Looping (NETSCAPE2.0 application extension)
+        out.byte(0x21); out.byte(0xFF); out.byte(11); out.ascii('NETSCAPE2.0');
+        out.byte(3); out.byte(1); out.short(opts.loop || 0); out.byte(0);
+
+        function addFrame(rgba) {
+            out.byte(0x21); out.byte(0xF9); out.byte(4);
+            out.byte(0x04); // Leave the frame in place, no transparency
+            out.short(opts.delay || 4);
+            out.byte(0); out.byte(0);
+            out.byte(0x2C); out.short(0); out.short(0); out.short(width); out.short(height); out.byte(0);
+            lzw(quantize(rgba, width, height), out);
+            frames++;
+        }
+
+        function finish() {
+            out.byte(0x3B);
+            return out.result();
+        }
+
+        return {
+            width,
+            height,
+            get frames() { return frames; },
+            addFrame,
+            finish
+        };
+    }
+
+    const GifEncoder = { create, quantize, palette };
+
+    if (typeof module !== 'undefined' && module.exports) module.exports = GifEncoder;
+    else root.GifEncoder = GifEncoder;
+})(typeof self !== 'undefined' ? self : this);
@@ -0,0 +1,144 @@
+// governor.js - Adaptive quality: holds a target frame rate by trading resolution, substeps and particles
+// Fed one sample per frame (ms): interval since the last frame, cpu (script time of the frame),
+// physics (share of cpu spent stepping) and gpu (EXT_disjoint_timer_query, null when unknown).
+// Every `window` frames it may take one step:
+//   down  when frames arrive late (interval over budget * slack): the busiest side gives way,
+//         GPU-bound -> scale, then substeps, then particles; physics-bound -> substeps, particles, scale
+//   up    after raiseAfter seconds of work under budget * headroom: particles, substeps, scale
+// A step down right after a step up doubles the wait before the next raise (no see-sawing).
+// Knobs: scale (render target multiplier), subSteps, particles (fraction of the configured count).
+// A knob whose bounds are equal is left alone. While hold is set it only measures.
+
+(function (root) {
+    'use strict';
+
+    const DEFAULTS = {
+        targetFps: 60,
+        window: 30,             // Frames per decision
+        slack: 1.15,            // Late: interval over budget * slack
+        headroom: 0.7,          // Room to raise: work under budget * headroom
+        raiseAfter: 3,          // s of headroom before a step up
+        maxBackoff: 8,          // Cap on the raiseAfter multiplier
+        scale: [0.5, 1],
+        scaleStep: 0.125,
+        subSteps: [1, 2],
+        particles: [0.5, 1],
+        particleStep: 0.1,
+        ignoreAbove: 250        // ms: hidden tab, breakpoint, not a slow frame
+    };
+
+    function create(options) {
+        const cfg = Object.assign({}, DEFAULTS, options);
+        const state = { scale: cfg.scale[1], subSteps: cfg.subSteps[1], particles: cfg.particles[1] };
+        const stats = { fps: 0, interval: 0, cpu: 0, physics: 0, gpu: null, frames: 0 };
+        let acc = { interval: 0, cpu: 0, physics: 0, gpu: 0, gpuCount: 0, n: 0 };
+        let calm = 0;           // s of headroom so far
+        let backoff = 1;
+        let lastMove = 0;       // +1 up, -1 down, 0 none in the previous decision
+        let hold = false;
+
+        function budget() {
+            return 1000 / cfg.targetFps;
+        }
+
+        function ema(prev, v) {
+            return prev === 0 ? v : prev + (v - prev) * 0.1;
+        }
+
+        function sample(s) {
+            if (!(s.interval > 0) || s.interval > cfg.ignoreAbove) return null;
+            stats.frames++;
+            stats.interval = ema(stats.interval, s.interval);
+            stats.fps = 1000 / stats.interval;
+            stats.cpu = ema(stats.cpu, s.cpu || 0);
+            stats.physics = ema(stats.physics, s.physics || 0);
+            if (typeof s.gpu === 'number') stats.gpu = stats.gpu === null ? s.gpu : stats.gpu + (s.gpu - stats.gpu) * 0.1;
+
+            acc.interval += s.interval; acc.cpu += s.cpu || 0; acc.physics += s.physics || 0;
+            if (typeof s.gpu === 'number') { acc.gpu += s.gpu; acc.gpuCount++; }
+            if (++acc.n < cfg.window) return null;
+            const m = {
+                interval: acc.interval / acc.n, cpu: acc.cpu / acc.n, physics: acc.physics / acc.n,
+                gpu: acc.gpuCount > 0 ? acc.gpu / acc.gpuCount : null
+            };
+            acc = { interval: 0, cpu: 0, physics: 0, gpu: 0, gpuCount: 0, n: 0 };
+            if (hold) { calm = 0; return null; }
+            return decide(m);
+        }
+
+        function decide(m) {
+            const b = budget();
+            const render = m.gpu !== null ? m.gpu : m.cpu - m.physics;
+            if (m.interval > b * cfg.slack) {
+                calm = 0;
+                if (lastMove > 0) backoff = Math.min(cfg.maxBackoff, backoff * 2);
+                const order = render > m.physics ? ['scale', 'subSteps', 'particles'] : ['subSteps', 'particles', 'scale'];
+                const change = order.reduce((c, knob) => c || step(knob, -1), null);
+                lastMove = change ? -1 : 0;
+                return change;
+            }
+            // A raise that didn't make frames late has held: earn back some patience
+            if (lastMove > 0) backoff = Math.max(1, backoff / 2);
+            lastMove = 0;
+            const work = Math.max(m.cpu, m.gpu || 0);
+            if (work >= b * cfg.headroom) {
+                calm = 0;
+                return null;
+            }
+            calm += m.interval * cfg.window / 1000;
+            if (calm < cfg.raiseAfter * backoff) return null;
+            calm = 0;
+            const change = ['particles', 'subSteps', 'scale'].reduce((c, knob) => c || step(knob, 1), null);
+            lastMove = change ? 1 : 0;
+            return change;
+        }
+
+        // One step of a knob within its bounds; the change, or null at the bound
+        function step(knob, dir) {
+            const range = cfg[knob];
+            if (range[0] === range[1]) return null;
+            const size = knob === 'scale' ? cfg.scaleStep : knob === 'particles' ? cfg.particleStep : 1;
+            const v = Math.min(range[1], Math.max(range[0], round(state[knob] + dir * size)));
+            if (v === state[knob]) return null;
+            state[knob] = v;
+            return { knob, value: v, state: Object.assign({}, state) };
+        }
+
+        function round(v) {
+            return Math.round(v * 1000) / 1000;
+        }
+
+        // New bounds or target; knobs are clamped into them
+        function configure(values) {
+            Object.assign(cfg, values);
+            for (const knob of ['scale', 'subSteps', 'particles']) {
+                state[knob] = Math.min(cfg[knob][1], Math.max(cfg[knob][0], state[knob]));
+            }
+        }
+
+        // Back to full quality (new scene, reset, turned off)
+        function reset() {
+            state.scale = cfg.scale[1]; state.subSteps = cfg.subSteps[1]; state.particles = cfg.particles[1];
+            acc = { interval: 0, cpu: 0, physics: 0, gpu: 0, gpuCount: 0, n: 0 };
+            calm = 0; backoff = 1; lastMove = 0;
+            return Object.assign({}, state);
+        }
+
+        return {
+            config: cfg,
+            state,
+            stats,
+            get budget() { return budget(); },
+            get hold() { return hold; },
+            set hold(v) { hold = !!v; },
+            sample,
+            configure,
+            reset
+        };
+    }
+
+    const Governor = { DEFAULTS, create };
+
+    if (typeof module !== 'undefined' && module.exports) module.exports = Governor;
+    else root.Governor = Governor;
+})(typeof self !== 'undefined' ? self : this);
@@ -0,0 +1,353 @@
+// gpu-solver.js - GPU-resident particle simulation (WebGL1 float textures)
+// Particle state lives in an RGBA float texture (x, y, vx, vy) and is advanced with
+// full-screen fragment passes. Pressure comes from a density field that the particles
+// splat into with additive blending, so no neighbour search is needed on the GPU.
+// Shaders are the fs-gpu-* / vs-gpu-* sources in shaders.js. Needs obstacles.js.
+
+(function (root) {
+    'use strict';
+
+    const DEFAULTS = {
+        particleCount: 50000,
+        radius: 6,           // Wall margin (visual radius)
+        physRadius: 3,
+        gravityScale: 0.18,
+        damping: 0.96,
+        stiffness: 0.04,
+        stiffnessNear: 0.1,
+        restDensity: 4.0,    // Field density includes the particle itself
+        interactionRadius: 120,
+        pushStrength: 4.0,
+        stirSpeed: 6,
+        dragFollow: 0.3,
+        subSteps: 2,
+        width: 800,
+        height: 600,
+        obstacles: []
+    };
+
+    const HALF_FLOAT_OES = 0x8D61;
+    // Pointer tools the predict shader knows (MAX_POINTERS there); 'pour' needs the CPU solver
+    const MAX_POINTERS = 4;
+    const TOOL_CODES = { push: 0, pull: 1, stir: 2, drag: 3 };
+
+    function renderable(gl, type, filter) {
+        const tex = gl.createTexture();
+        gl.bindTexture(gl.TEXTURE_2D, tex);
+        gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, 4, 4, 0, gl.RGBA, type, null);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, filter);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, filter);
+        const fb = gl.createFramebuffer();
+        gl.bindFramebuffer(gl.FRAMEBUFFER, fb);
+        gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, tex, 0);
+        const ok = gl.checkFramebufferStatus(gl.FRAMEBUFFER) === gl.FRAMEBUFFER_COMPLETE;
+        gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+        gl.deleteFramebuffer(fb);
+        gl.deleteTexture(tex);
+        return ok;
+    }
+
+    // Returns the texture formats to use, or null when this context can't run the GPU path
+    function probe(gl) {
+        if (!gl.getExtension('OES_texture_float')) return null;
+        if (gl.getParameter(gl.MAX_VERTEX_TEXTURE_IMAGE_UNITS) < 1) return null;
+        gl.getExtension('WEBGL_color_buffer_float');
+        if (!renderable(gl, gl.FLOAT, gl.NEAREST)) return null;
+
+        // Density field needs additive blending: half float is the widely blendable option
+        let fieldType = null, fieldFilter = gl.NEAREST;
+        if (gl.getExtension('OES_texture_half_float')) {
+            gl.getExtension('EXT_color_buffer_half_float');
+            if (renderable(gl, HALF_FLOAT_OES, gl.NEAREST)) {
+                fieldType = HALF_FLOAT_OES;
+                if (gl.getExtension('OES_texture_half_float_linear')) fieldFilter = gl.LINEAR;
+            }
+        }
+        if (!fieldType && gl.getExtension('EXT_float_blend')) {
+            fieldType = gl.FLOAT;
+            if (gl.getExtension('OES_texture_float_linear')) fieldFilter = gl.LINEAR;
+        }
+        if (!fieldType) return null;
+        return { fieldType, fieldFilter };
+    }
+
+    function isSupported(gl) {
+        return !!probe(gl);
+    }
+
+    // compile(vsName, fsName) -> WebGLProgram for two shaders.js names, i.e. the renderer's program()
+    function create(gl, config, compile) {
+        const caps = probe(gl);
+        if (!caps) throw new Error("GPU solver unsupported on this device");
+
+        const cfg = Object.assign({}, DEFAULTS, config);
+        const n = cfg.particleCount;
+        const size = Math.ceil(Math.sqrt(n));   // state texture is size x size
+        const h = cfg.physRadius * 2;
+        const cell = cfg.physRadius;            // density field resolution
+
+        const programs = {
+            predict: compile('vs-quad', 'fs-gpu-predict'),
+            density: compile('vs-gpu-splat', 'fs-gpu-density'),
+            relax: compile('vs-quad', 'fs-gpu-relax'),
+            velocity: compile('vs-quad', 'fs-gpu-velocity')
+        };
+        for (const k in programs) if (!programs[k]) throw new Error("GPU solver shader error");
+
+        const quad = gl.createBuffer();
+        gl.bindBuffer(gl.ARRAY_BUFFER, quad);
+        gl.bufferData(gl.ARRAY_BUFFER, new Float32Array([-1, -1, 1, -1, -1, 1, -1, 1, 1, -1, 1, 1]), gl.STATIC_DRAW);
+
+        // Texel centre of every particle, the vertex stream for splats
+        const indexData = new Float32Array(n * 2);
+        for (let i = 0; i < n; i++) {
+            indexData[i * 2] = ((i % size) + 0.5) / size;
+            indexData[i * 2 + 1] = (Math.floor(i / size) + 0.5) / size;
+        }
+        const indexBuffer = gl.createBuffer();
+        gl.bindBuffer(gl.ARRAY_BUFFER, indexBuffer);
+        gl.bufferData(gl.ARRAY_BUFFER, indexData, gl.STATIC_DRAW);
+
+        function target(tw, th, type, filter) {
+            const tex = gl.createTexture();
+            gl.bindTexture(gl.TEXTURE_2D, tex);
+            gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, tw, th, 0, gl.RGBA, type, null);
+            gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, filter);
+            gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, filter);
+            gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+            gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+            const fb = gl.createFramebuffer();
+            gl.bindFramebuffer(gl.FRAMEBUFFER, fb);
+            gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, tex, 0);
+            return { tex, fb, width: tw, height: th };
+        }
+
+        // state: x, y, vx, vy   pred: x, y, prevX, prevY (ping-pong during substeps)
+        let state = target(size, size, gl.FLOAT, gl.NEAREST);
+        let stateNext = target(size, size, gl.FLOAT, gl.NEAREST);
+        let pred = target(size, size, gl.FLOAT, gl.NEAREST);
+        let predNext = target(size, size, gl.FLOAT, gl.NEAREST);
+        let field = null;
+        gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+
+        // Obstacle signed distance, baked on the density field's grid
+        const obstacles = Obstacles.create(cfg.obstacles);
+        const obstacleTex = gl.createTexture();
+
+        function allocField() {
+            if (field) { gl.deleteFramebuffer(field.fb); gl.deleteTexture(field.tex); }
+            field = target(Math.ceil(cfg.width / cell) + 1, Math.ceil(cfg.height / cell) + 1, caps.fieldType, caps.fieldFilter);
+            gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+            bakeObstacles();
+        }
+
+        function bakeObstacles() {
+            const w = obstacles.empty ? 1 : field.width, hgt = obstacles.empty ? 1 : field.height;
+            const data = obstacles.empty ? new Float32Array([1e4]) : obstacles.bake(w, hgt, cell);
+            gl.bindTexture(gl.TEXTURE_2D, obstacleTex);
+            gl.texImage2D(gl.TEXTURE_2D, 0, gl.LUMINANCE, w, hgt, 0, gl.LUMINANCE, gl.FLOAT, data);
+            gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
+            gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
+            gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+            gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+        }
+
+        function setObstacles(shapes) {
+            cfg.obstacles = shapes || [];
+            obstacles.set(cfg.obstacles);
+            bakeObstacles();
+        }
+
+        function upload(data) {
+            gl.bindTexture(gl.TEXTURE_2D, state.tex);
+            gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, size, size, 0, gl.RGBA, gl.FLOAT, data);
+        }
+
+        // Block layout like the CPU solver, but as wide as the container so large counts fit
+        function reset() {
+            const data = new Float32Array(size * size * 4);
+            const spacing = cfg.physRadius * 2.2;
+            const cols = Math.max(1, Math.floor((cfg.width - 2 * cfg.radius) / spacing));
+            const startX = (cfg.width - (cols - 1) * spacing) / 2;
+            for (let i = 0; i < n; i++) {
+                data[i * 4] = startX + (i % cols) * spacing;
+                data[i * 4 + 1] = cfg.height * 0.1 + Math.floor(i / cols) * spacing;
+            }
+            upload(data);
+        }
+
+        function resize(w, hgt) {
+            cfg.width = w;
+            cfg.height = hgt;
+            allocField();
+        }
+
+        function bindQuad(prog) {
+            const loc = gl.getAttribLocation(prog, 'a_position');
+            gl.bindBuffer(gl.ARRAY_BUFFER, quad);
+            gl.enableVertexAttribArray(loc);
+            gl.vertexAttribPointer(loc, 2, gl.FLOAT, false, 0, 0);
+            return loc;
+        }
+
+        function pass(prog, out, setup) {
+            gl.useProgram(prog);
+            gl.bindFramebuffer(gl.FRAMEBUFFER, out.fb);
+            gl.viewport(0, 0, out.width, out.height);
+            setup(prog);
+            const loc = bindQuad(prog);
+            gl.drawArrays(gl.TRIANGLES, 0, 6);
+            gl.disableVertexAttribArray(loc);
+        }
+
+        function bindTex(prog, name, unit, tex) {
+            gl.activeTexture(gl.TEXTURE0 + unit);
+            gl.bindTexture(gl.TEXTURE_2D, tex);
+            gl.uniform1i(gl.getUniformLocation(prog, name), unit);
+        }
+
+        function splatDensity(src) {
+            const prog = programs.density;
+            gl.useProgram(prog);
+            gl.bindFramebuffer(gl.FRAMEBUFFER, field.fb);
+            gl.viewport(0, 0, field.width, field.height);
+            gl.clearColor(0, 0, 0, 0); gl.clear(gl.COLOR_BUFFER_BIT);
+            bindTex(prog, 'u_state', 0, src.tex);
+            gl.uniform2f(gl.getUniformLocation(prog, 'u_domain'), field.width * cell, field.height * cell);
+            gl.uniform1f(gl.getUniformLocation(prog, 'u_pointSize'), 2 * h / cell);
+            const loc = gl.getAttribLocation(prog, 'a_index');
+            gl.bindBuffer(gl.ARRAY_BUFFER, indexBuffer);
+            gl.enableVertexAttribArray(loc);
+            gl.vertexAttribPointer(loc, 2, gl.FLOAT, false, 0, 0);
+            gl.enable(gl.BLEND); gl.blendFunc(gl.ONE, gl.ONE);
+            gl.drawArrays(gl.POINTS, 0, n);
+            gl.disable(gl.BLEND);
+            gl.disableVertexAttribArray(loc);
+        }
+
+        const pointerData = new Float32Array(MAX_POINTERS * 4);
+        const pointerTool = new Float32Array(MAX_POINTERS);
+
+        // First MAX_POINTERS pointers as (x, y, vx, vy) + tool code, -1 = unused
+        function setPointers(inputs) {
+            let list = [];
+            if (inputs && inputs.pointers) list = inputs.pointers;
+            else if (inputs && inputs.pointer && inputs.pointer.down) list = [inputs.pointer];
+            pointerTool.fill(-1);
+            let used = 0;
+            for (const p of list) {
+                const code = TOOL_CODES[p.tool || 'push'];
+                if (code === undefined || used === MAX_POINTERS) continue;
+                pointerData.set([p.x, p.y, p.vx || 0, p.vy || 0], used * 4);
+                pointerTool[used++] = code;
+            }
+        }
+
+        // Same inputs and units as FluidSolver.step
+        function step(dt, inputs) {
+            const k = (dt === undefined ? 1 / 60 : dt) * 60;
+            if (k <= 0) return;
+            const g = (inputs && inputs.gravity) || { x: 0, y: 1 };
+            setPointers(inputs);
+            gl.disable(gl.BLEND);
+
+            pass(programs.predict, pred, (prog) => {
+                bindTex(prog, 'u_state', 0, state.tex);
+                gl.uniform2f(gl.getUniformLocation(prog, 'u_gravity'), g.x * cfg.gravityScale * k, g.y * cfg.gravityScale * k);
+                gl.uniform4fv(gl.getUniformLocation(prog, 'u_pointers'), pointerData);
+                gl.uniform1fv(gl.getUniformLocation(prog, 'u_pointerTool'), pointerTool);
+                gl.uniform4f(gl.getUniformLocation(prog, 'u_tools'), cfg.interactionRadius, cfg.pushStrength, cfg.stirSpeed, cfg.dragFollow);
+                gl.uniform1f(gl.getUniformLocation(prog, 'u_k'), k);
+            });
+
+            for (let s = 0; s < cfg.subSteps; s++) {
+                splatDensity(pred);
+                pass(programs.relax, predNext, (prog) => {
+                    bindTex(prog, 'u_pred', 0, pred.tex);
+                    bindTex(prog, 'u_density', 1, field.tex);
+                    bindTex(prog, 'u_obstacles', 2, obstacleTex);
+                    gl.uniform1f(gl.getUniformLocation(prog, 'u_hasObstacles'), obstacles.empty ? 0 : 1);
+                    gl.uniform2f(gl.getUniformLocation(prog, 'u_domain'), field.width * cell, field.height * cell);
+                    gl.uniform2f(gl.getUniformLocation(prog, 'u_cell'), 1 / field.width, 1 / field.height);
+                    gl.uniform2f(gl.getUniformLocation(prog, 'u_bounds'), cfg.width, cfg.height);
+                    gl.uniform3f(gl.getUniformLocation(prog, 'u_pressure'), cfg.stiffness, cfg.stiffnessNear, cfg.restDensity);
+                    gl.uniform1f(gl.getUniformLocation(prog, 'u_h'), h);
+                    gl.uniform1f(gl.getUniformLocation(prog, 'u_margin'), cfg.radius);
+                });
+                const t = pred; pred = predNext; predNext = t;
+            }
+
+            pass(programs.velocity, stateNext, (prog) => {
+                bindTex(prog, 'u_pred', 0, pred.tex);
+                gl.uniform1f(gl.getUniformLocation(prog, 'u_k'), k);
+                gl.uniform1f(gl.getUniformLocation(prog, 'u_damping'), cfg.damping);
+            });
+            const t = state; state = stateNext; stateNext = t;
+            gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+        }
+
+        // Reads the state texture back (slow: debugging and snapshots only)
+        function getState() {
+            const data = new Float32Array(size * size * 4);
+            gl.bindFramebuffer(gl.FRAMEBUFFER, state.fb);
+            gl.readPixels(0, 0, size, size, gl.RGBA, gl.FLOAT, data);
+            gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+            const out = { count: n, width: cfg.width, height: cfg.height,
+                x: new Float32Array(n), y: new Float32Array(n), vx: new Float32Array(n), vy: new Float32Array(n) };
+            for (let i = 0; i < n; i++) {
+                out.x[i] = data[i * 4]; out.y[i] = data[i * 4 + 1];
+                out.vx[i] = data[i * 4 + 2]; out.vy[i] = data[i * 4 + 3];
+            }
+            return out;
+        }
+
+        function setState(s) {
+            if (s.count !== n) throw new Error("State has " + s.count + " particles, solver has " + n);
+            const data = new Float32Array(size * size * 4);
+            for (let i = 0; i < n; i++) {
+                data[i * 4] = s.x[i]; data[i * 4 + 1] = s.y[i];
+                data[i * 4 + 2] = s.vx[i]; data[i * 4 + 3] = s.vy[i];
+            }
+            upload(data);
+            if (s.width !== undefined) resize(s.width, s.height);
+        }
+
+        // Live parameter changes (same rule as FluidSolver: no resizing keys)
+        function configure(values) {
+            for (const key of ['particleCount', 'physRadius']) {
+                if (key in values && values[key] !== cfg[key]) throw new Error(key + " can't change on a running solver");
+            }
+            Object.assign(cfg, values);
+        }
+
+        // Free every GL object; the solver is unusable afterwards
+        function dispose() {
+            for (const t of [state, stateNext, pred, predNext, field]) { gl.deleteFramebuffer(t.fb); gl.deleteTexture(t.tex); }
+            gl.deleteTexture(obstacleTex);
+            gl.deleteBuffer(quad); gl.deleteBuffer(indexBuffer);
+            for (const k in programs) gl.deleteProgram(programs[k]);
+        }
+
+        allocField();
+        reset();
+
+        return {
+            gpu: true,
+            config: cfg,
+            indexBuffer,
+            get stateTexture() { return state.tex; },
+            get count() { return n; },
+            obstacles,
+            reset,
+            resize,
+            setObstacles,
+            configure,
+            step,
+            getState,
+            setState,
+            dispose
+        };
+    }
+
+    root.GpuSolver = { DEFAULTS, isSupported, create };
+})(typeof self !== 'undefined' ? self : this);
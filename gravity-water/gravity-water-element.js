@@ -0,0 +1,442 @@
+// gravity-water-element.js - <gravity-water>: the simulation as a self-contained element
+//   <gravity-water particles="1500" preset="honey" camera="off"></gravity-water>
+// Each element owns a canvas in its shadow root, its own solver, renderer, tilt input and governor,
+// so several can run on one page. Pointers act on the element only and keys while it has focus;
+// device tilt is shared by all. It draws only while on screen and not paused.
+// Needs, before this file: defaults.js, render-device.js, shaders.js, input.js, foam.js,
+// governor.js, background.js, renderer-webgl.js, renderer-canvas.js, obstacles.js, bodies.js, solver.js
+// (embed.html shows the set)
+//
+// Attributes (read again when they change):
+//   particles  particle count (default CONFIG.particleCount)
+//   preset     key of WaterDefaults.PRESETS: water, honey, mercury, bubbly
+//   mixture    key of WaterDefaults.MIXTURES; defaults to the preset's name when there is one
+//   quality    low | medium | high
+//   camera     off | on | environment | user: camera feed behind the water (WebGL only)
+//   renderer   webgl (default, Canvas 2D when it fails) | canvas; read when the element connects
+// Methods:
+//   reset([mixture])        particles back to their starting layout
+//   setGravity(x, y)        fixed gravity (length 1 = screen upright) until setGravity(null)
+//   pour(x, y[, ms, phase]) pour at (x, y), fractions of the element's box, for ms of simulated time;
+//                           resolves to true when done, false when cut short by pause(), scrolling
+//                           out of view or removal (at once if the element is paused or hidden already)
+//   pause(), resume(), paused
+//   ready, whenReady        true once 'ready' has fired; a Promise of its detail, for late listeners
+// Events (CustomEvent on the element):
+//   ready        { renderer: 'webgl' | 'canvas', particles } on the first animation frame after
+//                connecting, so scripts that run after the upgrade can still listen for it
+//   contextlost  the GL context went away; drawing resumes by itself when it comes back
+//   fps          { fps, cpu, gpu, scale, subSteps } about once a second
+
+(function (root) {
+    'use strict';
+
+    if (!root.customElements || !root.HTMLElement) return;
+
+    const STYLE = ':host { display: block; position: relative; height: 320px; touch-action: none; outline: none; }' +
+        ':host([hidden]) { display: none; }' +
+        'canvas { display: block; position: absolute; top: 0; left: 0; width: 100%; height: 100%; }';
+    const ARROWS = ['ArrowLeft', 'ArrowRight', 'ArrowUp', 'ArrowDown'];
+    const FPS_EVERY = 1000; // ms between fps events
+
+    // Same backdrop as the app's, drawn once per element
+    function defaultBackground() {
+        const canvas = document.createElement('canvas');
+        canvas.width = 512; canvas.height = 512;
+        const ctx = canvas.getContext('2d');
+        const grd = ctx.createLinearGradient(0, 0, 0, 512);
+        grd.addColorStop(0, '#222'); grd.addColorStop(1, '#000');
+        ctx.fillStyle = grd; ctx.fillRect(0, 0, 512, 512);
+        for (let i = 0; i < 100; i++) {
+            ctx.fillStyle = `hsl(${Math.random() * 360}, 80%, 60%)`;
+            ctx.beginPath();
+            ctx.arc(Math.random() * 512, Math.random() * 512, Math.random() * 5 + 2, 0, Math.PI * 2);
+            ctx.fill();
+        }
+        return canvas;
+    }
+
+    class GravityWaterElement extends HTMLElement {
+        static get observedAttributes() {
+            return ['particles', 'preset', 'mixture', 'quality', 'camera'];
+        }
+
+        constructor() {
+            super();
+            const shadow = this.attachShadow({ mode: 'open' });
+            shadow.innerHTML = '<style>' + STYLE + '</style>';
+            this._canvas = document.createElement('canvas');
+            shadow.appendChild(this._canvas);
+            this._touches = new Map();  // pointerId -> { x, y, lastX, lastY, vx, vy } in CSS pixels
+            this._pours = new Set();    // Scripted pours still running
+            this._override = null;      // setGravity
+            this._paused = false;
+            this._visible = true;
+            this._frame = 0;            // requestAnimationFrame id, 0 when none is pending
+            this._last = 0;
+            this._fpsSent = 0;
+            this._asked = false;        // Sensor permission (iOS) asked on the first touch
+            this._readyFrame = 0;       // requestAnimationFrame id of the pending 'ready'
+            this._ready = null;         // 'ready' detail once it has fired
+            this._whenReady = new Promise(resolve => { this._resolveReady = resolve; });
+            this._render = this._render.bind(this);
+            this._onPointer = this._onPointer.bind(this);
+            this._onKey = this._onKey.bind(this);
+        }
+
+        // --- Lifecycle ---
+        connectedCallback() {
+            if (this._renderer) return; // Moved within the page
+            if (!this.hasAttribute('tabindex')) this.tabIndex = 0;
+            this.config = this._readConfig();
+            this._tilt = GravityInput.create({ scale: this.config.tiltGain, manualScale: 1, smoothing: this.config.tiltSmoothing });
+            this._tilt.attach(root, this);
+            this._governor = Governor.create({ targetFps: this.config.targetFps, subSteps: [1, this.config.subSteps], particles: [1, 1] });
+            this._scale = 1;
+            this._startRenderer();
+            this._createSolver();
+            this._applyCamera();
+
+            // Bound after the renderer: the Canvas 2D fallback may have swapped the canvas
+            const c = this._canvas;
+            ['pointerdown', 'pointermove', 'pointerup', 'pointercancel'].forEach(t => c.addEventListener(t, this._onPointer));
+            c.addEventListener('contextmenu', e => e.preventDefault());
+            this.addEventListener('keydown', this._onKey);
+            if (root.IntersectionObserver) {
+                this._observer = new root.IntersectionObserver(entries => {
+                    this._visible = entries[entries.length - 1].isIntersecting;
+                    if (!this._visible) this._endPours();
+                    this._schedule();
+                });
+                this._observer.observe(this);
+            }
+            this._readyFrame = root.requestAnimationFrame(() => {
+                this._readyFrame = 0;
+                this._ready = { renderer: this._renderer.name, particles: this._solver.count };
+                this._resolveReady(this._ready);
+                this._emit('ready', this._ready);
+            });
+            this._schedule();
+        }
+
+        disconnectedCallback() {
+            // A move (remove then append in one task) reconnects before this runs
+            Promise.resolve().then(() => { if (!this.isConnected) this._teardown(); });
+        }
+
+        attributeChangedCallback(name, oldValue, value) {
+            if (!this._renderer || oldValue === value) return;
+            if (name === 'camera') return this._applyCamera();
+            const next = this._readConfig();
+            if (name === 'quality') {
+                this.config.quality = next.quality;
+                return this._updateQuality();
+            }
+            // particles, preset, mixture: a new solver with the new settings
+            this.config = next;
+            this._tilt.configure({ scale: next.tiltGain, smoothing: next.tiltSmoothing });
+            this._renderer.setPool(next.capacity);
+            this._createSolver();
+            this._updateQuality();
+        }
+
+        _teardown() {
+            if (this._frame) root.cancelAnimationFrame(this._frame);
+            this._frame = 0;
+            if (this._readyFrame) root.cancelAnimationFrame(this._readyFrame);
+            this._readyFrame = 0;
+            if (this._ready) {
+                // Connecting again fires a new 'ready'
+                this._ready = null;
+                this._whenReady = new Promise(resolve => { this._resolveReady = resolve; });
+            }
+            if (this._observer) this._observer.disconnect();
+            this._observer = null;
+            this._tilt.detach();
+            this.removeEventListener('keydown', this._onKey);
+            this._renderer.destroy();
+            if (this._device) {
+                // Browsers cap the live contexts per page: give this one back
+                this._device.destroy();
+                this._device.loseContext();
+            }
+            this._swapCanvas();
+            this._renderer = null;
+            this._device = null;
+            this._solver = null;
+            this._endPours();
+        }
+
+        // Pours only run while frames do: a stopped element settles them instead of leaving them pending
+        _endPours() {
+            this._pours.forEach(p => p.done(false));
+        }
+
+        // --- Setup ---
+        _readConfig() {
+            const W = WaterDefaults;
+            const preset = this.getAttribute('preset') || 'water';
+            const cfg = W.config(W.PRESETS[preset] || {});
+            const count = parseInt(this.getAttribute('particles'), 10);
+            if (count > 0) cfg.particleCount = count;
+            // Headroom for pour()
+            cfg.capacity = Math.max(cfg.capacity, Math.ceil(cfg.particleCount * 1.5));
+            const mixture = this.getAttribute('mixture') || preset;
+            cfg.mixturePreset = mixture in W.MIXTURES ? mixture : 'water';
+            const quality = this.getAttribute('quality');
+            if (quality in W.QUALITY) cfg.quality = quality;
+            return cfg;
+        }
+
+        _startRenderer() {
+            const forced = this.getAttribute('renderer') === 'canvas';
+            if (!forced) {
+                try {
+                    this._device = RenderDevice.create(this._canvas, {
+                        attributes: { alpha: false, depth: false },
+                        maxDpr: 2,
+                        container: this,
+                        onResize: (w, h) => this._onResize(w, h),
+                        onLost: () => this._emit('contextlost', null),
+                        onRestored: () => this._onRestored()
+                    });
+                    this._renderer = WebGLRenderer.create(this._device, {
+                        pool: this.config.capacity,
+                        radius: this.config.radius,
+                        background: defaultBackground(),
+                        gpuColor: this.config.phases[0].color
+                    });
+                } catch (e) {
+                    console.warn('<gravity-water>: ' + e.message + ', using Canvas 2D');
+                    if (this._device) { this._device.destroy(); this._device.loseContext(); }
+                    this._device = null;
+                    this._swapCanvas();
+                }
+            }
+            if (!this._renderer) {
+                this._renderer = CanvasRenderer.create(this._canvas, {
+                    maxDpr: 2,
+                    container: this,
+                    background: defaultBackground(),
+                    onResize: (w, h) => this._onResize(w, h)
+                });
+            }
+            this._timer = this._device ? this._device.timer() : RenderDevice.timer(null, null);
+            this._size = { width: this._renderer.canvas.width, height: this._renderer.canvas.height };
+            this._updateQuality();
+        }
+
+        // A canvas keeps its first context for good
+        _swapCanvas() {
+            const fresh = this._canvas.cloneNode(false);
+            this._canvas.replaceWith(fresh);
+            this._canvas = fresh;
+        }
+
+        _createSolver() {
+            const cfg = this.config, size = this._size;
+            this._solver = FluidSolver.create(Object.assign({}, cfg, {
+                width: size.width,
+                height: size.height,
+                interactionRadius: cfg.interactionRadius * this._dpr(),
+                mixture: WaterDefaults.MIXTURES[cfg.mixturePreset]
+            }));
+            if (this._renderer.foam) this._renderer.foam.clear();
+            this._governor.configure({ targetFps: cfg.targetFps, subSteps: [1, cfg.subSteps] });
+            this._applyGovernor(this._governor.reset());
+        }
+
+        _applyCamera() {
+            const bg = this._renderer.background;
+            const value = (this.getAttribute('camera') || 'off').toLowerCase();
+            if (!bg) {
+                if (value !== 'off') console.warn('<gravity-water>: camera needs WebGL');
+                return;
+            }
+            if (value === 'off') {
+                if (bg.kind === 'camera') bg.useDefault();
+                return;
+            }
+            const facing = value === 'user' ? 'user' : 'environment';
+            bg.useCamera({ facing }).catch(e => {
+                console.warn('<gravity-water>: camera: ' + e.message);
+                bg.useDefault();
+            });
+        }
+
+        _dpr() {
+            return this._size.width / Math.max(1, this.clientWidth);
+        }
+
+        _updateQuality() {
+            this._renderer.setQuality(WaterDefaults.QUALITY[this.config.quality], this._scale);
+        }
+
+        _applyGovernor(state) {
+            if (state.scale !== this._scale) {
+                this._scale = state.scale;
+                this._updateQuality();
+            }
+            this._solver.configure({ subSteps: state.subSteps });
+        }
+
+        // Particles keep their place relative to the box
+        _onResize(w, h) {
+            const sx = w / this._size.width, sy = h / this._size.height;
+            this._size = { width: w, height: h };
+            this._updateQuality();
+            const state = this._solver.getState();
+            for (let i = 0; i < state.count; i++) {
+                state.x[i] *= sx; state.y[i] *= sy;
+                state.prevX[i] *= sx; state.prevY[i] *= sy;
+            }
+            state.width = w;
+            state.height = h;
+            this._solver.setState(state);
+            this._solver.configure({ interactionRadius: this.config.interactionRadius * this._dpr() });
+        }
+
+        // The solver lives in JS memory; only what was on the context is made again
+        _onRestored() {
+            try {
+                this._renderer.rebuild();
+            } catch (e) {
+                console.error('<gravity-water>: ' + e.message);
+                return;
+            }
+            this._timer = this._device.timer();
+            this._applyCamera();
+            this._schedule();
+        }
+
+        // --- Input ---
+        _onPointer(e) {
+            const t = this._touches.get(e.pointerId);
+            if (e.type === 'pointerdown') {
+                if (e.pointerType === 'mouse' && e.button !== 0) return;
+                this._canvas.setPointerCapture(e.pointerId);
+                this._touches.set(e.pointerId, { x: e.offsetX, y: e.offsetY, lastX: e.offsetX, lastY: e.offsetY, vx: 0, vy: 0 });
+                if (!this._asked) {
+                    // iOS only asks from a user gesture
+                    this._asked = true;
+                    GravityInput.requestPermission();
+                }
+            } else if (e.type === 'pointermove') {
+                if (t) { t.x = e.offsetX; t.y = e.offsetY; }
+            } else this._touches.delete(e.pointerId);
+        }
+
+        // Arrow keys steer the water instead of scrolling the page
+        _onKey(e) {
+            if (ARROWS.indexOf(e.code) >= 0 && this._override === null) e.preventDefault();
+        }
+
+        // Solver pointers in canvas pixels; velocity per frame, smoothed like the app's
+        _pointers() {
+            const dpr = this._dpr(), out = [];
+            for (const [id, t] of this._touches) {
+                t.vx = t.vx * 0.5 + (t.x - t.lastX) * 0.5;
+                t.vy = t.vy * 0.5 + (t.y - t.lastY) * 0.5;
+                t.lastX = t.x; t.lastY = t.y;
+                out.push({ id, x: t.x * dpr, y: t.y * dpr, vx: t.vx * dpr, vy: t.vy * dpr, tool: 'push' });
+            }
+            for (const p of this._pours) {
+                out.push({ id: p.id, x: p.x * this._size.width, y: p.y * this._size.height, vx: 0, vy: 0, tool: 'pour', phase: p.phase });
+            }
+            return out;
+        }
+
+        // --- Frames ---
+        _schedule() {
+            if (this._frame || !this._renderer || this._paused || !this._visible) return;
+            this._frame = root.requestAnimationFrame(this._render);
+        }
+
+        _render() {
+            this._frame = 0;
+            if (!this._renderer || this._renderer.lost || this._paused || !this._visible) {
+                this._last = 0; // A pause is not a slow frame
+                return;
+            }
+            const start = root.performance.now();
+            const interval = this._last ? start - this._last : 0;
+            this._last = start;
+            const cfg = this.config;
+            this._timer.begin();
+            this._tilt.update(1 / 60);
+            const g = this._override || this._tilt.gravity;
+            const gravity = { x: g.x * cfg.gravityScale, y: g.y * cfg.gravityScale };
+            this._solver.step(1 / 60, { gravity: g, pointers: this._pointers() });
+            for (const p of this._pours) if (--p.frames <= 0) p.done(true);
+            const physics = root.performance.now() - start;
+            this._renderer.draw({
+                solver: this._solver, stepped: true, xrView: null, gravity,
+                shading: WebGLRenderer.shading(cfg, this._override || this._tilt.direction)
+            });
+            this._timer.end();
+            this._measure(interval, root.performance.now() - start, physics, start);
+            this._schedule();
+        }
+
+        _measure(interval, cpu, physics, now) {
+            const gov = this._governor;
+            gov.hold = this.config.governor !== 'adaptive';
+            const change = gov.sample({ interval, cpu, physics, gpu: this._timer.poll() });
+            if (change) this._applyGovernor(change.state);
+            if (now - this._fpsSent < FPS_EVERY || gov.stats.frames === 0) return;
+            this._fpsSent = now;
+            const s = gov.stats;
+            this._emit('fps', { fps: s.fps, cpu: s.cpu, gpu: s.gpu, scale: gov.state.scale, subSteps: gov.state.subSteps });
+        }
+
+        _emit(type, detail) {
+            this.dispatchEvent(new CustomEvent(type, { detail }));
+        }
+
+        // --- API ---
+        reset(mixture) {
+            if (!this._solver) return;
+            if (mixture) this.config.mixturePreset = mixture in WaterDefaults.MIXTURES ? mixture : 'water';
+            if (this._renderer.foam) this._renderer.foam.clear();
+            this._solver.reset(undefined, WaterDefaults.MIXTURES[this.config.mixturePreset]);
+            this._applyGovernor(this._governor.reset());
+        }
+
+        setGravity(x, y) {
+            this._override = x === null || x === undefined ? null : { x: +x || 0, y: +y || 0 };
+        }
+
+        pour(x, y, ms, phase) {
+            return new Promise(resolve => {
+                const p = {
+                    id: 'pour-' + Math.random().toString(36).slice(2),
+                    x: Math.min(1, Math.max(0, x)), y: Math.min(1, Math.max(0, y)),
+                    phase: phase === undefined ? this.config.pourPhase : phase,
+                    frames: Math.max(1, Math.round((ms === undefined ? 1000 : ms) * 60 / 1000)), // Steps left
+                    done: finished => { this._pours.delete(p); resolve(finished); }
+                };
+                if (!this._solver || this._paused || !this._visible) return resolve(false);
+                this._pours.add(p);
+            });
+        }
+
+        pause() {
+            this._paused = true;
+            this._endPours();
+        }
+
+        resume() {
+            this._paused = false;
+            this._schedule();
+        }
+
+        get paused() { return this._paused; }
+        get ready() { return this._ready !== null; }
+        get whenReady() { return this._whenReady; }
+        get solver() { return this._solver || null; }
+        get renderer() { return this._renderer || null; }
+    }
+
+    if (!root.customElements.get('gravity-water')) root.customElements.define('gravity-water', GravityWaterElement);
+    root.GravityWaterElement = GravityWaterElement;
+})(typeof self !== 'undefined' ? self : this);
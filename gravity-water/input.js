@@ -0,0 +1,371 @@
+// input.js - Gravity input: device tilt with screen-rotation compensation, smoothing and
+// calibration, plus keyboard / gamepad / on-screen joystick control for devices without sensors.
+// Output is a screen-space vector (x right, y down): `scale` long for a sensor held upright,
+// `manualScale` long for keyboard / gamepad / joystick and when there is no input at all.
+//
+// Internally tilt is kept as the "up" vector in the device frame (x right, y towards the top
+// of the device, z out of the screen) in units of g, the way Android reports
+// accelerationIncludingGravity. iOS reports it negated; deviceorientation angles are converted.
+// A WebXR viewer pose (xr.js) gives the same vector in viewer space and wins over both while fresh;
+// viewer space already turns with the screen, so no rotation compensation is applied to it.
+
+(function (root) {
+    'use strict';
+
+    const G = 9.81;
+    const DEFAULTS = {
+        scale: 1,           // Output length at full tilt
+        manualScale: null,  // Same for manual control; null = scale
+        smoothing: 0.12,    // Low-pass time constant (s) for sensor and keyboard input
+        gyroWeight: 0.9,    // Complementary filter: share of the gyro-rotated estimate per step
+        invert: null,       // Negate accelerometer readings; null = auto (iOS)
+        deadzone: 0.2,      // Gamepad stick
+        staleAfter: 0.5,    // s without motion samples before deviceorientation is used instead
+        getScreenAngle: null // () => degrees; defaults to screen.orientation.angle / window.orientation
+    };
+    const DEG = Math.PI / 180;
+    const KEYS = {
+        ArrowLeft: [-1, 0], ArrowRight: [1, 0], ArrowUp: [0, -1], ArrowDown: [0, 1],
+        KeyA: [-1, 0], KeyD: [1, 0], KeyW: [0, -1], KeyS: [0, 1]
+    };
+
+    function isIOS() {
+        const nav = root.navigator;
+        if (!nav) return false;
+        return /iPad|iPhone|iPod/.test(nav.userAgent) || (nav.platform === 'MacIntel' && nav.maxTouchPoints > 1);
+    }
+
+    function screenAngle() {
+        const s = root.screen;
+        if (s && s.orientation && typeof s.orientation.angle === 'number') return s.orientation.angle;
+        if (typeof root.orientation === 'number') return root.orientation; // Older iOS
+        return 0;
+    }
+
+    // Up vector (device frame, g units) from deviceorientation beta / gamma in degrees
+    function upFromAngles(beta, gamma, out) {
+        const b = beta * DEG, g = gamma * DEG;
+        out.x = -Math.cos(b) * Math.sin(g);
+        out.y = Math.sin(b);
+        out.z = Math.cos(b) * Math.cos(g);
+        return out;
+    }
+
+    // Rotation (row-major 3x3) taking unit vector a onto unit vector b
+    function rotationBetween(a, b) {
+        const vx = a.y * b.z - a.z * b.y, vy = a.z * b.x - a.x * b.z, vz = a.x * b.y - a.y * b.x;
+        const c = a.x * b.x + a.y * b.y + a.z * b.z;
+        if (c < -0.9999) return [1, 0, 0, 0, -1, 0, 0, 0, -1]; // Opposite: half turn about x
+        const k = 1 / (1 + c);
+        return [
+            1 - k * (vy * vy + vz * vz), k * vx * vy - vz, k * vx * vz + vy,
+            k * vx * vy + vz, 1 - k * (vx * vx + vz * vz), k * vy * vz - vx,
+            k * vx * vz - vy, k * vy * vz + vx, 1 - k * (vx * vx + vy * vy)
+        ];
+    }
+
+    function normalize(v) {
+        const l = Math.sqrt(v.x * v.x + v.y * v.y + v.z * v.z);
+        if (l > 0) { v.x /= l; v.y /= l; v.z /= l; }
+        return l;
+    }
+
+    function create(options) {
+        const opts = Object.assign({}, DEFAULTS, options);
+        const gravity = { x: 0, y: manualScale() };
+        const up = { x: 0, y: 1, z: 0 };          // Filtered device-frame up vector
+        const motion = { x: 0, y: 0, z: 0, t: -Infinity, rate: 0 };
+        const orient = { x: 0, y: 0, z: 0, t: -Infinity };
+        const pose = { x: 0, y: 0, z: 0, t: -Infinity };
+        const manual = { x: 0, y: 0 };             // Joystick / setManual, [-1, 1]
+        const keys = new Set();
+        let smoothManual = { x: 0, y: 0 };
+        let calibration = null;                    // Rotation from the neutral pose onto screen-up
+        let clock = 0;
+        let hasSensor = false;
+        let source = 'none';
+        let attached = null;
+        let pad = { x: 0, y: 0 };
+
+        function manualScale() {
+            return opts.manualScale === null ? opts.scale : opts.manualScale;
+        }
+
+        function sign() {
+            return (opts.invert === null ? isIOS() : opts.invert) ? -1 : 1;
+        }
+
+        function angle() {
+            if (source === 'pose') return 0;
+            return ((opts.getScreenAngle ? opts.getScreenAngle() : screenAngle()) % 360 + 360) % 360;
+        }
+
+        // --- Sensor events ---
+        function handleMotion(e) {
+            const a = e.accelerationIncludingGravity;
+            if (!a || a.x === null || a.y === null) return; // Some desktops fire empty events
+            const s = sign() / G;
+            motion.x = (a.x || 0) * s; motion.y = (a.y || 0) * s; motion.z = (a.z || 0) * s;
+            motion.rate = e.rotationRate && typeof e.rotationRate.alpha === 'number' ? e.rotationRate.alpha * DEG : 0;
+            motion.t = clock;
+            hasSensor = true;
+        }
+
+        function handleOrientation(e) {
+            if (typeof e.beta !== 'number' || typeof e.gamma !== 'number') return;
+            upFromAngles(e.beta, e.gamma, orient);
+            orient.t = clock;
+            hasSensor = true;
+        }
+
+        // Up vector in WebXR viewer space (same axes as the device frame), unit length
+        function handlePose(u) {
+            pose.x = u.x; pose.y = u.y; pose.z = u.z;
+            pose.t = clock;
+            hasSensor = true;
+        }
+
+        // --- Manual control ---
+        function setManual(x, y) {
+            const l = Math.hypot(x, y);
+            manual.x = l > 1 ? x / l : x;
+            manual.y = l > 1 ? y / l : y;
+        }
+
+        function onKey(e) {
+            if (!KEYS[e.code]) return;
+            const tag = e.target && e.target.tagName;
+            if (tag === 'INPUT' || tag === 'SELECT' || tag === 'TEXTAREA') return; // Sliders use arrows too
+            if (e.type === 'keydown') keys.add(e.code); else keys.delete(e.code);
+        }
+
+        function pollGamepad() {
+            pad.x = 0; pad.y = 0;
+            const nav = root.navigator;
+            if (!nav || !nav.getGamepads) return;
+            for (const gp of nav.getGamepads()) {
+                if (!gp || gp.axes.length < 2) continue;
+                const x = gp.axes[0], y = gp.axes[1];
+                if (Math.hypot(x, y) < opts.deadzone) continue;
+                pad.x = x; pad.y = y;
+                return;
+            }
+        }
+
+        // Strongest of keyboard / gamepad / joystick, as a screen-space stick in the unit disc
+        function stick() {
+            let kx = 0, ky = 0;
+            for (const code of keys) { kx += KEYS[code][0]; ky += KEYS[code][1]; }
+            const kl = Math.hypot(kx, ky);
+            if (kl > 0) { kx /= kl; ky /= kl; }
+            let best = { x: kx, y: ky }, bestL = kl;
+            for (const s of [pad, manual]) {
+                const l = Math.hypot(s.x, s.y);
+                if (l > bestL) { best = s; bestL = l; }
+            }
+            return best;
+        }
+
+        // --- Per frame ---
+        function update(dt) {
+            const step = dt === undefined ? 1 / 60 : dt;
+            clock += step;
+            pollGamepad();
+            const lp = 1 - Math.exp(-step / Math.max(opts.smoothing, 1e-3));
+
+            const s = stick();
+            smoothManual.x += (s.x - smoothManual.x) * lp;
+            smoothManual.y += (s.y - smoothManual.y) * lp;
+            const manualActive = Math.hypot(s.x, s.y) > 0 || Math.hypot(smoothManual.x, smoothManual.y) > 0.01;
+
+            // Sensor: XR pose when fresh, else motion, else orientation angles
+            let raw = null;
+            if (clock - pose.t <= opts.staleAfter) raw = pose;
+            else if (clock - motion.t <= opts.staleAfter) raw = motion;
+            else if (clock - orient.t <= opts.staleAfter) raw = orient;
+            if (raw) {
+                // Complementary filter: the gyro turns the estimate about z between samples,
+                // the accelerometer pulls it back. A world vector turns against the device.
+                if (raw === motion && motion.rate !== 0) {
+                    const th = -motion.rate * step, c = Math.cos(th), sn = Math.sin(th);
+                    const x = up.x * c - up.y * sn, y = up.x * sn + up.y * c;
+                    const w = opts.gyroWeight;
+                    up.x = w * x + (1 - w) * up.x; up.y = w * y + (1 - w) * up.y;
+                }
+                up.x += (raw.x - up.x) * lp; up.y += (raw.y - up.y) * lp; up.z += (raw.z - up.z) * lp;
+            }
+
+            if (manualActive) {
+                source = 'manual';
+                // Full deflection points gravity along the stick, centred is straight down
+                const m = smoothManual, l = Math.min(1, Math.hypot(m.x, m.y));
+                let gx = m.x, gy = m.y + (1 - l);
+                const gl = Math.hypot(gx, gy) || 1;
+                gravity.x = gx / gl * manualScale(); gravity.y = gy / gl * manualScale();
+                return gravity;
+            }
+            if (!raw) {
+                source = hasSensor ? source : 'none';
+                if (!hasSensor) { gravity.x = 0; gravity.y = manualScale(); }
+                return gravity;
+            }
+            source = raw === pose ? 'pose' : raw === motion ? 'motion' : 'orientation';
+            toScreen(up, gravity);
+            return gravity;
+        }
+
+        // Device-frame up vector to screen-space gravity, through calibration and screen rotation
+        function toScreen(u, out) {
+            let x = u.x, y = u.y;
+            if (calibration) {
+                const m = calibration;
+                x = m[0] * u.x + m[1] * u.y + m[2] * u.z;
+                y = m[3] * u.x + m[4] * u.y + m[5] * u.z;
+            }
+            // Gravity is the opposite of up; device y points up, screen y down
+            const nx = -x, ny = y;
+            const a = angle() * DEG, c = Math.cos(a), s = Math.sin(a);
+            out.x = (nx * c + ny * s) * opts.scale;
+            out.y = (-nx * s + ny * c) * opts.scale;
+            return out;
+        }
+
+        // The current pose becomes "upright": its tilt maps onto the screen's down direction
+        function calibrate() {
+            const n = { x: up.x, y: up.y, z: up.z };
+            if (normalize(n) === 0) return false;
+            const a = angle() * DEG;
+            calibration = rotationBetween(n, { x: Math.sin(a), y: Math.cos(a), z: 0 });
+            return true;
+        }
+
+        function resetCalibration() {
+            calibration = null;
+        }
+
+        function configure(values) {
+            Object.assign(opts, values);
+        }
+
+        // --- DOM ---
+        // Sensors come from target (window), keys from keyTarget when given (an embedded
+        // element that only steers while focused), else from target as well
+        function attach(target, keyTarget) {
+            detach();
+            attached = { sensors: target || root, keys: keyTarget || target || root };
+            attached.sensors.addEventListener('devicemotion', handleMotion);
+            attached.sensors.addEventListener('deviceorientation', handleOrientation);
+            attached.keys.addEventListener('keydown', onKey);
+            attached.keys.addEventListener('keyup', onKey);
+            attached.keys.addEventListener('blur', clearKeys);
+        }
+
+        function detach() {
+            if (!attached) return;
+            attached.sensors.removeEventListener('devicemotion', handleMotion);
+            attached.sensors.removeEventListener('deviceorientation', handleOrientation);
+            attached.keys.removeEventListener('keydown', onKey);
+            attached.keys.removeEventListener('keyup', onKey);
+            attached.keys.removeEventListener('blur', clearKeys);
+            attached = null;
+        }
+
+        function clearKeys() {
+            keys.clear();
+        }
+
+        // On-screen stick: el is the base, its first child the knob
+        function bindJoystick(el) {
+            const knob = el.firstElementChild;
+            let id = null;
+            function move(e) {
+                const r = el.getBoundingClientRect(), rad = r.width / 2;
+                setManual((e.clientX - r.left - rad) / rad, (e.clientY - r.top - rad) / rad);
+                if (knob) knob.style.transform = `translate(${manual.x * rad}px, ${manual.y * rad}px)`;
+            }
+            function end(e) {
+                if (e.pointerId !== id) return;
+                id = null;
+                setManual(0, 0);
+                if (knob) knob.style.transform = '';
+            }
+            el.addEventListener('pointerdown', e => { id = e.pointerId; el.setPointerCapture(id); move(e); e.stopPropagation(); });
+            el.addEventListener('pointermove', e => { if (e.pointerId === id) move(e); e.stopPropagation(); });
+            el.addEventListener('pointerup', end);
+            el.addEventListener('pointercancel', end);
+            // Keep the water's own touch / mouse handlers out of it
+            ['touchstart', 'touchmove', 'mousemove', 'mousedown', 'click'].forEach(t => el.addEventListener(t, e => e.stopPropagation()));
+        }
+
+        return {
+            gravity,
+            options: opts,
+            get source() { return source; },
+            get hasSensor() { return hasSensor; },
+            get calibrated() { return calibration !== null; },
+            // gravity without the gain: length 1 when the screen stands upright, less as it lies flat
+            get direction() {
+                const s = source === 'manual' || source === 'none' ? manualScale() : opts.scale;
+                return { x: gravity.x / s, y: gravity.y / s };
+            },
+            handleMotion,
+            handleOrientation,
+            handlePose,
+            setManual,
+            update,
+            calibrate,
+            resetCalibration,
+            configure,
+            attach,
+            detach,
+            bindJoystick
+        };
+    }
+
+    // iOS 13+ asks before delivering motion / orientation events. Resolves to
+    // 'granted', 'denied' or 'unsupported' (no sensor API at all). Must run from a user gesture.
+    function requestPermission() {
+        const M = root.DeviceMotionEvent, O = root.DeviceOrientationEvent;
+        if (!M && !O) return Promise.resolve('unsupported');
+        const asks = [M, O].filter(E => E && typeof E.requestPermission === 'function').map(E => E.requestPermission());
+        if (asks.length === 0) return Promise.resolve('granted');
+        return Promise.all(asks).then(r => r.indexOf('granted') >= 0 ? 'granted' : 'denied', () => 'denied');
+    }
+
+    // Synthetic sensor for desktop testing: builds the events a phone held at a given pose sends.
+    // pose: { beta, gamma } in degrees (beta 90 = upright), noise: accelerometer noise in m/s²
+    function simulator(options) {
+        const sopts = Object.assign({ platform: 'android', noise: 0, seed: 1 }, options);
+        let seed = sopts.seed;
+        function rand() { // Same Mulberry32 as the solver, reproducible noise
+            seed |= 0; seed = seed + 0x6D2B79F5 | 0;
+            let t = Math.imul(seed ^ seed >>> 15, 1 | seed);
+            t = t + Math.imul(t ^ t >>> 7, 61 | t) ^ t;
+            return ((t ^ t >>> 14) >>> 0) / 4294967296;
+        }
+        const tmp = { x: 0, y: 0, z: 0 };
+        return {
+            motion(pose, rotationRate) {
+                upFromAngles(pose.beta, pose.gamma, tmp);
+                const s = (sopts.platform === 'ios' ? -1 : 1) * G;
+                const n = () => (rand() - 0.5) * 2 * sopts.noise;
+                return {
+                    accelerationIncludingGravity: { x: tmp.x * s + n(), y: tmp.y * s + n(), z: tmp.z * s + n() },
+                    rotationRate: { alpha: rotationRate || 0, beta: 0, gamma: 0 },
+                    interval: 16
+                };
+            },
+            orientation(pose) {
+                return { alpha: 0, beta: pose.beta, gamma: pose.gamma };
+            },
+            empty() {
+                return { accelerationIncludingGravity: { x: null, y: null, z: null }, rotationRate: null, interval: 16 };
+            }
+        };
+    }
+
+    const GravityInput = { DEFAULTS, create, requestPermission, simulator, upFromAngles };
+
+    if (typeof module !== 'undefined' && module.exports) module.exports = GravityInput;
+    else root.GravityInput = GravityInput;
+})(typeof self !== 'undefined' ? self : this);
@@ -0,0 +1,280 @@
+// obstacles.js - Static obstacles and container shapes as signed distance fields
+// Shapes are plain objects (structured-cloneable, so they can be posted to the solver worker):
+//   { type: 'circle',  x, y, r }
+//   { type: 'capsule', ax, ay, bx, by, r }
+//   { type: 'polygon', points: [x0, y0, x1, y1, ...] }
+//   { type: 'mask',    x, y, width, height, cols, rows, sdf }   (see maskFromAlpha / loadMask)
+// Distances are negative inside the solid. All units are simulation pixels.
+
+(function (root) {
+    'use strict';
+
+    // --- Distance functions: each writes the outward normal into out and returns the distance ---
+    function sdCircle(s, px, py, out) {
+        const dx = px - s.x, dy = py - s.y;
+        const d = Math.sqrt(dx * dx + dy * dy);
+        if (d > 0) { out.nx = dx / d; out.ny = dy / d; } else { out.nx = 0; out.ny = -1; }
+        return d - s.r;
+    }
+
+    function sdCapsule(s, px, py, out) {
+        const bax = s.bx - s.ax, bay = s.by - s.ay;
+        const pax = px - s.ax, pay = py - s.ay;
+        const len2 = bax * bax + bay * bay;
+        let t = len2 > 0 ? (pax * bax + pay * bay) / len2 : 0;
+        t = t < 0 ? 0 : t > 1 ? 1 : t;
+        const dx = pax - bax * t, dy = pay - bay * t;
+        const d = Math.sqrt(dx * dx + dy * dy);
+        if (d > 0) { out.nx = dx / d; out.ny = dy / d; } else { out.nx = -bay; out.ny = bax; normalize(out); }
+        return d - s.r;
+    }
+
+    function sdPolygon(s, px, py, out) {
+        const p = s.points, count = p.length / 2;
+        let best = Infinity, cx = 0, cy = 0, inside = false;
+        for (let i = 0, j = count - 1; i < count; j = i++) {
+            const ax = p[j * 2], ay = p[j * 2 + 1], bx = p[i * 2], by = p[i * 2 + 1];
+            const ex = bx - ax, ey = by - ay;
+            const len2 = ex * ex + ey * ey;
+            let t = len2 > 0 ? ((px - ax) * ex + (py - ay) * ey) / len2 : 0;
+            t = t < 0 ? 0 : t > 1 ? 1 : t;
+            const qx = ax + ex * t, qy = ay + ey * t;
+            const d2 = (px - qx) * (px - qx) + (py - qy) * (py - qy);
+            if (d2 < best) { best = d2; cx = qx; cy = qy; }
+            // Crossing test for inside/outside
+            if ((ay > py) !== (by > py) && px < ax + (py - ay) * ex / ey) inside = !inside;
+        }
+        const d = Math.sqrt(best);
+        const sign = inside ? -1 : 1;
+        if (d > 0) { out.nx = (px - cx) / d * sign; out.ny = (py - cy) / d * sign; } else { out.nx = 0; out.ny = -1; }
+        return d * sign;
+    }
+
+    function sampleMask(s, gx, gy) {
+        gx = gx < 0 ? 0 : gx > s.cols - 1 ? s.cols - 1 : gx;
+        gy = gy < 0 ? 0 : gy > s.rows - 1 ? s.rows - 1 : gy;
+        const x0 = Math.floor(gx), y0 = Math.floor(gy);
+        const x1 = Math.min(x0 + 1, s.cols - 1), y1 = Math.min(y0 + 1, s.rows - 1);
+        const fx = gx - x0, fy = gy - y0;
+        const a = s.sdf[y0 * s.cols + x0], b = s.sdf[y0 * s.cols + x1];
+        const c = s.sdf[y1 * s.cols + x0], d = s.sdf[y1 * s.cols + x1];
+        return (a * (1 - fx) + b * fx) * (1 - fy) + (c * (1 - fx) + d * fx) * fy;
+    }
+
+    function sdMask(s, px, py, out) {
+        const gx = (px - s.x) / s.width * (s.cols - 1);
+        const gy = (py - s.y) / s.height * (s.rows - 1);
+        out.nx = sampleMask(s, gx + 1, gy) - sampleMask(s, gx - 1, gy);
+        out.ny = sampleMask(s, gx, gy + 1) - sampleMask(s, gx, gy - 1);
+        normalize(out);
+        return sampleMask(s, gx, gy);
+    }
+
+    function normalize(out) {
+        const l = Math.sqrt(out.nx * out.nx + out.ny * out.ny);
+        if (l > 0) { out.nx /= l; out.ny /= l; } else { out.nx = 0; out.ny = -1; }
+    }
+
+    const DISTANCE = { circle: sdCircle, capsule: sdCapsule, polygon: sdPolygon, mask: sdMask };
+
+    // --- Scene ---
+    function create(shapes) {
+        let list = [];
+        const tmp = { nx: 0, ny: 0 };
+
+        function set(next) {
+            list = (next || []).filter(s => {
+                if (DISTANCE[s.type]) return true;
+                throw new Error("Unknown obstacle type: " + s.type);
+            });
+        }
+
+        // Distance to the nearest solid; out receives its outward normal
+        function distance(px, py, out) {
+            let best = Infinity;
+            for (let i = 0; i < list.length; i++) {
+                const d = DISTANCE[list[i].type](list[i], px, py, tmp);
+                if (d < best) { best = d; out.nx = tmp.nx; out.ny = tmp.ny; }
+            }
+            return best;
+        }
+
+        // Project particles out of every shape to at least margin away. Only positions move,
+        // so the tangential part of the motion survives and particles slide along surfaces.
+        function collide(x, y, n, margin) {
+            if (list.length === 0) return;
+            for (let s = 0; s < list.length; s++) {
+                const shape = list[s], fn = DISTANCE[shape.type];
+                for (let i = 0; i < n; i++) {
+                    const d = fn(shape, x[i], y[i], tmp);
+                    if (d < margin) {
+                        x[i] += tmp.nx * (margin - d);
+                        y[i] += tmp.ny * (margin - d);
+                    }
+                }
+            }
+        }
+
+        // Signed distance sampled on a cols x rows grid of cell-sized texels (GPU solver upload)
+        function bake(cols, rows, cell) {
+            const out = new Float32Array(cols * rows);
+            const n = { nx: 0, ny: 0 };
+            for (let j = 0; j < rows; j++) {
+                for (let i = 0; i < cols; i++) {
+                    const d = distance((i + 0.5) * cell, (j + 0.5) * cell, n);
+                    out[j * cols + i] = d === Infinity ? 1e4 : d;
+                }
+            }
+            return out;
+        }
+
+        // Fill every solid into a 2D context (scale: canvas pixels per simulation pixel)
+        function draw(ctx, scale, fill) {
+            ctx.save();
+            ctx.scale(scale, scale);
+            ctx.fillStyle = fill || '#fff';
+            for (const s of list) {
+                if (s.type === 'mask') { drawMask(ctx, s); continue; }
+                ctx.beginPath();
+                if (s.type === 'circle') {
+                    ctx.arc(s.x, s.y, s.r, 0, Math.PI * 2);
+                } else if (s.type === 'capsule') {
+                    const a = Math.atan2(s.by - s.ay, s.bx - s.ax);
+                    ctx.arc(s.ax, s.ay, s.r, a + Math.PI / 2, a - Math.PI / 2);
+                    ctx.arc(s.bx, s.by, s.r, a - Math.PI / 2, a + Math.PI / 2);
+                } else {
+                    ctx.moveTo(s.points[0], s.points[1]);
+                    for (let i = 2; i < s.points.length; i += 2) ctx.lineTo(s.points[i], s.points[i + 1]);
+                }
+                ctx.closePath();
+                ctx.fill();
+            }
+            ctx.restore();
+        }
+
+        function drawMask(ctx, s) {
+            const img = ctx.createImageData(s.cols, s.rows);
+            for (let i = 0; i < s.cols * s.rows; i++) {
+                img.data[i * 4] = img.data[i * 4 + 1] = img.data[i * 4 + 2] = 255;
+                img.data[i * 4 + 3] = s.sdf[i] < 0 ? 255 : 0;
+            }
+            const c = makeCanvas(s.cols, s.rows);
+            c.getContext('2d').putImageData(img, 0, 0);
+            ctx.imageSmoothingEnabled = true;
+            ctx.drawImage(c, s.x, s.y, s.width, s.height);
+        }
+
+        set(shapes);
+
+        return {
+            get shapes() { return list; },
+            get empty() { return list.length === 0; },
+            set,
+            distance,
+            collide,
+            bake,
+            draw
+        };
+    }
+
+    // --- Masks ---
+    // 1D squared distance transform (Felzenszwalb & Huttenlocher)
+    function edt1d(f, n, d, v, z) {
+        let k = 0;
+        v[0] = 0; z[0] = -Infinity; z[1] = Infinity;
+        for (let q = 1; q < n; q++) {
+            let s = ((f[q] + q * q) - (f[v[k]] + v[k] * v[k])) / (2 * q - 2 * v[k]);
+            while (s <= z[k]) {
+                k--;
+                s = ((f[q] + q * q) - (f[v[k]] + v[k] * v[k])) / (2 * q - 2 * v[k]);
+            }
+            k++; v[k] = q; z[k] = s; z[k + 1] = Infinity;
+        }
+        k = 0;
+        for (let q = 0; q < n; q++) {
+            while (z[k + 1] < q) k++;
+            d[q] = (q - v[k]) * (q - v[k]) + f[v[k]];
+        }
+    }
+
+    // Euclidean distance (in cells) from every cell to the nearest cell where seed is true
+    function edt2d(seed, cols, rows) {
+        const INF = 1e20;
+        const grid = new Float64Array(cols * rows);
+        for (let i = 0; i < grid.length; i++) grid[i] = seed[i] ? 0 : INF;
+        const len = Math.max(cols, rows);
+        const f = new Float64Array(len), d = new Float64Array(len);
+        const v = new Int32Array(len), z = new Float64Array(len + 1);
+        for (let x = 0; x < cols; x++) {
+            for (let y = 0; y < rows; y++) f[y] = grid[y * cols + x];
+            edt1d(f, rows, d, v, z);
+            for (let y = 0; y < rows; y++) grid[y * cols + x] = d[y];
+        }
+        for (let y = 0; y < rows; y++) {
+            for (let x = 0; x < cols; x++) f[x] = grid[y * cols + x];
+            edt1d(f, cols, d, v, z);
+            for (let x = 0; x < cols; x++) grid[y * cols + x] = Math.sqrt(d[x]);
+        }
+        return grid;
+    }
+
+    // alpha: cols * rows values in 0..255 (e.g. the alpha channel of a PNG).
+    // rect: { x, y, width, height } where the mask sits in the simulation.
+    // options.invert: the opaque area is the container the water lives in, not a solid.
+    function maskFromAlpha(alpha, cols, rows, rect, options) {
+        const opts = options || {};
+        const threshold = opts.threshold !== undefined ? opts.threshold : 128;
+        const solid = new Uint8Array(cols * rows);
+        for (let i = 0; i < solid.length; i++) solid[i] = (alpha[i] >= threshold) !== !!opts.invert ? 1 : 0;
+        const free = solid.map(s => 1 - s);
+        const toSolid = edt2d(solid, cols, rows);
+        const toFree = edt2d(free, cols, rows);
+        const cell = rect.width / Math.max(1, cols - 1);
+        const sdf = new Float32Array(cols * rows);
+        for (let i = 0; i < sdf.length; i++) {
+            // Half-cell offset puts the surface between a solid and a free cell
+            sdf[i] = solid[i] ? -(toFree[i] - 0.5) * cell : (toSolid[i] - 0.5) * cell;
+        }
+        return { type: 'mask', x: rect.x, y: rect.y, width: rect.width, height: rect.height, cols, rows, sdf };
+    }
+
+    function makeCanvas(w, h) {
+        if (typeof OffscreenCanvas !== 'undefined') return new OffscreenCanvas(w, h);
+        const c = document.createElement('canvas');
+        c.width = w; c.height = h;
+        return c;
+    }
+
+    // Browser only: load a PNG and turn it into a mask shape. The image is scaled down to
+    // at most options.resolution cells on its long side before the distance transform.
+    function loadMask(url, rect, options) {
+        const opts = options || {};
+        return new Promise((resolve, reject) => {
+            const img = new Image();
+            img.crossOrigin = 'anonymous';
+            img.onload = () => {
+                const res = opts.resolution || 256;
+                const scale = Math.min(1, res / Math.max(img.width, img.height));
+                const cols = Math.max(2, Math.round(img.width * scale));
+                const rows = Math.max(2, Math.round(img.height * scale));
+                const ctx = makeCanvas(cols, rows).getContext('2d');
+                ctx.drawImage(img, 0, 0, cols, rows);
+                const data = ctx.getImageData(0, 0, cols, rows).data;
+                const alpha = new Uint8Array(cols * rows);
+                for (let i = 0; i < alpha.length; i++) alpha[i] = data[i * 4 + 3];
+                // Keep the mask's aspect ratio inside rect
+                const fit = Math.min(rect.width / cols, rect.height / rows);
+                const w = cols * fit, h = rows * fit;
+                resolve(maskFromAlpha(alpha, cols, rows,
+                    { x: rect.x + (rect.width - w) / 2, y: rect.y + (rect.height - h) / 2, width: w, height: h }, opts));
+            };
+            img.onerror = () => reject(new Error("Mask load failed: " + url));
+            img.src = url;
+        });
+    }
+
+    const Obstacles = { create, maskFromAlpha, loadMask };
+
+    if (typeof module !== 'undefined' && module.exports) module.exports = Obstacles;
+    else root.Obstacles = Obstacles;
+})(typeof self !== 'undefined' ? self : this);
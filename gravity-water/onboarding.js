@@ -0,0 +1,210 @@
+// onboarding.js - Permission onboarding for motion sensors and camera: explains each one, asks on a tap,
+// remembers the answers (localStorage) and shows recoverable states instead of alerts.
+// A permission is always in one of these states:
+//   prompt       not asked yet, or the browser forgot and will ask again
+//   granted
+//   denied       refused by the user or the browser: Retry, plus how to undo it in the browser
+//   skipped      the user chose not to use it (remembered); Allow stays available
+//   unsupported  no such API or hardware
+//   insecure     not a secure context (plain http): browsers block both APIs, only https or localhost works
+// classify() maps requestPermission / getUserMedia outcomes onto these. Browser only.
+
+(function (root) {
+    'use strict';
+
+    const KINDS = ['motion', 'camera'];
+    const REMEMBERED = ['granted', 'denied', 'skipped'];
+
+    const TEXT = {
+        motion: {
+            title: 'Motion sensors',
+            why: 'Tilt the phone to slosh the water around.',
+            granted: 'On.',
+            skipped: 'Off: tilt with the on-screen stick, the arrow keys or a gamepad.',
+            denied: 'Blocked. On iPhone and iPad close every tab of this site, reopen it and allow ' +
+                'Motion & Orientation Access. Until then the on-screen stick and arrow keys still work.',
+            unsupported: 'No motion sensors here: tilt with the on-screen stick, the arrow keys or a gamepad.'
+        },
+        camera: {
+            title: 'Camera',
+            why: 'Optional: shows the room behind the water.',
+            granted: 'On.',
+            skipped: 'Off: the water sits in front of a plain background.',
+            denied: 'Blocked. Allow the camera in the site settings (the icon next to the address), then retry.',
+            unsupported: 'No camera was found.'
+        },
+        insecure: 'Blocked on insecure pages: the browser only allows this over https (or on localhost).'
+    };
+
+    // State for the outcome of asking: a requestPermission string, or a getUserMedia error
+    function classify(result) {
+        if (result === 'granted' || result === 'denied' || result === 'unsupported') return result;
+        const name = result && result.name;
+        if (name === 'NotAllowedError' || name === 'PermissionDeniedError' || name === 'SecurityError') return 'denied';
+        if (name === 'NotFoundError' || name === 'OverconstrainedError' || name === 'NotReadableError') return 'unsupported';
+        return 'denied';
+    }
+
+    // What the page can tell without asking. env defaults to the global object.
+    function probe(env) {
+        const w = env || root;
+        const nav = w.navigator || {};
+        if (w.isSecureContext === false) return { motion: 'insecure', camera: 'insecure' };
+        const M = w.DeviceMotionEvent, O = w.DeviceOrientationEvent;
+        let motion = 'unsupported';
+        if (M || O) {
+            // Only iOS asks; elsewhere the events just arrive (or never do, then input.js offers the stick)
+            const asks = [M, O].some(E => E && typeof E.requestPermission === 'function');
+            motion = asks ? 'prompt' : 'granted';
+        }
+        const camera = nav.mediaDevices && nav.mediaDevices.getUserMedia ? 'prompt' : 'unsupported';
+        return { motion, camera };
+    }
+
+    function load(key) {
+        try { return JSON.parse(root.localStorage.getItem(key)) || {}; } catch (e) { return {}; }
+    }
+
+    function save(key, value) {
+        try { root.localStorage.setItem(key, JSON.stringify(value)); } catch (e) { /* Private mode */ }
+    }
+
+    // panel: element the rows are drawn into (the start screen). notice: element shown over the running
+    // app when something fails later. options:
+    //   storageKey
+    //   requestMotion()   -> Promise of 'granted' | 'denied' | 'unsupported' (must run inside a tap)
+    //   requestCamera()   -> Promise that resolves once the camera may be used, rejects with the error
+    //   onChange(kind, state)
+    function create(panel, notice, options) {
+        const opts = Object.assign({ storageKey: 'gravity-water.permissions' }, options);
+        const remembered = load(opts.storageKey);
+        const states = probe();
+        let noticeKind = null;
+
+        // A remembered answer wins over 'prompt' and over the non-iOS default, never over a hard limit
+        for (const kind of KINDS) {
+            const r = remembered[kind];
+            if (REMEMBERED.indexOf(r) >= 0 && (states[kind] === 'prompt' || states[kind] === 'granted')) states[kind] = r;
+        }
+
+        function set(kind, state) {
+            if (states[kind] === state) return;
+            states[kind] = state;
+            if (REMEMBERED.indexOf(state) >= 0) {
+                remembered[kind] = state;
+                save(opts.storageKey, remembered);
+            }
+            render();
+            if (opts.onChange) opts.onChange(kind, state);
+        }
+
+        // The browser may have reset the camera permission since it was remembered
+        if (states.camera !== 'insecure' && root.navigator && root.navigator.permissions) {
+            root.navigator.permissions.query({ name: 'camera' }).then(status => {
+                if (status.state === 'denied') set('camera', 'denied');
+                else if (status.state === 'granted' && states.camera === 'denied') set('camera', 'granted');
+            }, () => { /* Firefox: 'camera' is not a queryable name */ });
+        }
+
+        function ask(kind) {
+            if (states[kind] === 'insecure' || states[kind] === 'unsupported') return Promise.resolve(states[kind]);
+            const asking = kind === 'motion'
+                ? Promise.resolve(opts.requestMotion())
+                : Promise.resolve(opts.requestCamera()).then(() => 'granted');
+            return asking.then(classify, classify).then(state => {
+                set(kind, state);
+                return state;
+            });
+        }
+
+        function skip(kind) {
+            set(kind, 'skipped');
+        }
+
+        // A later failure (e.g. the camera button): record it and explain it over the running app
+        function fail(kind, error) {
+            set(kind, classify(error));
+            show(kind);
+        }
+
+        // Called from the start tap: asks for motion unless the user already said no. Camera is only
+        // asked for if they chose it. Resolves to the states.
+        function start() {
+            const motion = states.motion === 'prompt' || states.motion === 'granted' ? ask('motion') : Promise.resolve();
+            return motion.then(() => Object.assign({}, states));
+        }
+
+        // --- UI ---
+        function button(label, onClick) {
+            const b = document.createElement('button');
+            b.className = 'btn';
+            b.textContent = label;
+            b.addEventListener('click', e => { e.stopPropagation(); onClick(); });
+            return b;
+        }
+
+        function row(kind) {
+            const state = states[kind];
+            const text = TEXT[kind];
+            const el = document.createElement('div');
+            el.className = 'permission ' + state;
+            const title = document.createElement('strong');
+            title.textContent = text.title;
+            const msg = document.createElement('p');
+            msg.textContent = state === 'insecure' ? TEXT.insecure : state === 'prompt' ? text.why : text[state];
+            el.append(title, msg);
+            const actions = document.createElement('div');
+            if (state === 'prompt' || state === 'skipped') actions.append(button('Allow', () => ask(kind)));
+            if (state === 'prompt') actions.append(button('Skip', () => skip(kind)));
+            if (state === 'denied') {
+                actions.append(button('Retry', () => ask(kind)));
+                // iOS answers 'denied' without asking again until the page is reloaded
+                if (kind === 'motion') actions.append(button('Reload', () => root.location.reload()));
+            }
+            if (state === 'insecure' && root.location.protocol === 'http:') {
+                actions.append(button('Open https', () => { root.location.protocol = 'https:'; }));
+            }
+            if (state === 'granted' && kind === 'camera') actions.append(button('Turn off', () => skip(kind)));
+            el.append(actions);
+            return el;
+        }
+
+        function render() {
+            if (panel) panel.replaceChildren(...KINDS.map(row));
+            if (notice && noticeKind) {
+                notice.replaceChildren(row(noticeKind), button('Dismiss', hide));
+            }
+        }
+
+        function show(kind) {
+            if (!notice) return;
+            noticeKind = kind;
+            render();
+            notice.classList.remove('hidden');
+        }
+
+        function hide() {
+            if (!notice) return;
+            noticeKind = null;
+            notice.classList.add('hidden');
+        }
+
+        render();
+
+        return {
+            get states() { return Object.assign({}, states); },
+            ask,
+            skip,
+            set,
+            fail,
+            start,
+            show,
+            hide
+        };
+    }
+
+    const Onboarding = { KINDS, TEXT, classify, probe, create };
+
+    if (typeof module !== 'undefined' && module.exports) module.exports = Onboarding;
+    else root.Onboarding = Onboarding;
+})(typeof self !== 'undefined' ? self : this);
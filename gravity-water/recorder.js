@@ -0,0 +1,156 @@
+// recorder.js - Input recording and deterministic replay
+// A recording is plain JSON:
+//   { version: 2, dt, frames, duration, header, events: [[frame, ms, type, ...args], ...] }
+// frame is the solver step the event applies before, ms the wall time since recording started.
+// Built-in types are only written when the value changes:
+//   'g' gravity x, y
+//   'P' pointers: one [id, x, y, vx, vy, tool, phase] per finger touching (none = all lifted)
+//   'p' single pointer x, y, down (0/1), tool, phase (version 1 only, still replayed)
+// Anything else (resets, scene changes...) is app-defined and handed back to the player's onEvent.
+// Inputs are quantized before they reach the solver, so the live run and its replays see
+// bit-identical values.
+
+(function (root) {
+    'use strict';
+
+    const VERSION = 2;
+    const READS = [1, 2];
+
+    function now() {
+        return typeof performance !== 'undefined' ? performance.now() : Date.now();
+    }
+
+    function round(v, scale) {
+        return Math.round(v * scale) / scale;
+    }
+
+    // Same shape as solver.step() inputs, at recording precision
+    function quantize(inputs) {
+        const g = inputs.gravity || { x: 0, y: 1 };
+        const out = { gravity: { x: round(g.x, 1000), y: round(g.y, 1000) } };
+        if (inputs.pointers) {
+            out.pointers = inputs.pointers.map(p => ({
+                id: p.id || 0, x: round(p.x, 10), y: round(p.y, 10), vx: round(p.vx || 0, 10), vy: round(p.vy || 0, 10),
+                tool: p.tool || 'push', phase: p.phase || 0
+            }));
+        }
+        const p = inputs.pointer;
+        if (p) out.pointer = { x: round(p.x, 10), y: round(p.y, 10), down: !!p.down, tool: p.tool || 'push', phase: p.phase || 0 };
+        return out;
+    }
+
+    function pointerRow(p) {
+        return [p.id || 0, p.x, p.y, p.vx || 0, p.vy || 0, p.tool || 'push', p.phase || 0];
+    }
+
+    // --- Recorder ---
+    // header: whatever the app needs to rebuild the starting point (settings, scene, canvas size...)
+    function create(header, options) {
+        const dt = (options && options.dt) || 1 / 60;
+        const t0 = now();
+        const events = [];
+        let frame = 0;
+        let lastG = null, lastP = null, lastPs = '';
+
+        function event(type) {
+            const e = [frame, Math.round(now() - t0), type];
+            for (let i = 1; i < arguments.length; i++) e.push(arguments[i]);
+            events.push(e);
+        }
+
+        // Call once per solver step that actually ran, with the quantized inputs it got
+        function step(inputs) {
+            const g = inputs.gravity, p = inputs.pointer;
+            if (!lastG || g.x !== lastG.x || g.y !== lastG.y) {
+                event('g', g.x, g.y);
+                lastG = { x: g.x, y: g.y };
+            }
+            if (inputs.pointers) {
+                const rows = inputs.pointers.map(pointerRow);
+                const key = JSON.stringify(rows);
+                if (key !== lastPs) {
+                    event.apply(null, ['P'].concat(rows));
+                    lastPs = key;
+                }
+            } else if (p) {
+                const key = p.x + ',' + p.y + ',' + p.down + ',' + p.tool + ',' + p.phase;
+                if (key !== lastP) {
+                    event('p', p.x, p.y, p.down ? 1 : 0, p.tool, p.phase);
+                    lastP = key;
+                }
+            }
+            frame++;
+        }
+
+        function stop() {
+            return { version: VERSION, dt, frames: frame, duration: Math.round(now() - t0), header, events: events.slice() };
+        }
+
+        return {
+            header,
+            get frame() { return frame; },
+            quantize,
+            event,
+            step,
+            stop
+        };
+    }
+
+    // --- Player ---
+    // next() applies the events due for the coming step and returns its inputs (null when done).
+    // onEvent(type, args) receives the app-defined events.
+    function play(recording, onEvent) {
+        validate(recording);
+        const events = recording.events;
+        const gravity = { x: 0, y: 1 };
+        let pointers = [];
+        let frame = 0, cursor = 0;
+
+        function apply(e) {
+            const type = e[2];
+            if (type === 'g') { gravity.x = e[3]; gravity.y = e[4]; }
+            else if (type === 'P') {
+                pointers = e.slice(3).map(r => ({ id: r[0], x: r[1], y: r[2], vx: r[3], vy: r[4], tool: r[5], phase: r[6] }));
+            } else if (type === 'p') {
+                pointers = e[5] === 1 ? [{ id: 0, x: e[3], y: e[4], vx: 0, vy: 0, tool: e[6], phase: e[7] }] : [];
+            } else if (onEvent) onEvent(type, e.slice(3));
+        }
+
+        function next() {
+            if (frame >= recording.frames) return null;
+            while (cursor < events.length && events[cursor][0] <= frame) apply(events[cursor++]);
+            frame++;
+            return {
+                gravity: { x: gravity.x, y: gravity.y },
+                pointers: pointers.map(p => Object.assign({}, p))
+            };
+        }
+
+        return {
+            recording,
+            get frame() { return frame; },
+            get done() { return frame >= recording.frames; },
+            next
+        };
+    }
+
+    function validate(recording) {
+        if (!recording || READS.indexOf(recording.version) < 0 || !Array.isArray(recording.events) || !(recording.frames >= 0)) {
+            throw new Error("Not a gravity-water recording (version " + READS.join(' or ') + ")");
+        }
+        return recording;
+    }
+
+    function stringify(recording) {
+        return JSON.stringify(recording);
+    }
+
+    function parse(text) {
+        return validate(JSON.parse(text));
+    }
+
+    const Recorder = { VERSION, create, play, quantize, stringify, parse };
+
+    if (typeof module !== 'undefined' && module.exports) module.exports = Recorder;
+    else root.Recorder = Recorder;
+})(typeof self !== 'undefined' ? self : this);
@@ -0,0 +1,262 @@
+// render-device.js - The WebGL context: size, capabilities, shader diagnostics, loss and restore
+// create() sizes the canvas to the window, or to the box of options.container (followed with
+// ResizeObserver), device pixel ratio capped at maxDpr, and probes what the context can do once
+// per context. The app owns every GL object and rebuilds them itself:
+//   onResize(width, height)  the drawing buffer changed size (rotation, window resize)
+//   onLost()                 the context is gone (backgrounded on iOS, GPU reset); stop drawing
+//   onRestored()             a fresh context with nothing in it; caps are probed again
+// caps: { webgl2, floatTextures, floatLinear, halfFloat, halfFloatRender, blendMinMax,
+//         vertexTextures, maxPointSize, maxTextureSize, maxTextureUnits, timerQuery, ext }
+// ext holds the extension objects (names without prefix) for their constants.
+// program() throws an Error carrying infoLog and excerpt (offending source lines) on failure.
+// timer() measures GPU time per frame with EXT_disjoint_timer_query; results arrive frames late.
+
+(function (root) {
+    'use strict';
+
+    const DEFAULTS = {
+        attributes: {},     // getContext attributes
+        maxDpr: 2,
+        container: null,    // Element whose box the canvas fills; null: the window
+        onResize: null,
+        onLost: null,
+        onRestored: null
+    };
+
+    // WebGL2 exists here (the app stays on WebGL1 shaders; reported for diagnostics)
+    function hasWebGL2() {
+        if (typeof root.WebGL2RenderingContext === 'undefined' || typeof document === 'undefined') return false;
+        const gl2 = document.createElement('canvas').getContext('webgl2');
+        if (!gl2) return false;
+        const lose = gl2.getExtension('WEBGL_lose_context');
+        if (lose) lose.loseContext(); // Contexts are a scarce resource on mobile
+        return true;
+    }
+
+    function renderable(gl, type) {
+        const tex = gl.createTexture();
+        gl.bindTexture(gl.TEXTURE_2D, tex);
+        gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, 4, 4, 0, gl.RGBA, type, null);
+        const fb = gl.createFramebuffer();
+        gl.bindFramebuffer(gl.FRAMEBUFFER, fb);
+        gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, tex, 0);
+        const ok = gl.checkFramebufferStatus(gl.FRAMEBUFFER) === gl.FRAMEBUFFER_COMPLETE;
+        gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+        gl.deleteFramebuffer(fb);
+        gl.deleteTexture(tex);
+        return ok;
+    }
+
+    // Enables the extensions the app uses and reports what works
+    function probe(gl, webgl2) {
+        const ext = {
+            float: gl.getExtension('OES_texture_float'),
+            floatLinear: gl.getExtension('OES_texture_float_linear'),
+            halfFloat: gl.getExtension('OES_texture_half_float'),
+            halfFloatLinear: gl.getExtension('OES_texture_half_float_linear'),
+            colorBufferHalfFloat: gl.getExtension('EXT_color_buffer_half_float'),
+            blendMinMax: gl.getExtension('EXT_blend_minmax'),
+            timerQuery: gl.getExtension('EXT_disjoint_timer_query'),
+            loseContext: gl.getExtension('WEBGL_lose_context')
+        };
+        const points = gl.getParameter(gl.ALIASED_POINT_SIZE_RANGE);
+        return {
+            webgl2: !!webgl2,
+            floatTextures: !!ext.float,
+            floatLinear: !!ext.floatLinear,
+            halfFloat: !!ext.halfFloat,
+            // Linear filtering and a complete FBO: what the blurred water targets need
+            halfFloatRender: !!(ext.halfFloat && ext.halfFloatLinear) && renderable(gl, ext.halfFloat.HALF_FLOAT_OES),
+            blendMinMax: !!ext.blendMinMax,
+            vertexTextures: gl.getParameter(gl.MAX_VERTEX_TEXTURE_IMAGE_UNITS) > 0,
+            maxPointSize: points ? points[1] : 1,
+            maxTextureSize: gl.getParameter(gl.MAX_TEXTURE_SIZE),
+            maxTextureUnits: gl.getParameter(gl.MAX_TEXTURE_IMAGE_UNITS),
+            timerQuery: !!ext.timerQuery,
+            ext
+        };
+    }
+
+    function describe(caps) {
+        const on = (flag, name) => flag ? name : 'no ' + name;
+        return [
+            'WebGL1' + (caps.webgl2 ? ' (WebGL2 available)' : ''),
+            on(caps.floatTextures, 'float'),
+            on(caps.halfFloatRender, 'half float FBO'),
+            on(caps.blendMinMax, 'minmax'),
+            'point size ' + caps.maxPointSize,
+            'texture ' + caps.maxTextureSize,
+            on(caps.timerQuery, 'timer query')
+        ].join(', ');
+    }
+
+    // --- Shaders ---
+    // Source lines named in a compiler log ("ERROR: 0:12: ..."), with a line either side
+    function excerpt(source, infoLog) {
+        const lines = source.split('\n');
+        const wanted = new Set();
+        const re = /ERROR:\s*\d+:(\d+)/g;
+        let m;
+        while ((m = re.exec(infoLog))) {
+            const n = parseInt(m[1], 10);
+            for (let i = n - 1; i <= n + 1; i++) if (i >= 1 && i <= lines.length) wanted.add(i);
+        }
+        return Array.from(wanted).sort((a, b) => a - b)
+            .map(i => String(i).padStart(4) + '| ' + lines[i - 1]).join('\n');
+    }
+
+    function failure(message, infoLog, source) {
+        const log = (infoLog || '').trim();
+        const err = new Error(message + ': ' + (log.split('\n')[0] || 'no info log'));
+        err.infoLog = log;
+        err.excerpt = source ? excerpt(source, log) : '';
+        return err;
+    }
+
+    function compile(gl, type, source, label) {
+        const shader = gl.createShader(type);
+        gl.shaderSource(shader, source);
+        gl.compileShader(shader);
+        if (gl.getShaderParameter(shader, gl.COMPILE_STATUS)) return shader;
+        if (gl.isContextLost()) throw new Error("WebGL context lost");
+        const err = failure(label + " didn't compile", gl.getShaderInfoLog(shader), source);
+        gl.deleteShader(shader);
+        throw err;
+    }
+
+    // vsLabel / fsLabel name the sources in errors (the <script> ids)
+    function program(gl, vsSource, fsSource, vsLabel, fsLabel) {
+        const vs = compile(gl, gl.VERTEX_SHADER, vsSource, vsLabel || 'vertex shader');
+        let fs;
+        try { fs = compile(gl, gl.FRAGMENT_SHADER, fsSource, fsLabel || 'fragment shader'); }
+        catch (e) { gl.deleteShader(vs); throw e; }
+        const prog = gl.createProgram();
+        gl.attachShader(prog, vs); gl.attachShader(prog, fs);
+        gl.linkProgram(prog);
+        // Linked programs keep working without their shaders
+        gl.detachShader(prog, vs); gl.detachShader(prog, fs);
+        gl.deleteShader(vs); gl.deleteShader(fs);
+        if (gl.getProgramParameter(prog, gl.LINK_STATUS)) return prog;
+        if (gl.isContextLost()) throw new Error("WebGL context lost");
+        const err = failure((vsLabel || 'vertex') + ' + ' + (fsLabel || 'fragment') + " didn't link", gl.getProgramInfoLog(prog));
+        gl.deleteProgram(prog);
+        throw err;
+    }
+
+    // --- GPU timing ---
+    // begin() / end() around a frame's draw calls; poll() returns the latest finished frame in ms,
+    // or null (no extension, nothing finished yet, or the measurement was disjoint)
+    function timer(gl, ext) {
+        if (!ext) return { begin() {}, end() {}, poll() { return null; }, get supported() { return false; } };
+        const pending = [];
+        let active = null, last = null;
+        return {
+            get supported() { return true; },
+            begin() {
+                if (active || pending.length > 4) return; // Results lagging far behind: skip a frame
+                active = ext.createQueryEXT();
+                ext.beginQueryEXT(ext.TIME_ELAPSED_EXT, active);
+            },
+            end() {
+                if (!active) return;
+                ext.endQueryEXT(ext.TIME_ELAPSED_EXT);
+                pending.push(active);
+                active = null;
+            },
+            poll() {
+                const disjoint = gl.getParameter(ext.GPU_DISJOINT_EXT);
+                while (pending.length > 0 && ext.getQueryObjectEXT(pending[0], ext.QUERY_RESULT_AVAILABLE_EXT)) {
+                    const q = pending.shift();
+                    if (!disjoint) last = ext.getQueryObjectEXT(q, ext.QUERY_RESULT_EXT) / 1e6;
+                    ext.deleteQueryEXT(q);
+                }
+                return disjoint ? null : last;
+            }
+        };
+    }
+
+    // --- Device ---
+    function create(canvas, options) {
+        const opts = Object.assign({}, DEFAULTS, options);
+        const gl = canvas.getContext('webgl', opts.attributes) || canvas.getContext('experimental-webgl', opts.attributes);
+        if (!gl) throw new Error("WebGL unavailable");
+        const webgl2 = hasWebGL2();
+        let caps = probe(gl, webgl2);
+        let lost = false;
+        let pending = false;
+        let observer = null;
+
+        function pixelRatio() {
+            return Math.min(root.devicePixelRatio || 1, opts.maxDpr);
+        }
+
+        // Drawing buffer to the window (or container) size; true when it changed
+        function fit() {
+            const dpr = pixelRatio(), box = opts.container;
+            const cw = box ? box.clientWidth : root.innerWidth, ch = box ? box.clientHeight : root.innerHeight;
+            const w = Math.max(1, Math.round(cw * dpr)), h = Math.max(1, Math.round(ch * dpr));
+            if (w === canvas.width && h === canvas.height) return false;
+            canvas.width = w;
+            canvas.height = h;
+            return true;
+        }
+
+        // Resize bursts (rotation, dragging a window edge) settle into one rebuild per frame
+        function onWindowResize() {
+            if (pending) return;
+            pending = true;
+            root.requestAnimationFrame(() => {
+                pending = false;
+                if (!lost && fit() && opts.onResize) opts.onResize(canvas.width, canvas.height);
+            });
+        }
+
+        function onLost(e) {
+            e.preventDefault(); // Without this the browser never restores it
+            lost = true;
+            if (opts.onLost) opts.onLost();
+        }
+
+        function onRestored() {
+            lost = false;
+            caps = probe(gl, webgl2);
+            fit();
+            if (opts.onRestored) opts.onRestored();
+        }
+
+        fit();
+        if (opts.container && root.ResizeObserver) {
+            observer = new root.ResizeObserver(onWindowResize);
+            observer.observe(opts.container);
+        } else root.addEventListener('resize', onWindowResize);
+        canvas.addEventListener('webglcontextlost', onLost);
+        canvas.addEventListener('webglcontextrestored', onRestored);
+
+        return {
+            gl,
+            canvas,
+            get caps() { return caps; },
+            get width() { return canvas.width; },
+            get height() { return canvas.height; },
+            get lost() { return lost; },
+            describe() { return describe(caps); },
+            program(vsSource, fsSource, vsLabel, fsLabel) { return program(gl, vsSource, fsSource, vsLabel, fsLabel); },
+            fit,
+            timer() { return timer(gl, caps.ext.timerQuery); },
+            // WEBGL_lose_context, to exercise the rebuild on desktop
+            loseContext() { if (caps.ext.loseContext) caps.ext.loseContext.loseContext(); },
+            restoreContext() { if (caps.ext.loseContext) caps.ext.loseContext.restoreContext(); },
+            destroy() {
+                if (observer) observer.disconnect();
+                root.removeEventListener('resize', onWindowResize);
+                canvas.removeEventListener('webglcontextlost', onLost);
+                canvas.removeEventListener('webglcontextrestored', onRestored);
+            }
+        };
+    }
+
+    const RenderDevice = { DEFAULTS, create, probe, describe, program, excerpt, timer };
+
+    if (typeof module !== 'undefined' && module.exports) module.exports = RenderDevice;
+    else root.RenderDevice = RenderDevice;
+})(typeof self !== 'undefined' ? self : this);
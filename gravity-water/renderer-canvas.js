@@ -0,0 +1,227 @@
+// renderer-canvas.js - Canvas 2D water for browsers without WebGL
+// Draws the same frames as the WebGL pipeline in fluid.js, without shaders: every particle is a
+// soft blob summed into a small field buffer ('lighter' adds premultiplied colour, so reading it
+// back gives the weighted mean colour), the field is cut at a threshold where neighbouring blobs
+// merge into one surface, and the result is scaled up over the background. Back to front:
+//   background (cover fit), water, obstacles, bodies
+// create(canvas, options) sizes the canvas to the window like RenderDevice and returns a renderer
+// with the interface renderer-webgl.js has (what needs a GL context is left out):
+//   { name, canvas, width, height, lost, target, draw(frame), setScene(obstacles), setQuality(tier, scale), setPool(), destroy() }
+// frame: { solver, shading: { tint: [r, g, b, strength] } }; solver as in solver.js (positions,
+// colors, count, config.radius, bodies). target is the field buffer, { width, height }.
+// container: element whose box the canvas fills (followed with ResizeObserver), else the window.
+
+(function (root) {
+    'use strict';
+
+    const DEFAULTS = {
+        maxDpr: 2,
+        field: 0.35,        // Field buffer size per unit of quality scale (of the canvas)
+        splat: 3.75,        // Blob diameter in particle radii, as wide as the WebGL splats
+        peak: 0.12,         // Blob weight at its centre; low so the summed colour rarely clips
+        threshold: 0.08,    // Field weight where the surface is
+        edge: 0.06,         // Width of the antialiased edge above threshold
+        depth: 0.6,         // Field weight at which the water is darkest
+        opacity: 0.88,
+        obstacleColor: 'rgb(140, 153, 173)',
+        background: null,   // Image or canvas behind the water
+        container: null,
+        onResize: null
+    };
+
+    function smoothstep(a, b, x) {
+        const t = Math.min(1, Math.max(0, (x - a) / (b - a)));
+        return t * t * (3 - 2 * t);
+    }
+
+    function makeCanvas(w, h) {
+        const c = document.createElement('canvas');
+        c.width = w; c.height = h;
+        return c;
+    }
+
+    // One blob of diameter size in colour rgb (0-1): alpha falls off as (1 - q²)², like the splat shader
+    function blob(size, rgb, peak) {
+        const c = makeCanvas(size, size);
+        const ctx = c.getContext('2d');
+        const img = ctx.createImageData(size, size);
+        const r = size / 2;
+        for (let y = 0; y < size; y++) {
+            for (let x = 0; x < size; x++) {
+                const dx = (x + 0.5 - r) / r, dy = (y + 0.5 - r) / r;
+                const q = 1 - Math.min(1, dx * dx + dy * dy);
+                const i = (y * size + x) * 4;
+                img.data[i] = rgb[0] * 255; img.data[i + 1] = rgb[1] * 255; img.data[i + 2] = rgb[2] * 255;
+                img.data[i + 3] = q * q * peak * 255;
+            }
+        }
+        ctx.putImageData(img, 0, 0);
+        return c;
+    }
+
+    function create(canvas, options) {
+        const opts = Object.assign({}, DEFAULTS, options);
+        const ctx = canvas.getContext('2d');
+        if (!ctx) throw new Error("Canvas 2D unavailable");
+        let field = makeCanvas(1, 1), fieldCtx = null, fieldScale = opts.field;
+        let obstacles = null;       // Canvas-sized layer, redrawn by setScene
+        const blobs = new Map();    // Quantized colour -> blob canvas
+        let blobSize = 0;
+        let pending = false;
+        let observer = null;
+
+        function pixelRatio() {
+            return Math.min(root.devicePixelRatio || 1, opts.maxDpr);
+        }
+
+        function fit() {
+            const dpr = pixelRatio(), box = opts.container;
+            const cw = box ? box.clientWidth : root.innerWidth, ch = box ? box.clientHeight : root.innerHeight;
+            const w = Math.max(1, Math.round(cw * dpr)), h = Math.max(1, Math.round(ch * dpr));
+            if (w === canvas.width && h === canvas.height) return false;
+            canvas.width = w;
+            canvas.height = h;
+            return true;
+        }
+
+        function onWindowResize() {
+            if (pending) return;
+            pending = true;
+            root.requestAnimationFrame(() => {
+                pending = false;
+                if (fit() && opts.onResize) opts.onResize(canvas.width, canvas.height);
+            });
+        }
+
+        // Field buffer at the tier's scale times scale (the governor's multiplier)
+        function setQuality(tier, scale) {
+            if (tier) fieldScale = opts.field * tier.scale * (scale || 1);
+            field = makeCanvas(Math.max(1, Math.floor(canvas.width * fieldScale)), Math.max(1, Math.floor(canvas.height * fieldScale)));
+            fieldCtx = field.getContext('2d', { willReadFrequently: true });
+            blobs.clear();
+        }
+
+        function setScene(scene) {
+            obstacles = null;
+            if (!scene || scene.empty) return;
+            obstacles = makeCanvas(canvas.width, canvas.height);
+            scene.draw(obstacles.getContext('2d'), 1, opts.obstacleColor);
+        }
+
+        // 5 bits a channel: enough shades for mixing dyes without a blob per particle
+        function blobFor(r, g, b) {
+            const key = (r * 31 | 0) << 10 | (g * 31 | 0) << 5 | (b * 31 | 0);
+            let c = blobs.get(key);
+            if (!c) {
+                if (blobs.size > 512) blobs.clear();
+                c = blob(blobSize, [(key >> 10) / 31, (key >> 5 & 31) / 31, (key & 31) / 31], opts.peak);
+                blobs.set(key, c);
+            }
+            return c;
+        }
+
+        function drawBackground() {
+            const bg = opts.background;
+            if (!bg) { ctx.fillStyle = '#000'; ctx.fillRect(0, 0, canvas.width, canvas.height); return; }
+            const s = Math.max(canvas.width / bg.width, canvas.height / bg.height);
+            const w = bg.width * s, h = bg.height * s;
+            ctx.drawImage(bg, (canvas.width - w) / 2, (canvas.height - h) / 2, w, h);
+        }
+
+        function drawField(solver, tint) {
+            const s = field.width / canvas.width;
+            const size = Math.max(3, Math.ceil(solver.config.radius * opts.splat * s));
+            if (size !== blobSize) { blobSize = size; blobs.clear(); }
+            const half = size / 2, t = tint || [0, 0, 0, 0];
+            const pos = solver.positions, col = solver.colors;
+            fieldCtx.globalCompositeOperation = 'source-over';
+            fieldCtx.clearRect(0, 0, field.width, field.height);
+            fieldCtx.globalCompositeOperation = 'lighter';
+            for (let i = 0; i < solver.count; i++) {
+                const r = col[i * 3] + (t[0] - col[i * 3]) * t[3];
+                const g = col[i * 3 + 1] + (t[1] - col[i * 3 + 1]) * t[3];
+                const b = col[i * 3 + 2] + (t[2] - col[i * 3 + 2]) * t[3];
+                fieldCtx.drawImage(blobFor(r, g, b), pos[i * 2] * s - half, pos[i * 2 + 1] * s - half);
+            }
+        }
+
+        // Field weight -> surface: transparent below threshold, an antialiased edge with a bright
+        // rim just inside it, darker where the water is thick
+        function threshold() {
+            const img = fieldCtx.getImageData(0, 0, field.width, field.height);
+            const d = img.data;
+            const lo = opts.threshold * 255, hi = (opts.threshold + opts.edge) * 255, deep = opts.depth * 255;
+            const rimEnd = hi + opts.edge * 2 * 255;
+            for (let i = 0; i < d.length; i += 4) {
+                const a = d[i + 3];
+                if (a <= lo) { d[i + 3] = 0; continue; }
+                const rim = 1 - smoothstep(hi, rimEnd, a);
+                const shade = 1 - 0.45 * smoothstep(hi, deep, a);
+                for (let c = 0; c < 3; c++) d[i + c] = d[i + c] * shade + (255 - d[i + c] * shade) * rim * 0.45;
+                d[i + 3] = smoothstep(lo, hi, a) * opts.opacity * 255;
+            }
+            fieldCtx.putImageData(img, 0, 0);
+        }
+
+        function drawBodies(list) {
+            for (const b of list) {
+                const c = b.color || [0.95, 0.75, 0.2];
+                ctx.save();
+                ctx.translate(b.x, b.y);
+                ctx.rotate(b.angle);
+                ctx.beginPath();
+                if (b.type === 'circle') ctx.arc(0, 0, b.r, 0, Math.PI * 2);
+                else ctx.rect(-b.w / 2, -b.h / 2, b.w, b.h);
+                ctx.fillStyle = 'rgb(' + c.map(v => Math.round(v * 255)).join(', ') + ')';
+                ctx.fill();
+                ctx.lineWidth = Math.max(1, Math.min(canvas.width, canvas.height) * 0.003);
+                ctx.strokeStyle = 'rgba(0, 0, 0, 0.35)';
+                ctx.stroke();
+                if (b.type === 'circle') { // A spoke, so rolling shows
+                    ctx.beginPath(); ctx.moveTo(0, 0); ctx.lineTo(b.r, 0); ctx.stroke();
+                }
+                ctx.restore();
+            }
+        }
+
+        function draw(frame) {
+            const solver = frame.solver;
+            drawBackground();
+            drawField(solver, frame.shading && frame.shading.tint);
+            threshold();
+            ctx.imageSmoothingEnabled = true;
+            ctx.drawImage(field, 0, 0, canvas.width, canvas.height);
+            if (obstacles) ctx.drawImage(obstacles, 0, 0);
+            if (solver.bodies && solver.bodies.list) drawBodies(solver.bodies.list);
+        }
+
+        fit();
+        setQuality();
+        if (opts.container && root.ResizeObserver) {
+            observer = new root.ResizeObserver(onWindowResize);
+            observer.observe(opts.container);
+        } else root.addEventListener('resize', onWindowResize);
+
+        return {
+            name: 'canvas',
+            canvas,
+            get width() { return canvas.width; },
+            get height() { return canvas.height; },
+            get lost() { return false; },
+            get target() { return field; },
+            draw,
+            setScene,
+            setQuality,
+            setPool() {},   // Nothing sized to the particle pool
+            destroy() {
+                if (observer) observer.disconnect();
+                root.removeEventListener('resize', onWindowResize);
+            }
+        };
+    }
+
+    const CanvasRenderer = { DEFAULTS, create };
+
+    if (typeof module !== 'undefined' && module.exports) module.exports = CanvasRenderer;
+    else root.CanvasRenderer = CanvasRenderer;
+})(typeof self !== 'undefined' ? self : this);
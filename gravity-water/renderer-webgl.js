@@ -0,0 +1,470 @@
+// renderer-webgl.js - Screen-space water on a RenderDevice: the WebGL backend of the renderer interface
+// Passes per frame: thickness / colour splat, depth splat (EXT_blend_minmax), blurs, composite
+// over the background with refraction, reflections, obstacles and bodies, then foam. While a tray
+// is set the composite goes to a texture instead, drawn into the WebXR views (xr.js).
+// create(device, options) builds everything on the context; rebuild() again after a restore.
+//   { name, device, gl, canvas, lost, target, foam, background, environment, canTray,
+//     draw(frame), setScene(obstacles), setQuality(tier, scale), setPool(count),
+//     setEnvironment(env), setTray(on), program(vsName, fsName), rebuild(), destroy() }
+// frame: { solver, stepped, xrView, gravity, shading }; gravity is the solver's (scaled) gravity
+// for the foam, shading what shading(config, direction) returns. tier: a WaterDefaults.QUALITY entry.
+// Shader sources come from shaders.js.
+
+(function (root) {
+    'use strict';
+
+    const Shaders = typeof module !== 'undefined' && module.exports ? require('./shaders.js') : root.Shaders;
+    const Foam = typeof module !== 'undefined' && module.exports ? require('./foam.js') : root.Foam;
+
+    const DEFAULTS = {
+        pool: 1500,             // Particles the buffers hold; setPool grows them
+        radius: 20,             // Particle radius the targets are first sized for
+        background: null,       // Canvas behind the water by default (Backgrounds fallback)
+        video: null,            // <video> the camera plays into
+        onBackgroundChange: null,
+        gpuColor: [0.1, 0.4, 0.8], // The GPU solver has a single phase and no colours
+        log: null               // (msg) warnings and what was built
+    };
+
+    const MAX_BODIES = 8; // Matches fs-water
+    // water: additive splats, rgb = colour * weight, a = weight (thickness for Beer's law, tint)
+    // depth: front-surface height of the particle spheres, bilateral-smoothed, normals come from it
+    // *Tmp: the other half of each separable blur. Sized by the quality tier.
+    // tray: the composite while AR runs, canvas sized.
+    const TARGETS = ['water', 'waterTmp', 'depth', 'depthTmp', 'tray'];
+
+    // Light and environment turn against the device (angle of gravity on screen, direction as
+    // input.js gives it) so they stay put in the world; leaning the device flat also flattens the
+    // light. config.lightTilt blends it in. config: the CONFIG keys of the Shading group.
+    function shading(config, direction) {
+        const d = direction || { x: 0, y: 1 };
+        const t = config.lightTilt;
+        const angle = Math.atan2(d.x, d.y) * t;
+        const lean = 1 + (Math.min(1, Math.hypot(d.x, d.y)) - 1) * t;
+        const cos = Math.cos(angle), sin = Math.sin(angle);
+        const lx = (cos * config.lightX - sin * config.lightY) * lean;
+        const ly = (sin * config.lightX + cos * config.lightY) * lean;
+        const len = Math.hypot(lx, ly, 1);
+        const tint = parseInt(config.tint.slice(1), 16);
+        return {
+            light: [lx / len, ly / len, 1 / len],
+            envRotation: [cos, sin],
+            tint: [(tint >> 16 & 255) / 255, (tint >> 8 & 255) / 255, (tint & 255) / 255, config.tintStrength],
+            refraction: config.refraction,
+            absorption: config.absorption,
+            reflectivity: config.reflectivity
+        };
+    }
+
+    function create(device, options) {
+        const opts = Object.assign({}, DEFAULTS, options);
+        const gl = device.gl;
+        const log = opts.log || function () {};
+        let programs = {}, buffers = {}, textures = {}, framebuffers = {};
+        let blendMinMax = null;     // EXT_blend_minmax: without it there is no depth pass
+        let fluidTextureType;       // Half float when it renders (caps.halfFloatRender)
+        let foam = null;            // Whitewater (foam.js), made on the first frame that wants it
+        let background = null;      // Source manager (background.js)
+        let environment = null;     // { kind: 'equirect' | 'cube', texture } once one is set
+        let envStandIn;             // 1x1 textures for the sampler an environment does not use
+        let pool = opts.pool;
+        let tier = { scale: 0.75, blur: 2, depthBlur: 6, depthPasses: 1, foam: 0 }, multiplier = 1;
+        let radius = opts.radius;   // What the targets are sized for (point size limit)
+        let obstacles = null;       // Last scene, redrawn after a rebuild
+        let tray = false;
+        let lastError = '';
+
+        // Program from two shaders.js names, null when it fails. The log gets the first error
+        // line, the browser console the whole info log with the offending source lines.
+        function program(vsName, fsName) {
+            try {
+                return device.program(Shaders[vsName], Shaders[fsName], vsName, fsName);
+            } catch (e) {
+                lastError = e.message;
+                log("[SHADER] " + e.message);
+                console.error(e.message + (e.infoLog ? "\n" + e.infoLog : "") + (e.excerpt ? "\n" + e.excerpt : ""));
+                return null;
+            }
+        }
+
+        // Programs, buffers, textures and targets. Effects the context can't do are left out here.
+        function build() {
+            const caps = device.caps;
+            programs = {}; buffers = {}; textures = {}; framebuffers = {};
+            foam = null;
+            if (!caps.floatTextures) log("WARN: No float textures");
+            blendMinMax = caps.ext.blendMinMax;
+            if (!blendMinMax) log("WARN: No EXT_blend_minmax, normals from thickness");
+
+            programs.water = program('vs-quad', 'fs-water');
+            programs.particles = program('vs-particles', 'fs-particles');
+            programs.depth = program('vs-particles', 'fs-particle-depth');
+            programs.blur = program('vs-quad', 'fs-blur');
+            programs.foam = program('vs-foam', 'fs-foam');
+            programs.tray = program('vs-tray', 'fs-tray');
+            if (!programs.water || !programs.particles) throw new Error("Shader error: " + lastError);
+
+            buffers.quad = gl.createBuffer();
+            gl.bindBuffer(gl.ARRAY_BUFFER, buffers.quad);
+            gl.bufferData(gl.ARRAY_BUFFER, new Float32Array([-1, -1, 1, -1, -1, 1, -1, 1, 1, -1, 1, 1]), gl.STATIC_DRAW);
+            buffers.particles = gl.createBuffer();
+            buffers.colors = gl.createBuffer();
+            setPool(pool);
+
+            // A restored context starts over from the default background; a running camera comes back
+            const wasCamera = background && background.kind === 'camera';
+            if (background) background.stop();
+            background = Backgrounds.create(gl, { fallback: opts.background, video: opts.video, onChange: opts.onBackgroundChange });
+            if (wasCamera) background.useCamera().catch(e => log("Camera: " + e.message));
+            envStandIn = Backgrounds.emptyEnvironment(gl);
+            environment = null;
+
+            // Obstacle coverage, redrawn from a 2D canvas whenever the scene changes
+            textures.obstacles = gl.createTexture();
+            gl.bindTexture(gl.TEXTURE_2D, textures.obstacles);
+            gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
+            gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+            gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+            gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, 1, 1, 0, gl.RGBA, gl.UNSIGNED_BYTE, new Uint8Array([0, 0, 0, 0]));
+            if (obstacles) setScene(obstacles);
+
+            buffers.foam = gl.createBuffer();
+            // Half float keeps the summed colour from clipping where the water is thick
+            fluidTextureType = caps.halfFloatRender ? caps.ext.halfFloat.HALF_FLOAT_OES : gl.UNSIGNED_BYTE;
+            if (!caps.halfFloatRender) log("WARN: No half float FBO, colours clip");
+            buildTargets();
+        }
+
+        function createFramebuffer(w, h, type) {
+            const tex = gl.createTexture();
+            gl.bindTexture(gl.TEXTURE_2D, tex);
+            gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, w, h, 0, gl.RGBA, type || gl.UNSIGNED_BYTE, null);
+            gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
+            gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+            gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+            const fb = gl.createFramebuffer();
+            gl.bindFramebuffer(gl.FRAMEBUFFER, fb);
+            gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, tex, 0);
+            return { tex, fb, width: w, height: h };
+        }
+
+        // --- Targets ---
+        function buildTargets() {
+            for (const key of TARGETS) {
+                const t = framebuffers[key];
+                if (!t) continue;
+                gl.deleteFramebuffer(t.fb); gl.deleteTexture(t.tex);
+                delete framebuffers[key];
+            }
+            const width = device.width, height = device.height;
+            // Splats are radius * 3 / 0.8 target pixels wide (see draw): a smaller target keeps them
+            // under the point size limit instead of clipping them
+            const want = tier.scale * multiplier;
+            const scale = Math.min(want, device.caps.maxPointSize * 0.8 / (radius * 3));
+            if (scale < want) log("WARN: Point size limit " + device.caps.maxPointSize + ", water at " + scale.toFixed(2) + "x");
+            const w = Math.max(1, Math.floor(width * scale)), h = Math.max(1, Math.floor(height * scale));
+            framebuffers.water = createFramebuffer(w, h, fluidTextureType);
+            if (tier.blur > 0) framebuffers.waterTmp = createFramebuffer(w, h, fluidTextureType);
+            if (blendMinMax && programs.depth && programs.blur) {
+                framebuffers.depth = createFramebuffer(w, h, fluidTextureType);
+                framebuffers.depthTmp = createFramebuffer(w, h, fluidTextureType);
+            }
+            if (tray) framebuffers.tray = createFramebuffer(width, height);
+            gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+            if (foam && foam.config.capacity !== tier.foam) foam = null;
+            log("Targets: " + w + "x" + h + (framebuffers.depth ? ", depth" : "") + (tier.foam > 0 && programs.foam ? ", foam" : ""));
+        }
+
+        // tier: { scale, blur, depthBlur, depthPasses, foam }, scale: multiplier on tier.scale
+        function setQuality(t, s) {
+            if (t) tier = t;
+            if (s) multiplier = s;
+            buildTargets();
+        }
+
+        function setPool(count) {
+            pool = count;
+            gl.bindBuffer(gl.ARRAY_BUFFER, buffers.particles);
+            gl.bufferData(gl.ARRAY_BUFFER, pool * 8, gl.DYNAMIC_DRAW);
+            gl.bindBuffer(gl.ARRAY_BUFFER, buffers.colors);
+            gl.bufferData(gl.ARRAY_BUFFER, pool * 12, gl.DYNAMIC_DRAW);
+        }
+
+        // obstacles: an Obstacles world (obstacles.js), drawn at half resolution
+        function setScene(scene) {
+            obstacles = scene;
+            const canvas = document.createElement('canvas');
+            canvas.width = Math.max(1, Math.floor(device.width * 0.5));
+            canvas.height = Math.max(1, Math.floor(device.height * 0.5));
+            scene.draw(canvas.getContext('2d'), 0.5);
+            gl.bindTexture(gl.TEXTURE_2D, textures.obstacles);
+            gl.pixelStorei(gl.UNPACK_FLIP_Y_WEBGL, true); // Canvas top row is the top of the screen
+            gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, canvas);
+            gl.pixelStorei(gl.UNPACK_FLIP_Y_WEBGL, false);
+        }
+
+        // env from Backgrounds.loadEnvironment on this context, or null; the old one is freed
+        function setEnvironment(env) {
+            if (environment) gl.deleteTexture(environment.texture);
+            environment = env;
+        }
+
+        // Composite into the tray texture (AR) instead of the canvas; false without the tray shaders
+        function setTray(on) {
+            if (on && !programs.tray) return false;
+            tray = !!on;
+            if (tray && !framebuffers.tray) framebuffers.tray = createFramebuffer(device.width, device.height);
+            if (!tray && framebuffers.tray) {
+                gl.deleteFramebuffer(framebuffers.tray.fb); gl.deleteTexture(framebuffers.tray.tex);
+                delete framebuffers.tray;
+            }
+            return true;
+        }
+
+        // --- Frame ---
+        function draw(frame) {
+            const solver = frame.solver, xrView = frame.xrView, sh = frame.shading;
+            const width = device.width, height = device.height;
+            if (solver.config.radius !== radius) { radius = solver.config.radius; buildTargets(); }
+            const q = tier;
+            const water = framebuffers.water, depth = framebuffers.depth;
+            // Splat size follows the target so every tier shows the same water
+            const pointSize = radius * 3.0 * water.width / width / 0.8;
+            if (q.foam > 0 && programs.foam && !foam && !solver.gpu) {
+                foam = Foam.create({ capacity: q.foam, cell: solver.config.physRadius * 2 });
+                gl.bindBuffer(gl.ARRAY_BUFFER, buffers.foam);
+                gl.bufferData(gl.ARRAY_BUFFER, foam.data.byteLength, gl.DYNAMIC_DRAW);
+            }
+            if (frame.stepped && foam && !solver.gpu) {
+                const g = frame.gravity || { x: 0, y: 0 };
+                foam.update(solver.positions, solver.count, 1, g.x, g.y, width, height);
+            }
+            if (solver.gpu && !programs.particlesGpu) {
+                programs.particlesGpu = program('vs-particles-gpu', 'fs-particles');
+                programs.depthGpu = program('vs-particles-gpu', 'fs-particle-depth');
+            }
+
+            if (!solver.gpu) {
+                gl.bindBuffer(gl.ARRAY_BUFFER, buffers.particles);
+                gl.bufferSubData(gl.ARRAY_BUFFER, 0, solver.positions);
+                gl.bindBuffer(gl.ARRAY_BUFFER, buffers.colors);
+                gl.bufferSubData(gl.ARRAY_BUFFER, 0, solver.colors);
+            }
+
+            bindTarget(water);
+            gl.clearColor(0, 0, 0, 0); gl.clear(gl.COLOR_BUFFER_BIT);
+            gl.enable(gl.BLEND); gl.blendFunc(gl.SRC_ALPHA, gl.ONE);
+            drawParticles(solver, solver.gpu ? programs.particlesGpu : programs.particles, pointSize);
+            if (q.blur > 0) blur(water, framebuffers.waterTmp, q.blur, 0);
+
+            if (depth) {
+                bindTarget(depth);
+                gl.clear(gl.COLOR_BUFFER_BIT);
+                gl.blendEquation(blendMinMax.MAX_EXT);
+                drawParticles(solver, solver.gpu ? programs.depthGpu : programs.depth, pointSize);
+                gl.blendEquation(gl.FUNC_ADD);
+                for (let i = 0; i < q.depthPasses; i++) blur(depth, framebuffers.depthTmp, q.depthBlur, 0.15);
+            }
+            gl.disable(gl.BLEND);
+
+            if (tray) bindTarget(framebuffers.tray);
+            else {
+                gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+                gl.viewport(0, 0, width, height);
+            }
+            const prog = programs.water;
+            gl.useProgram(prog);
+
+            gl.activeTexture(gl.TEXTURE0); gl.bindTexture(gl.TEXTURE_2D, water.tex);
+            gl.uniform1i(gl.getUniformLocation(prog, 'u_particles'), 0);
+
+            gl.activeTexture(gl.TEXTURE1);
+            background.update();
+            gl.bindTexture(gl.TEXTURE_2D, background.texture);
+            gl.uniform1i(gl.getUniformLocation(prog, 'u_bg'), 1);
+            gl.uniform4fv(gl.getUniformLocation(prog, 'u_bgTransform'), background.fit(width, height));
+            gl.activeTexture(gl.TEXTURE2); gl.bindTexture(gl.TEXTURE_2D, textures.obstacles);
+            gl.uniform1i(gl.getUniformLocation(prog, 'u_obstacles'), 2);
+            gl.activeTexture(gl.TEXTURE3); gl.bindTexture(gl.TEXTURE_2D, depth ? depth.tex : water.tex); // Unused stand-in without depth
+            gl.uniform1i(gl.getUniformLocation(prog, 'u_depth'), 3);
+            const envKind = environment ? environment.kind : null;
+            gl.activeTexture(gl.TEXTURE4); gl.bindTexture(gl.TEXTURE_2D, envKind === 'equirect' ? environment.texture : envStandIn.flat);
+            gl.uniform1i(gl.getUniformLocation(prog, 'u_env'), 4);
+            gl.activeTexture(gl.TEXTURE5); gl.bindTexture(gl.TEXTURE_CUBE_MAP, envKind === 'cube' ? environment.texture : envStandIn.cube);
+            gl.uniform1i(gl.getUniformLocation(prog, 'u_envCube'), 5);
+            gl.uniform1f(gl.getUniformLocation(prog, 'u_envMode'), envKind === 'cube' ? 2 : envKind ? 1 : 0);
+            gl.activeTexture(gl.TEXTURE0);
+            gl.uniform1f(gl.getUniformLocation(prog, 'u_hasDepth'), depth ? 1 : 0);
+            gl.uniform1f(gl.getUniformLocation(prog, 'u_depthScale'), pointSize / 2);
+            gl.uniform2f(gl.getUniformLocation(prog, 'u_texel'), 1 / water.width, 1 / water.height);
+            gl.uniform2f(gl.getUniformLocation(prog, 'u_resolution'), width, height);
+            setBodyUniforms(solver, prog);
+
+            gl.uniform1f(gl.getUniformLocation(prog, 'u_refractionStr'), sh.refraction);
+            gl.uniform1f(gl.getUniformLocation(prog, 'u_density'), sh.absorption);
+            gl.uniform3fv(gl.getUniformLocation(prog, 'u_lightDir'), sh.light);
+            gl.uniform2fv(gl.getUniformLocation(prog, 'u_envRotation'), sh.envRotation);
+            gl.uniform1f(gl.getUniformLocation(prog, 'u_reflectivity'), sh.reflectivity);
+            gl.uniform4fv(gl.getUniformLocation(prog, 'u_tint'), sh.tint);
+            drawQuad(prog);
+
+            if (foam && foam.count > 0 && !solver.gpu) drawFoam(pointSize * width / water.width);
+            if (xrView) drawTray(xrView);
+        }
+
+        // The water on its tray in the room (or the outline where a tap would place it), once per view
+        function drawTray(xrView) {
+            const model = xrView.tray || xrView.reticle;
+            const prog = programs.tray;
+            gl.bindFramebuffer(gl.FRAMEBUFFER, xrView.framebuffer);
+            gl.clearColor(0, 0, 0, 0); gl.clear(gl.COLOR_BUFFER_BIT);
+            if (!model || !framebuffers.tray) return;
+            gl.useProgram(prog);
+            gl.activeTexture(gl.TEXTURE0); gl.bindTexture(gl.TEXTURE_2D, framebuffers.tray.tex);
+            gl.uniform1i(gl.getUniformLocation(prog, 'u_texture'), 0);
+            gl.uniformMatrix4fv(gl.getUniformLocation(prog, 'u_model'), false, model);
+            gl.uniform1f(gl.getUniformLocation(prog, 'u_preview'), xrView.tray ? 0 : 1);
+            gl.enable(gl.BLEND); gl.blendFunc(gl.SRC_ALPHA, gl.ONE_MINUS_SRC_ALPHA);
+            for (const v of xrView.views) {
+                gl.viewport(v.viewport.x, v.viewport.y, v.viewport.width, v.viewport.height);
+                gl.uniformMatrix4fv(gl.getUniformLocation(prog, 'u_projection'), false, v.projection);
+                gl.uniformMatrix4fv(gl.getUniformLocation(prog, 'u_view'), false, v.view);
+                drawQuad(prog);
+            }
+            gl.disable(gl.BLEND);
+        }
+
+        function bindTarget(t) {
+            gl.bindFramebuffer(gl.FRAMEBUFFER, t.fb);
+            gl.viewport(0, 0, t.width, t.height);
+        }
+
+        function drawQuad(prog) {
+            gl.bindBuffer(gl.ARRAY_BUFFER, buffers.quad);
+            gl.enableVertexAttribArray(gl.getAttribLocation(prog, 'a_position'));
+            gl.vertexAttribPointer(gl.getAttribLocation(prog, 'a_position'), 2, gl.FLOAT, false, 0, 0);
+            gl.drawArrays(gl.TRIANGLES, 0, 6);
+        }
+
+        // Particles as point sprites into the bound target, with whichever fragment shader prog has
+        function drawParticles(solver, prog, pointSize) {
+            gl.useProgram(prog);
+            let colorLoc = -1;
+            if (solver.gpu) {
+                // Positions never leave the GPU: the vertex shader reads the state texture
+                gl.activeTexture(gl.TEXTURE0); gl.bindTexture(gl.TEXTURE_2D, solver.stateTexture);
+                gl.uniform1i(gl.getUniformLocation(prog, 'u_state'), 0);
+                gl.bindBuffer(gl.ARRAY_BUFFER, solver.indexBuffer);
+                gl.enableVertexAttribArray(gl.getAttribLocation(prog, 'a_index'));
+                gl.vertexAttribPointer(gl.getAttribLocation(prog, 'a_index'), 2, gl.FLOAT, false, 0, 0);
+                const c = opts.gpuColor;
+                gl.uniform3f(gl.getUniformLocation(prog, 'u_color'), c[0], c[1], c[2]);
+            } else {
+                gl.bindBuffer(gl.ARRAY_BUFFER, buffers.particles);
+                gl.enableVertexAttribArray(gl.getAttribLocation(prog, 'a_position'));
+                gl.vertexAttribPointer(gl.getAttribLocation(prog, 'a_position'), 2, gl.FLOAT, false, 0, 0);
+                colorLoc = gl.getAttribLocation(prog, 'a_color'); // Optimized out of the depth shader
+                if (colorLoc >= 0) {
+                    gl.bindBuffer(gl.ARRAY_BUFFER, buffers.colors);
+                    gl.enableVertexAttribArray(colorLoc);
+                    gl.vertexAttribPointer(colorLoc, 3, gl.FLOAT, false, 0, 0);
+                }
+            }
+            // Positions are canvas pixels: map the whole canvas onto the smaller target,
+            // so the water lines up with obstacles and bodies drawn at full resolution
+            gl.uniform2f(gl.getUniformLocation(prog, 'u_resolution'), device.width, device.height);
+            gl.uniform1f(gl.getUniformLocation(prog, 'u_pointSize'), pointSize);
+            gl.drawArrays(gl.POINTS, 0, solver.count);
+            if (colorLoc >= 0) gl.disableVertexAttribArray(colorLoc);
+        }
+
+        // Separable blur of t in place (through tmp); rangeSigma > 0 makes it the bilateral depth filter
+        function blur(t, tmp, radius, rangeSigma) {
+            const prog = programs.blur;
+            gl.useProgram(prog);
+            gl.uniform1f(gl.getUniformLocation(prog, 'u_radius'), radius);
+            gl.uniform1f(gl.getUniformLocation(prog, 'u_rangeSigma'), rangeSigma);
+            gl.disable(gl.BLEND);
+            for (const [from, to, dx, dy] of [[t, tmp, 1, 0], [tmp, t, 0, 1]]) {
+                bindTarget(to);
+                gl.activeTexture(gl.TEXTURE0); gl.bindTexture(gl.TEXTURE_2D, from.tex);
+                gl.uniform1i(gl.getUniformLocation(prog, 'u_tex'), 0);
+                gl.uniform2f(gl.getUniformLocation(prog, 'u_step'), dx / from.width, dy / from.height);
+                drawQuad(prog);
+            }
+            gl.enable(gl.BLEND);
+        }
+
+        function drawFoam(pointSize) {
+            const prog = programs.foam;
+            gl.useProgram(prog);
+            gl.bindBuffer(gl.ARRAY_BUFFER, buffers.foam);
+            gl.bufferSubData(gl.ARRAY_BUFFER, 0, foam.data.subarray(0, foam.count * 3));
+            const loc = gl.getAttribLocation(prog, 'a_foam');
+            gl.enableVertexAttribArray(loc);
+            gl.vertexAttribPointer(loc, 3, gl.FLOAT, false, 0, 0);
+            gl.uniform2f(gl.getUniformLocation(prog, 'u_resolution'), device.width, device.height);
+            gl.uniform1f(gl.getUniformLocation(prog, 'u_pointSize'), pointSize * 0.25);
+            gl.enable(gl.BLEND); gl.blendFunc(gl.SRC_ALPHA, gl.ONE_MINUS_SRC_ALPHA);
+            gl.drawArrays(gl.POINTS, 0, foam.count);
+            gl.disable(gl.BLEND);
+            gl.disableVertexAttribArray(loc);
+        }
+
+        const bodyUniforms = {
+            pos: new Float32Array(MAX_BODIES * 4),
+            shape: new Float32Array(MAX_BODIES * 4),
+            color: new Float32Array(MAX_BODIES * 3)
+        };
+
+        function setBodyUniforms(solver, prog) {
+            const list = solver.bodies ? solver.bodies.list : [];
+            const count = Math.min(list.length, MAX_BODIES);
+            for (let i = 0; i < count; i++) {
+                const b = list[i], c = b.color || [0.95, 0.75, 0.2];
+                bodyUniforms.pos.set([b.x, b.y, Math.cos(b.angle), Math.sin(b.angle)], i * 4);
+                if (b.type === 'circle') bodyUniforms.shape.set([0, 0, b.r, 0], i * 4);
+                else bodyUniforms.shape.set([b.w / 2, b.h / 2, 0, 0], i * 4);
+                bodyUniforms.color.set(c, i * 3);
+            }
+            gl.uniform1i(gl.getUniformLocation(prog, 'u_bodyCount'), count);
+            gl.uniform4fv(gl.getUniformLocation(prog, 'u_bodies'), bodyUniforms.pos);
+            gl.uniform4fv(gl.getUniformLocation(prog, 'u_bodyShape'), bodyUniforms.shape);
+            gl.uniform3fv(gl.getUniformLocation(prog, 'u_bodyColor'), bodyUniforms.color);
+        }
+
+        build();
+
+        return {
+            name: 'webgl',
+            device,
+            gl,
+            get canvas() { return device.canvas; },
+            get lost() { return device.lost; },
+            get target() { return framebuffers.water; },
+            get foam() { return foam; },
+            get background() { return background; },
+            get environment() { return environment; },
+            get canTray() { return !!programs.tray; },
+            get lastError() { return lastError; },
+            draw,
+            setScene,
+            setQuality,
+            setPool,
+            setEnvironment,
+            setTray,
+            program,
+            // Nothing made on a lost context survives: everything again, same settings
+            rebuild: build,
+            destroy() {
+                if (background) background.stop();
+                background = null;
+            }
+        };
+    }
+
+    const WebGLRenderer = { DEFAULTS, MAX_BODIES, create, shading };
+
+    if (typeof module !== 'undefined' && module.exports) module.exports = WebGLRenderer;
+    else root.WebGLRenderer = WebGLRenderer;
+})(typeof self !== 'undefined' ? self : this);
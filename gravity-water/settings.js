@@ -0,0 +1,239 @@
+// settings.js - Tunable parameters: validation, presets, localStorage and URL-hash state, panel UI
+// A schema entry describes one key of the target object:
+//   { key, label, group, min, max, step }        number (clamped and snapped to step)
+//   { key, label, group, type: 'color' }         '#rrggbb'
+//   { key, label, group, type: 'select', options: ['a', 'b'] }   one of the strings
+// Extra fields (e.g. rebuild) are left for the caller to interpret.
+
+(function (root) {
+    'use strict';
+
+    function decimals(step) {
+        const s = String(step), dot = s.indexOf('.');
+        return dot < 0 ? 0 : s.length - dot - 1;
+    }
+
+    // Valid value for the entry, or undefined
+    function normalize(entry, value) {
+        if (entry.type === 'select') return entry.options.indexOf(String(value)) >= 0 ? String(value) : undefined;
+        if (entry.type === 'color') {
+            const m = /^#?([0-9a-f]{6})$/i.exec(String(value));
+            return m ? '#' + m[1].toLowerCase() : undefined;
+        }
+        let v = typeof value === 'number' ? value : parseFloat(value);
+        if (!isFinite(v)) return undefined;
+        v = Math.min(entry.max, Math.max(entry.min, v));
+        if (entry.step) v = parseFloat((Math.round((v - entry.min) / entry.step) * entry.step + entry.min).toFixed(decimals(entry.step)));
+        return v;
+    }
+
+    // --- Store ---
+    // Values are read from and written straight into target (e.g. CONFIG), so code that
+    // already reads the target sees every change. options: { storageKey }
+    function create(schema, target, options) {
+        const opts = options || {};
+        const byKey = {};
+        const defaults = {};
+        const listeners = [];
+        for (const entry of schema) {
+            byKey[entry.key] = entry;
+            defaults[entry.key] = target[entry.key];
+        }
+
+        // Keep only known keys with valid values
+        function validate(partial) {
+            const out = {};
+            for (const key in partial) {
+                const entry = byKey[key];
+                if (!entry) continue;
+                const v = normalize(entry, partial[key]);
+                if (v !== undefined) out[key] = v;
+            }
+            return out;
+        }
+
+        // Write the valid, actually different values; listeners get them in one call
+        function apply(partial) {
+            const valid = validate(partial || {});
+            const changes = {};
+            let any = false;
+            for (const key in valid) {
+                if (target[key] === valid[key]) continue;
+                target[key] = valid[key];
+                changes[key] = valid[key];
+                any = true;
+            }
+            if (any) for (const fn of listeners) fn(changes);
+            return changes;
+        }
+
+        function set(key, value) {
+            return apply({ [key]: value });
+        }
+
+        function get(key) {
+            return target[key];
+        }
+
+        function resetDefaults() {
+            return apply(defaults);
+        }
+
+        // Presets are deltas from the defaults
+        function applyPreset(preset) {
+            return apply(Object.assign({}, defaults, preset));
+        }
+
+        // Values that differ from the defaults
+        function diff() {
+            const out = {};
+            for (const entry of schema) {
+                if (target[entry.key] !== defaults[entry.key]) out[entry.key] = target[entry.key];
+            }
+            return out;
+        }
+
+        // 'key=value&...' of the non-default values (colours without '#')
+        function encode() {
+            const d = diff(), parts = [];
+            for (const key in d) {
+                const v = byKey[key].type === 'color' ? d[key].slice(1) : d[key];
+                parts.push(encodeURIComponent(key) + '=' + encodeURIComponent(v));
+            }
+            return parts.join('&');
+        }
+
+        function decode(str) {
+            const out = {};
+            const s = String(str || '').replace(/^#/, '');
+            if (!s) return out;
+            for (const part of s.split('&')) {
+                const eq = part.indexOf('=');
+                if (eq < 0) continue;
+                try {
+                    out[decodeURIComponent(part.slice(0, eq))] = decodeURIComponent(part.slice(eq + 1));
+                } catch (e) { /* Malformed escape, skip */ }
+            }
+            return validate(out);
+        }
+
+        // localStorage can be missing or throw (private mode, sandboxed frames)
+        function load() {
+            if (!opts.storageKey) return {};
+            try {
+                const raw = root.localStorage && root.localStorage.getItem(opts.storageKey);
+                return raw ? validate(JSON.parse(raw)) : {};
+            } catch (e) { return {}; }
+        }
+
+        function save() {
+            if (!opts.storageKey) return false;
+            try {
+                root.localStorage.setItem(opts.storageKey, JSON.stringify(diff()));
+                return true;
+            } catch (e) { return false; }
+        }
+
+        function subscribe(fn) {
+            listeners.push(fn);
+            return () => { const i = listeners.indexOf(fn); if (i >= 0) listeners.splice(i, 1); };
+        }
+
+        return {
+            schema,
+            defaults,
+            get,
+            set,
+            apply,
+            applyPreset,
+            resetDefaults,
+            diff,
+            validate,
+            encode,
+            decode,
+            load,
+            save,
+            subscribe
+        };
+    }
+
+    // --- Panel (browser only) ---
+    // Grouped sliders / colour pickers bound to the store, a preset picker and action buttons.
+    // options: { presets: { name: partial }, actions: [{ label, run }] }
+    // Entries with rebuild: true commit on release instead of while dragging.
+    function buildPanel(container, store, options) {
+        const opts = options || {};
+        const doc = container.ownerDocument;
+        const inputs = {};
+        container.innerHTML = '';
+
+        const head = doc.createElement('div');
+        head.className = 'settings-head';
+        if (opts.presets) {
+            const select = doc.createElement('select');
+            select.className = 'settings-preset';
+            select.innerHTML = '<option value="">Preset…</option>' +
+                Object.keys(opts.presets).map(name => `<option value="${name}">${name}</option>`).join('');
+            select.addEventListener('change', () => {
+                if (select.value) store.applyPreset(opts.presets[select.value]);
+                select.value = '';
+            });
+            head.appendChild(select);
+        }
+        const actions = [{ label: 'Defaults', run: () => store.resetDefaults() }].concat(opts.actions || []);
+        for (const action of actions) {
+            const btn = doc.createElement('button');
+            btn.textContent = action.label;
+            btn.addEventListener('click', action.run);
+            head.appendChild(btn);
+        }
+        container.appendChild(head);
+
+        const groups = {};
+        for (const entry of store.schema) {
+            let group = groups[entry.group];
+            if (!group) {
+                group = groups[entry.group] = doc.createElement('fieldset');
+                const legend = doc.createElement('legend');
+                legend.textContent = entry.group;
+                group.appendChild(legend);
+                container.appendChild(group);
+            }
+            const row = doc.createElement('label');
+            row.className = 'settings-row';
+            const name = doc.createElement('span');
+            name.textContent = entry.label;
+            const input = doc.createElement(entry.type === 'select' ? 'select' : 'input');
+            const out = doc.createElement('output');
+            if (entry.type === 'select') {
+                input.innerHTML = entry.options.map(o => `<option value="${o}">${o}</option>`).join('');
+            } else if (entry.type === 'color') {
+                input.type = 'color';
+            } else {
+                input.type = 'range';
+                input.min = entry.min; input.max = entry.max; input.step = entry.step;
+            }
+            input.addEventListener(entry.rebuild || entry.type === 'select' ? 'change' : 'input', () => store.set(entry.key, input.value));
+            if (entry.rebuild) input.addEventListener('input', () => { out.textContent = input.value; });
+            row.appendChild(name); row.appendChild(input); row.appendChild(out);
+            group.appendChild(row);
+            inputs[entry.key] = { input, out };
+        }
+
+        function refresh() {
+            for (const key in inputs) {
+                const v = store.get(key);
+                inputs[key].input.value = v;
+                inputs[key].out.textContent = v;
+            }
+        }
+        store.subscribe(refresh);
+        refresh();
+        return { refresh };
+    }
+
+    const Settings = { create, normalize, buildPanel };
+
+    if (typeof module !== 'undefined' && module.exports) module.exports = Settings;
+    else root.Settings = Settings;
+})(typeof self !== 'undefined' ? self : this);
@@ -0,0 +1,445 @@
+// shaders.js - GLSL ES 1.00 sources by name, the names the renderer's program() / gpu-solver.js ask for
+// Plain strings so the app page and every <gravity-water> element compile the same sources.
+// vs-* vertex, fs-* fragment shaders; a program is any vs / fs pair with matching varyings.
+
+(function (root) {
+    'use strict';
+
+    const Shaders = {
+        'vs-quad': `
+            attribute vec2 a_position;
+            varying vec2 v_uv;
+            void main() {
+                v_uv = a_position * 0.5 + 0.5;
+                gl_Position = vec4(a_position, 0.0, 1.0);
+            }
+        `,
+
+        'fs-water': `
+            precision mediump float;
+            uniform sampler2D u_particles;
+            uniform sampler2D u_bg;
+            uniform vec4 u_bgTransform;    // Cover fit (background.js): uv scale (x < 0 mirrors), offset
+            uniform sampler2D u_env;       // Equirectangular environment
+            uniform samplerCube u_envCube; // Cube environment
+            uniform float u_envMode;       // 0 none, 1 equirectangular, 2 cube
+            uniform vec2 u_envRotation;    // cos, sin: the environment turns against the device
+            uniform float u_reflectivity;
+            uniform sampler2D u_obstacles; // Solid shapes, white with alpha coverage
+            uniform sampler2D u_depth;     // Smoothed front-surface height (r), 0 where there is no water
+            uniform float u_hasDepth;      // 0: no depth pass, normals come from the thickness
+            uniform float u_depthScale;    // Height 1 in water-target texels (sphere radius)
+            uniform vec2 u_texel;          // One water-target texel in uv
+            uniform vec2 u_resolution;
+
+            // Rigid bodies (bodies.js), in canvas pixels with y down
+            #define MAX_BODIES 8
+            uniform int u_bodyCount;
+            uniform vec4 u_bodies[MAX_BODIES];     // x, y, cos, sin
+            uniform vec4 u_bodyShape[MAX_BODIES];  // half width, half height, corner radius (circle: 0, 0, r)
+            uniform vec3 u_bodyColor[MAX_BODIES];
+
+            // Dynamic Parameters
+            uniform float u_refractionStr; // Thickness
+            uniform float u_density;       // Color Absorption
+            uniform vec3 u_lightDir;       // Normalized
+            uniform vec4 u_tint;           // rgb replaces the particle tint by a
+
+            varying vec2 v_uv;
+
+            // Obstacles: frosted solid with a bevel lit from the same light as the water
+            vec3 shadeObstacles(vec3 col, vec2 pixel) {
+                float a = texture2D(u_obstacles, v_uv).a;
+                if (a < 0.01) return col;
+                float a_r = texture2D(u_obstacles, v_uv + vec2(pixel.x*4.0, 0.0)).a;
+                float a_u = texture2D(u_obstacles, v_uv + vec2(0.0, pixel.y*4.0)).a;
+                vec3 n = normalize(vec3((a - a_r) * 2.0, (a - a_u) * 2.0, 0.5));
+                float lit = max(dot(n, u_lightDir), 0.0);
+                vec3 solid = mix(col * 0.35, vec3(0.55, 0.6, 0.68), 0.6) * (0.6 + 0.5 * lit);
+                return mix(col, solid, a);
+            }
+
+            // Reflected colour for a surface normal; a plain sky tint without an environment map
+            vec3 environment(vec3 n) {
+                if (u_envMode < 0.5) return vec3(0.8, 0.9, 1.0);
+                vec3 r = reflect(vec3(0.0, 0.0, -1.0), n);
+                r.xy = vec2(u_envRotation.x * r.x - u_envRotation.y * r.y, u_envRotation.y * r.x + u_envRotation.x * r.y);
+                if (u_envMode > 1.5) return textureCube(u_envCube, r).rgb;
+                vec2 uv = vec2(atan(r.x, r.z) / 6.2831853 + 0.5, asin(clamp(r.y, -1.0, 1.0)) / 3.1415927 + 0.5);
+                return texture2D(u_env, uv).rgb;
+            }
+
+            // Bodies sit in the water: composited into the background before refraction
+            vec3 sceneAt(vec2 uv) {
+                vec3 col = texture2D(u_bg, (uv - 0.5) * u_bgTransform.xy + 0.5 + u_bgTransform.zw).rgb;
+                vec2 p = vec2(uv.x, 1.0 - uv.y) * u_resolution;
+                for (int i = 0; i < MAX_BODIES; i++) {
+                    if (i >= u_bodyCount) break;
+                    vec4 b = u_bodies[i], s = u_bodyShape[i];
+                    vec2 d = p - b.xy;
+                    vec2 l = vec2(b.z * d.x + b.w * d.y, -b.w * d.x + b.z * d.y);
+                    vec2 q = abs(l) - s.xy;
+                    float dist = length(max(q, 0.0)) + min(max(q.x, q.y), 0.0) - s.z;
+                    float cover = clamp(0.5 - dist, 0.0, 1.0);
+                    if (cover <= 0.0) continue;
+                    // Darker rim, and a stripe through the middle so spin shows on circles
+                    float rim = 1.0 - smoothstep(-10.0, 0.0, dist);
+                    float stripe = step(abs(l.y), (s.y + s.z) * 0.18);
+                    vec3 body = u_bodyColor[i] * (0.55 + 0.45 * rim) + vec3(0.12) * stripe;
+                    col = mix(col, body, cover);
+                }
+                return col;
+            }
+
+            void main() {
+                vec2 pixel = 1.0 / u_resolution;
+                vec4 acc = texture2D(u_particles, v_uv);
+                float alpha = min(acc.a, 1.0);
+                // Splats store colour * weight in rgb and the weight in a: divide for the mean tint
+                vec3 tint = acc.a > 0.001 ? clamp(acc.rgb / acc.a, 0.0, 1.0) : vec3(0.1, 0.4, 0.8);
+                tint = mix(tint, u_tint.rgb, u_tint.a);
+
+                // Smoother threshold for "meniscus" effect
+                // Instead of hard cut at 0.6, we smooth between 0.5 and 0.65
+                float surface = smoothstep(0.4, 0.65, alpha);
+
+                if (surface < 0.01) {
+                    gl_FragColor = vec4(shadeObstacles(sceneAt(v_uv), pixel), 1.0);
+                    return;
+                }
+
+                vec3 normal;
+                float dc = texture2D(u_depth, v_uv).r;
+                if (u_hasDepth > 0.5 && dc > 0.0) {
+                    // Normals from the smoothed depth: central differences, one-sided at the silhouette
+                    float dl = texture2D(u_depth, v_uv - vec2(u_texel.x, 0.0)).r;
+                    float dr = texture2D(u_depth, v_uv + vec2(u_texel.x, 0.0)).r;
+                    float dd = texture2D(u_depth, v_uv - vec2(0.0, u_texel.y)).r;
+                    float du = texture2D(u_depth, v_uv + vec2(0.0, u_texel.y)).r;
+                    float sx = dl > 0.0 && dr > 0.0 ? (dr - dl) * 0.5 : (dr > 0.0 ? dr - dc : (dl > 0.0 ? dc - dl : 0.0));
+                    float sy = dd > 0.0 && du > 0.0 ? (du - dd) * 0.5 : (du > 0.0 ? du - dc : (dd > 0.0 ? dc - dd : 0.0));
+                    normal = normalize(vec3(-sx * u_depthScale, -sy * u_depthScale, 1.0));
+                } else {
+                    // Fallback: slope of the thickness, over a wider radius for "thicker" feeling normals
+                    float a_r = min(texture2D(u_particles, v_uv + vec2(pixel.x*3.0, 0.0)).a, 1.0);
+                    float a_u = min(texture2D(u_particles, v_uv + vec2(0.0, pixel.y*3.0)).a, 1.0);
+                    normal = normalize(vec3(
+                        (alpha - a_r) * 8.0,
+                        (alpha - a_u) * 8.0,
+                        0.3 // Z scale determines flatness. Lower = more bumpy.
+                    ));
+                }
+
+                // Volumetric Refraction
+                // The deeper the water (higher alpha), the more it refracts
+                vec2 refractUV = v_uv + normal.xy * u_refractionStr * alpha;
+
+                // Chromatic Aberration (Thick glass effect)
+                float shift = 0.005 * u_refractionStr * 10.0;
+                float r = sceneAt(refractUV + vec2(shift, 0.0)).r;
+                float g = sceneAt(refractUV).g;
+                float b = sceneAt(refractUV - vec2(shift, 0.0)).b;
+                vec3 bgCol = vec3(r, g, b);
+
+                // Lighting
+                vec3 lightDir = u_lightDir;
+                vec3 viewDir = vec3(0.0, 0.0, 1.0);
+
+                // Specular
+                vec3 halfDir = normalize(lightDir + viewDir);
+                float spec = pow(max(dot(normal, halfDir), 0.0), 100.0);
+
+                // Fresnel (Edge reflection)
+                float fresnel = pow(1.0 - max(dot(viewDir, normal), 0.0), 3.0);
+
+                // Beer's Law (Volume Absorption)
+                // Light gets absorbed as it travels through the "thickness" (simulated by alpha)
+                // Each channel is absorbed by what the tint lacks (water absorbs Red/Green heavily).
+                vec3 absorptionColor = 1.0 - tint;
+                vec3 transmission = exp(-absorptionColor * alpha * u_density);
+
+                // Compose
+                vec3 finalColor = bgCol * transmission;
+
+                // Add reflections on top
+                finalColor += vec3(1.0) * spec;
+                // An environment map also shows head-on (water reflects ~4% straight down)
+                float reflectance = u_envMode < 0.5 ? fresnel : 0.04 + 0.96 * fresnel;
+                finalColor += environment(normal) * reflectance * u_reflectivity;
+
+                // Soft edges mixing
+                gl_FragColor = vec4(shadeObstacles(finalColor, pixel), 1.0);
+            }
+        `,
+
+        'vs-particles': `
+            attribute vec2 a_position;
+            attribute vec3 a_color;
+            uniform vec2 u_resolution;
+            uniform float u_pointSize;
+            varying vec3 v_color;
+            void main() {
+                vec2 clipSpace = (a_position / u_resolution) * 2.0 - 1.0;
+                clipSpace.y *= -1.0;
+                gl_Position = vec4(clipSpace, 0.0, 1.0);
+                gl_PointSize = u_pointSize;
+                v_color = a_color;
+            }
+        `,
+
+        'fs-particles': `
+            precision mediump float;
+            varying vec3 v_color;
+            void main() {
+                vec2 coord = gl_PointCoord * 2.0 - 1.0;
+                float dist = dot(coord, coord);
+                if (dist > 1.0) discard;
+                float alpha = (1.0 - dist);
+                alpha = pow(alpha, 2.0);
+                // Blended with SRC_ALPHA, ONE: rgb sums colour * a^2, alpha sums a^2
+                gl_FragColor = vec4(v_color * alpha, alpha);
+            }
+        `,
+
+        // Front surface of the particle spheres, kept with MAX blending (EXT_blend_minmax)
+        'fs-particle-depth': `
+            precision mediump float;
+            void main() {
+                vec2 coord = gl_PointCoord * 2.0 - 1.0;
+                float r2 = dot(coord, coord);
+                if (r2 > 1.0) discard;
+                gl_FragColor = vec4(sqrt(1.0 - r2), 0.0, 0.0, 1.0);
+            }
+        `,
+
+        // Separable blur. With u_rangeSigma > 0 it is a bilateral depth filter: samples without water
+        // are skipped and neighbours further than ~u_rangeSigma in depth fade out, so separate
+        // blobs and the silhouette stay sharp while the bumps of the spheres melt.
+        'fs-blur': `
+            precision mediump float;
+            #define MAX_RADIUS 12
+            uniform sampler2D u_tex;
+            uniform vec2 u_step;        // One texel along the blur direction
+            uniform float u_radius;     // Taps each side
+            uniform float u_rangeSigma; // 0 = plain gaussian
+            varying vec2 v_uv;
+            void main() {
+                vec4 c = texture2D(u_tex, v_uv);
+                bool bilateral = u_rangeSigma > 0.0;
+                if (bilateral && c.r <= 0.0) { gl_FragColor = c; return; }
+                float sigma = max(u_radius * 0.5, 0.5);
+                vec4 sum = vec4(0.0);
+                float wsum = 0.0;
+                for (int i = -MAX_RADIUS; i <= MAX_RADIUS; i++) {
+                    float x = float(i);
+                    if (abs(x) > u_radius) continue;
+                    vec4 s = texture2D(u_tex, v_uv + u_step * x);
+                    float w = exp(-x * x / (2.0 * sigma * sigma));
+                    if (bilateral) {
+                        if (s.r <= 0.0) continue;
+                        float d = s.r - c.r;
+                        w *= exp(-d * d / (2.0 * u_rangeSigma * u_rangeSigma));
+                    }
+                    sum += s * w;
+                    wsum += w;
+                }
+                gl_FragColor = sum / max(wsum, 1e-5);
+            }
+        `,
+
+        // Whitewater (foam.js), drawn over the composited water
+        'vs-foam': `
+            attribute vec3 a_foam;      // x, y (canvas pixels), life 1..0
+            uniform vec2 u_resolution;
+            uniform float u_pointSize;
+            varying float v_life;
+            void main() {
+                vec2 clipSpace = (a_foam.xy / u_resolution) * 2.0 - 1.0;
+                clipSpace.y *= -1.0;
+                gl_Position = vec4(clipSpace, 0.0, 1.0);
+                gl_PointSize = u_pointSize * (0.4 + 0.6 * a_foam.z);
+                v_life = a_foam.z;
+            }
+        `,
+
+        'fs-foam': `
+            precision mediump float;
+            varying float v_life;
+            void main() {
+                vec2 coord = gl_PointCoord * 2.0 - 1.0;
+                float r2 = dot(coord, coord);
+                if (r2 > 1.0) discard;
+                gl_FragColor = vec4(vec3(0.95, 0.98, 1.0), (1.0 - r2) * min(v_life * 2.0, 1.0) * 0.7);
+            }
+        `,
+
+        // AR (xr.js): the composited water on a tray quad in the room, or the placement outline
+        'vs-tray': `
+            attribute vec2 a_position;
+            uniform mat4 u_projection;
+            uniform mat4 u_view;
+            uniform mat4 u_model;
+            varying vec2 v_uv;
+            void main() {
+                v_uv = a_position * 0.5 + 0.5;
+                gl_Position = u_projection * u_view * u_model * vec4(a_position, 0.0, 1.0);
+            }
+        `,
+
+        'fs-tray': `
+            precision mediump float;
+            uniform sampler2D u_texture;
+            uniform float u_preview;   // 1: only the rim, where a tap would put the tray
+            varying vec2 v_uv;
+            void main() {
+                vec2 edge = min(v_uv, 1.0 - v_uv);
+                float rim = 1.0 - smoothstep(0.01, 0.03, min(edge.x, edge.y));
+                if (u_preview > 0.5) {
+                    gl_FragColor = vec4(1.0, 1.0, 1.0, rim * 0.8);
+                    return;
+                }
+                vec3 col = texture2D(u_texture, v_uv).rgb;
+                gl_FragColor = vec4(mix(col, vec3(0.85), rim), 1.0);
+            }
+        `,
+
+        // --- GPU solver (gpu-solver.js) ---
+        'fs-gpu-predict': `
+            precision highp float;
+            uniform sampler2D u_state;  // x, y, vx, vy
+            #define MAX_POINTERS 4
+            uniform vec2 u_gravity;     // Already scaled by gravityScale and step size
+            uniform vec4 u_pointers[MAX_POINTERS];       // x, y, vx, vy
+            uniform float u_pointerTool[MAX_POINTERS];   // 0 push, 1 pull, 2 stir, 3 drag, -1 unused
+            uniform vec4 u_tools;       // radius, pushStrength, stirSpeed, dragFollow
+            uniform float u_k;
+            varying vec2 v_uv;
+            void main() {
+                vec4 s = texture2D(u_state, v_uv);
+                vec2 v = s.zw + u_gravity;
+                vec2 dv = vec2(0.0);
+                for (int i = 0; i < MAX_POINTERS; i++) {
+                    float tool = u_pointerTool[i];
+                    vec2 d = s.xy - u_pointers[i].xy;
+                    float len = length(d);
+                    if (tool < -0.5 || len >= u_tools.x || len <= 0.0) continue;
+                    vec2 n = d / len;
+                    float w = 1.0 - len / u_tools.x;
+                    if (tool < 1.5) {
+                        dv += n * (tool < 0.5 ? 1.0 : -1.0) * w * u_tools.y * u_k;
+                    } else {
+                        // Velocity target: a swirl around the pointer, or the finger's motion
+                        vec2 target = tool < 2.5 ? vec2(-n.y, n.x) * u_tools.z : u_pointers[i].zw;
+                        dv += (target - v) * w * min(1.0, u_tools.w * u_k);
+                    }
+                }
+                v += dv;
+                // Predicted position + where we came from
+                gl_FragColor = vec4(s.xy + v * u_k, s.xy);
+            }
+        `,
+
+        'vs-gpu-splat': `
+            attribute vec2 a_index;     // Texel centre of this particle in the state texture
+            uniform sampler2D u_state;
+            uniform vec2 u_domain;      // Simulation extent covered by the target
+            uniform float u_pointSize;
+            void main() {
+                vec2 p = texture2D(u_state, a_index).xy;
+                gl_Position = vec4(p / u_domain * 2.0 - 1.0, 0.0, 1.0);
+                gl_PointSize = u_pointSize;
+            }
+        `,
+
+        'fs-gpu-density': `
+            precision mediump float;
+            void main() {
+                float r = length(gl_PointCoord * 2.0 - 1.0);
+                if (r > 1.0) discard;
+                float q = 1.0 - r;
+                gl_FragColor = vec4(q * q, q * q * q, 0.0, 0.0); // density, near density
+            }
+        `,
+
+        'fs-gpu-relax': `
+            precision highp float;
+            uniform sampler2D u_pred;
+            uniform sampler2D u_density;
+            uniform sampler2D u_obstacles; // Signed distance on the density grid
+            uniform float u_hasObstacles;
+            uniform vec2 u_domain;
+            uniform vec2 u_cell;        // One density texel in uv
+            uniform vec2 u_bounds;
+            uniform vec3 u_pressure;    // stiffness, stiffnessNear, restDensity
+            uniform float u_h;
+            uniform float u_margin;
+            varying vec2 v_uv;
+
+            float pressure(vec2 uv) {
+                vec2 d = texture2D(u_density, uv).rg;
+                return u_pressure.x * (d.r - u_pressure.z) + u_pressure.y * d.g;
+            }
+
+            void main() {
+                vec4 s = texture2D(u_pred, v_uv);
+                vec2 uv = s.xy / u_domain;
+                vec2 grad = vec2(
+                    pressure(uv + vec2(u_cell.x, 0.0)) - pressure(uv - vec2(u_cell.x, 0.0)),
+                    pressure(uv + vec2(0.0, u_cell.y)) - pressure(uv - vec2(0.0, u_cell.y))
+                );
+                // Move down the pressure gradient, capped so a single pass can't explode
+                vec2 disp = -grad * 0.25 * u_h;
+                float len = length(disp);
+                if (len > 0.5 * u_h) disp *= 0.5 * u_h / len;
+                vec2 p = clamp(s.xy + disp, vec2(u_margin), u_bounds - u_margin);
+
+                // Push out of obstacles along the distance gradient
+                if (u_hasObstacles > 0.5) {
+                    vec2 ouv = p / u_domain;
+                    float d = texture2D(u_obstacles, ouv).r;
+                    if (d < u_margin) {
+                        vec2 n = vec2(
+                            texture2D(u_obstacles, ouv + vec2(u_cell.x, 0.0)).r - texture2D(u_obstacles, ouv - vec2(u_cell.x, 0.0)).r,
+                            texture2D(u_obstacles, ouv + vec2(0.0, u_cell.y)).r - texture2D(u_obstacles, ouv - vec2(0.0, u_cell.y)).r
+                        );
+                        float nl = length(n);
+                        if (nl > 0.0) p += n / nl * (u_margin - d);
+                    }
+                }
+                gl_FragColor = vec4(p, s.zw);
+            }
+        `,
+
+        'fs-gpu-velocity': `
+            precision highp float;
+            uniform sampler2D u_pred;
+            uniform float u_k;
+            uniform float u_damping;
+            varying vec2 v_uv;
+            void main() {
+                vec4 s = texture2D(u_pred, v_uv);
+                gl_FragColor = vec4(s.xy, (s.xy - s.zw) / u_k * u_damping);
+            }
+        `,
+
+        // Splat vertex shader for the GPU path: positions come from the state texture
+        'vs-particles-gpu': `
+            attribute vec2 a_index;
+            uniform sampler2D u_state;
+            uniform vec2 u_resolution;
+            uniform float u_pointSize;
+            uniform vec3 u_color;
+            varying vec3 v_color;
+            void main() {
+                vec2 clipSpace = (texture2D(u_state, a_index).xy / u_resolution) * 2.0 - 1.0;
+                clipSpace.y *= -1.0;
+                gl_Position = vec4(clipSpace, 0.0, 1.0);
+                gl_PointSize = u_pointSize;
+                v_color = u_color;
+            }
+        `
+    };
+
+    if (typeof module !== 'undefined' && module.exports) module.exports = Shaders;
+    else root.Shaders = Shaders;
+})(typeof self !== 'undefined' ? self : this);
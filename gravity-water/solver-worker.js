@@ -0,0 +1,83 @@
+// solver-worker.js - Runs FluidSolver off the main thread
+// Protocol (see FluidSolver.spawn in solver.js):
+//   in:  init {config, shared}, step {dt, inputs, buffer}, reset {seed, mixture}, resize {width, height},
+//        setEmitters {list}, setDrains {list}, setObstacles {shapes}, setBodies {list}, addBody {def},
+//        removeBody {index}, configure {values}, setState {state}, getState {id}
+//   out: frame {buffer, count, time, bodies}, state {id, state}, error {message}
+
+importScripts('obstacles.js', 'bodies.js', 'solver.js');
+
+let solver = null;
+let shared = null; // SharedArrayBuffer, when the page is cross-origin isolated
+
+// Frame layout: capacity*2 positions, capacity*3 colours, then capacity ids (only the live ones are copied)
+function writeFrame(buffer) {
+    const n = solver.count, cap = solver.capacity;
+    new Float32Array(buffer, 0, n * 2).set(solver.positions.subarray(0, n * 2));
+    new Float32Array(buffer, cap * 8, n * 3).set(solver.colors.subarray(0, n * 3));
+    new Uint32Array(buffer, cap * 20, n).set(solver.ids.subarray(0, n));
+}
+
+// Bodies are few, they travel as plain objects
+function sendFrame(buffer) {
+    const bodies = solver.bodies.snapshot();
+    if (shared) {
+        writeFrame(shared);
+        self.postMessage({ type: 'frame', count: solver.count, time: solver.time, bodies });
+    } else {
+        writeFrame(buffer);
+        self.postMessage({ type: 'frame', buffer, count: solver.count, time: solver.time, bodies }, [buffer]);
+    }
+}
+
+self.onmessage = (e) => {
+    const msg = e.data;
+    try {
+        switch (msg.type) {
+            case 'init':
+                solver = FluidSolver.create(msg.config);
+                shared = msg.shared || null;
+                sendFrame(msg.buffer);
+                break;
+            case 'step':
+                solver.step(msg.dt, msg.inputs);
+                sendFrame(msg.buffer);
+                break;
+            case 'reset':
+                solver.reset(msg.seed, msg.mixture);
+                break;
+            case 'resize':
+                solver.resize(msg.width, msg.height);
+                break;
+            case 'setEmitters':
+                solver.setEmitters(msg.list);
+                break;
+            case 'setDrains':
+                solver.setDrains(msg.list);
+                break;
+            case 'setObstacles':
+                solver.setObstacles(msg.shapes);
+                break;
+            case 'setBodies':
+                solver.setBodies(msg.list);
+                break;
+            case 'addBody':
+                solver.addBody(msg.def);
+                break;
+            case 'removeBody':
+                solver.removeBody(msg.index);
+                break;
+            case 'configure':
+                solver.configure(msg.values);
+                break;
+            case 'setState':
+                solver.setState(msg.state);
+                break;
+            case 'getState':
+                self.postMessage({ type: 'state', id: msg.id, state: solver.getState() });
+                break;
+        }
+    } catch (err) {
+        self.postMessage({ type: 'error', message: err.message });
+    }
+};
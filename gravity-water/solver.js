@@ -0,0 +1,708 @@
+// solver.js - Headless SPH Solver (double-density relaxation)
+// No DOM / WebGL access: runs in the page, in a Worker or under Node.
+
+(function (root) {
+    'use strict';
+
+    const Obstacles = typeof module !== 'undefined' && module.exports ? require('./obstacles.js') : root.Obstacles;
+    const Bodies = typeof module !== 'undefined' && module.exports ? require('./bodies.js') : root.Bodies;
+
+    const DEFAULTS = {
+        particleCount: 900,
+        radius: 20,          // Wall margin (visual radius)
+        physRadius: 15,
+        gravityScale: 0.18,
+        damping: 0.96,
+        stiffness: 0.02,
+        stiffnessNear: 0.1,
+        restDensity: 3.0,
+        interactionRadius: 120,
+        subSteps: 2,
+        width: 800,
+        height: 600,
+        seed: 1,
+        capacity: 0,         // Max live particles (emitters); 0 = particleCount
+        // { x, y, vx, vy, rate (particles/s), spread (px), phase }
+        emitters: [],
+        // { x, y, r }: particles entering the circle are deleted
+        drains: [],
+        pourRate: 240,       // Particles/s emitted by a pointer in 'pour' mode
+        pushStrength: 4.0,   // 'push' / 'pull' impulse at the pointer centre (px per frame)
+        stirSpeed: 6,        // 'stir' swirl speed at the pointer centre (px per frame)
+        dragFollow: 0.3,     // 'drag': share of the gap to the finger's velocity closed per frame
+        obstacles: [],       // Shapes, see obstacles.js
+        // Fluid types. density scales particle mass (heavier phases sink), color is the
+        // tint the liquid gives transmitted light, miscible phases blend colours on contact.
+        // viscosity and cohesion add to the global terms below for particles of that phase.
+        phases: [
+            { name: 'water', density: 1.0, viscosity: 0, cohesion: 0, color: [0.1, 0.4, 0.8], miscible: true }
+        ],
+        mixture: null,       // Initial phase layout for reset(), null = all phase 0
+        mixRate: 0.02,       // Colour exchanged per contact and substep between miscible phases
+        phaseSeparation: 0.3,// Extra push between immiscible phases (keeps oil and water apart)
+        buoyancy: 4.0,       // Boussinesq term: gravity scaled by density relative to the neighbourhood
+        viscosity: 0,        // Linear viscosity impulse (sigma): thick, slow flow
+        viscosityQuadratic: 0, // Quadratic viscosity impulse (beta): damps fast collisions
+        cohesion: 0,         // Surface tension: pulls neighbours together, beads up droplets (clumps above ~0.4)
+        bodies: [],          // Rigid boxes and circles, see bodies.js
+        bodyDamping: 0.99
+    };
+
+    // Pointer tools (index = tool code in the GPU solver)
+    const TOOLS = ['push', 'pull', 'stir', 'drag', 'pour'];
+
+    // Upper bound on neighbours gathered per particle; extras past this are ignored
+    const MAX_NEIGHBORS = 64;
+
+    // Fixed for the solver's lifetime (see configure)
+    const SIZING_KEYS = ['particleCount', 'capacity', 'physRadius'];
+
+    // Small seedable PRNG so layouts are reproducible run to run
+    function mulberry32(a) {
+        return function () {
+            a |= 0; a = a + 0x6D2B79F5 | 0;
+            let t = Math.imul(a ^ a >>> 15, 1 | a);
+            t = t + Math.imul(t ^ t >>> 7, 61 | t) ^ t;
+            return ((t ^ t >>> 14) >>> 0) / 4294967296;
+        };
+    }
+
+    function create(config) {
+        const cfg = Object.assign({}, DEFAULTS, config);
+        // Arrays hold `cap` particles; the first n are live (emitters add, drains remove)
+        const cap = Math.max(cfg.capacity || 0, cfg.particleCount);
+        let n = cfg.particleCount;
+
+        const particles = {
+            x: new Float32Array(cap),
+            y: new Float32Array(cap),
+            vx: new Float32Array(cap),
+            vy: new Float32Array(cap),
+            prevX: new Float32Array(cap),
+            prevY: new Float32Array(cap),
+            phase: new Uint8Array(cap),
+            mass: new Float32Array(cap),
+            viscosity: new Float32Array(cap),
+            cohesion: new Float32Array(cap),
+            ambientMass: new Float32Array(cap)  // Mean neighbourhood mass from the last relaxation
+        };
+        // Interleaved r,g,b per particle; starts as the phase colour and drifts when phases mix
+        const colors = new Float32Array(cap * 3);
+        // Interleaved x,y copy of the positions, refreshed after every step (GL upload / Worker transfer)
+        const positions = new Float32Array(cap * 2);
+        // Particle id per slot: follows the particle when remove() moves it, new particles get new ids
+        const ids = new Uint32Array(cap);
+        let nextId = 0;
+        let rng = mulberry32(cfg.seed);
+        let time = 0;
+        const obstacles = Obstacles.create(cfg.obstacles);
+        let emitterCarry = [];   // Fractional particles owed per emitter
+        let pourCarry = [];      // Per pointer
+        // Fluid mass per square pixel at rest (particles settle about 0.66 physRadius apart),
+        // so a body of density 1 weighs as much as the water it displaces
+        const bodies = Bodies.create(cfg.bodies, { massPerArea: 1 / Math.pow(cfg.physRadius * 0.66, 2) });
+
+        // Uniform cell grid over the domain, filled by counting sort every substep.
+        // Everything is preallocated; only resize() reallocates.
+        const h = cfg.physRadius * 2;
+        let gridCols = 0, gridRows = 0;
+        let cellStart, cellCount;
+        const cellOf = new Int32Array(cap);
+        const sorted = new Int32Array(cap);
+
+        // Per-particle neighbour scratch (reused for every particle)
+        const nbId = new Int32Array(MAX_NEIGHBORS);
+        const nbD = new Float64Array(MAX_NEIGHBORS);
+        const nbDx = new Float64Array(MAX_NEIGHBORS);
+        const nbDy = new Float64Array(MAX_NEIGHBORS);
+
+        function allocGrid() {
+            gridCols = Math.max(1, Math.ceil(cfg.width / h) + 1);
+            gridRows = Math.max(1, Math.ceil(cfg.height / h) + 1);
+            cellStart = new Int32Array(gridCols * gridRows + 1);
+            cellCount = new Int32Array(gridCols * gridRows);
+        }
+
+        // Lay particles out as a block near the top, with a seeded sub-pixel jitter.
+        // mixture: { layout: 'mixed' | 'columns' | 'rows', parts: [{ phase, fraction }] }
+        // (undefined keeps the current mixture, null means all phase 0)
+        function reset(seed, mixture) {
+            if (seed !== undefined && seed !== null) cfg.seed = seed;
+            if (mixture !== undefined) cfg.mixture = mixture;
+            rng = mulberry32(cfg.seed);
+            time = 0;
+            n = cfg.particleCount;
+            numberIds();
+            emitterCarry = cfg.emitters.map(() => 0);
+            pourCarry = [];
+            const cols = Math.max(1, Math.floor(Math.sqrt(n)));
+            const rows = Math.ceil(n / cols);
+            const spacing = cfg.physRadius * 2.2;
+            const startX = (cfg.width - cols * spacing) / 2;
+            for (let i = 0; i < n; i++) {
+                particles.x[i] = startX + (i % cols) * spacing + (rng() - 0.5) * 0.1;
+                particles.y[i] = cfg.height * 0.1 + Math.floor(i / cols) * spacing + (rng() - 0.5) * 0.1;
+                particles.prevX[i] = particles.x[i]; particles.prevY[i] = particles.y[i];
+                particles.vx[i] = 0; particles.vy[i] = 0;
+                if (!cfg.mixture) { setPhase(i, 0); continue; }
+                const layout = cfg.mixture.layout;
+                const t = layout === 'columns' ? (i % cols + 0.5) / cols
+                    : layout === 'rows' ? (Math.floor(i / cols) + 0.5) / rows
+                    : rng();
+                setPhase(i, pickPhase(t));
+            }
+            writePositions(positions);
+        }
+
+        // Walk the cumulative fractions of the mixture
+        function pickPhase(t) {
+            const parts = cfg.mixture.parts;
+            let total = 0, acc = 0;
+            for (const part of parts) total += part.fraction;
+            for (const part of parts) {
+                acc += part.fraction / total;
+                if (t < acc) return part.phase;
+            }
+            return parts[parts.length - 1].phase;
+        }
+
+        function setPhase(i, p) {
+            const def = cfg.phases[p];
+            if (!def) throw new Error("Unknown phase: " + p);
+            particles.phase[i] = p;
+            particles.mass[i] = def.density;
+            particles.ambientMass[i] = def.density;
+            particles.viscosity[i] = def.viscosity || 0;
+            particles.cohesion[i] = def.cohesion || 0;
+            colors[i * 3] = def.color[0]; colors[i * 3 + 1] = def.color[1]; colors[i * 3 + 2] = def.color[2];
+        }
+
+        function numberIds() {
+            for (let i = 0; i < n; i++) ids[i] = i;
+            nextId = n;
+        }
+
+        // --- Pool ---
+        // Append a particle; returns its index, or -1 when the pool is full
+        function add(x, y, vx, vy, phase) {
+            if (n >= cap) return -1;
+            const i = n++;
+            ids[i] = nextId++;
+            particles.x[i] = x; particles.y[i] = y;
+            particles.vx[i] = vx || 0; particles.vy[i] = vy || 0;
+            particles.prevX[i] = x; particles.prevY[i] = y;
+            setPhase(i, phase || 0);
+            return i;
+        }
+
+        // Swap-remove: the last live particle takes slot i
+        function remove(i) {
+            if (i < 0 || i >= n) return;
+            const last = --n;
+            if (i === last) return;
+            particles.x[i] = particles.x[last]; particles.y[i] = particles.y[last];
+            particles.vx[i] = particles.vx[last]; particles.vy[i] = particles.vy[last];
+            particles.prevX[i] = particles.prevX[last]; particles.prevY[i] = particles.prevY[last];
+            particles.phase[i] = particles.phase[last]; particles.mass[i] = particles.mass[last];
+            particles.viscosity[i] = particles.viscosity[last]; particles.cohesion[i] = particles.cohesion[last];
+            particles.ambientMass[i] = particles.ambientMass[last];
+            ids[i] = ids[last];
+            for (let c = 0; c < 3; c++) colors[i * 3 + c] = colors[last * 3 + c];
+        }
+
+        function setEmitters(list) {
+            cfg.emitters = list || [];
+            emitterCarry = cfg.emitters.map(() => 0);
+        }
+
+        function setDrains(list) {
+            cfg.drains = list || [];
+        }
+
+        // Emit `rate * dt` particles (fractions carry over) spread across a short line
+        function emitFrom(e, dt, carry) {
+            let owed = carry + e.rate * dt;
+            const spread = e.spread !== undefined ? e.spread : cfg.physRadius * 2;
+            while (owed >= 1) {
+                owed -= 1;
+                const off = (rng() - 0.5) * spread;
+                // Offset perpendicular to the emission direction
+                const sp = Math.sqrt(e.vx * e.vx + e.vy * e.vy) || 1;
+                if (add(e.x - e.vy / sp * off, e.y + e.vx / sp * off, e.vx, e.vy, e.phase) < 0) return 0;
+            }
+            return owed;
+        }
+
+        function emit(dt, pointers) {
+            for (let e = 0; e < cfg.emitters.length; e++) {
+                emitterCarry[e] = emitFrom(cfg.emitters[e], dt, emitterCarry[e] || 0);
+            }
+            for (let i = 0; i < pointers.length; i++) {
+                const p = pointers[i];
+                if (p.tool !== 'pour') continue;
+                pourCarry[i] = emitFrom({
+                    x: p.x, y: p.y, vx: 0, vy: 2, rate: cfg.pourRate, phase: p.phase || 0
+                }, dt, pourCarry[i] || 0);
+            }
+        }
+
+        // Velocity change from pointer p for something at offset (dx, dy) from it moving at (vx, vy)
+        function pointerImpulse(p, dx, dy, vx, vy, k, out) {
+            out.x = 0; out.y = 0;
+            const iR = cfg.interactionRadius, d2 = dx * dx + dy * dy;
+            if (d2 >= iR * iR || d2 === 0) return out;
+            const d = Math.sqrt(d2), w = 1 - d / iR, tool = p.tool || 'push';
+            if (tool === 'push' || tool === 'pull') {
+                const f = (tool === 'push' ? 1 : -1) * w * cfg.pushStrength * k;
+                out.x = dx / d * f; out.y = dy / d * f;
+            } else if (tool === 'stir' || tool === 'drag') {
+                // Pull the velocity towards a target: a swirl around the pointer, or the finger's own motion
+                const tx = tool === 'stir' ? -dy / d * cfg.stirSpeed : (p.vx || 0);
+                const ty = tool === 'stir' ? dx / d * cfg.stirSpeed : (p.vy || 0);
+                const f = w * Math.min(1, cfg.dragFollow * k);
+                out.x = (tx - vx) * f; out.y = (ty - vy) * f;
+            }
+            return out;
+        }
+
+        function drain() {
+            for (const d of cfg.drains) {
+                const r2 = d.r * d.r;
+                for (let i = n - 1; i >= 0; i--) {
+                    const dx = particles.x[i] - d.x, dy = particles.y[i] - d.y;
+                    if (dx * dx + dy * dy < r2) remove(i);
+                }
+            }
+        }
+
+        function setObstacles(shapes) {
+            cfg.obstacles = shapes || [];
+            obstacles.set(cfg.obstacles);
+        }
+
+        // --- Rigid bodies ---
+        function setBodies(list) {
+            cfg.bodies = list || [];
+            bodies.set(cfg.bodies);
+        }
+
+        function addBody(def) {
+            return bodies.add(def);
+        }
+
+        function removeBody(i) {
+            bodies.remove(i);
+        }
+
+        // Live parameter changes. Keys that size arrays or the grid need a new solver.
+        function configure(values) {
+            for (const key of SIZING_KEYS) {
+                if (key in values && values[key] !== cfg[key]) throw new Error(key + " can't change on a running solver");
+            }
+            Object.assign(cfg, values);
+        }
+
+        function resize(w, hgt) {
+            cfg.width = w;
+            cfg.height = hgt;
+            allocGrid();
+        }
+
+        // Advance by dt seconds. Forces are tuned per 60Hz frame, so dt = 1/60 is one frame.
+        // inputs: { gravity: {x, y}, pointers: [{x, y, vx, vy, tool, phase}] } in simulation units,
+        // one entry per finger touching (vx, vy: its velocity per frame, used by 'drag'; tool: see TOOLS).
+        // The older single { pointer: {x, y, down, tool} } is still accepted.
+        function step(dt, inputs) {
+            const k = (dt === undefined ? 1 / 60 : dt) * 60;
+            if (k <= 0) return;
+            const g = (inputs && inputs.gravity) || { x: 0, y: 1 };
+            const pointers = activePointers(inputs);
+            emit(k / 60, pointers);
+            bodies.predict(g.x * cfg.gravityScale, g.y * cfg.gravityScale, k);
+            for (const p of pointers) {
+                if (p.tool === 'pour') continue;
+                for (const b of bodies.list) {
+                    pointerImpulse(p, b.x - p.x, b.y - p.y, b.vx, b.vy, k, impulse);
+                    b.vx += impulse.x; b.vy += impulse.y;
+                }
+            }
+
+            for (let i = 0; i < n; i++) {
+                // Heavier than the surroundings sinks faster, lighter floats up
+                const amb = particles.ambientMass[i];
+                const gs = cfg.gravityScale * k * (1 + cfg.buoyancy * (particles.mass[i] - amb) / amb);
+                particles.vx[i] += g.x * gs;
+                particles.vy[i] += g.y * gs;
+
+                for (let j = 0; j < pointers.length; j++) {
+                    const p = pointers[j];
+                    if (p.tool === 'pour') continue;
+                    pointerImpulse(p, particles.x[i] - p.x, particles.y[i] - p.y, particles.vx[i], particles.vy[i], k, impulse);
+                    particles.vx[i] += impulse.x;
+                    particles.vy[i] += impulse.y;
+                }
+            }
+            if (viscous()) {
+                buildGrid();
+                applyViscosity(k);
+            }
+            for (let i = 0; i < n; i++) {
+                particles.prevX[i] = particles.x[i]; particles.prevY[i] = particles.y[i];
+                particles.x[i] += particles.vx[i] * k; particles.y[i] += particles.vy[i] * k;
+            }
+
+            for (let s = 0; s < cfg.subSteps; s++) {
+                buildGrid();
+                relax();
+                clampToBounds();
+                obstacles.collide(particles.x, particles.y, n, cfg.radius);
+                if (bodies.length > 0) {
+                    bodies.collideParticles(particles.x, particles.y, particles.mass, n, cfg.physRadius);
+                    bodies.constrain(cfg.width, cfg.height, obstacles);
+                }
+            }
+
+            for (let i = 0; i < n; i++) {
+                particles.vx[i] = (particles.x[i] - particles.prevX[i]) / k * cfg.damping;
+                particles.vy[i] = (particles.y[i] - particles.prevY[i]) / k * cfg.damping;
+            }
+            bodies.finish(k, cfg.bodyDamping);
+            drain();
+            writePositions(positions);
+            time += k / 60;
+        }
+
+        const impulse = { x: 0, y: 0 };
+
+        function activePointers(inputs) {
+            if (!inputs) return [];
+            if (inputs.pointers) return inputs.pointers;
+            return inputs.pointer && inputs.pointer.down ? [inputs.pointer] : [];
+        }
+
+        function cellIndex(x, y) {
+            let cx = Math.floor(x / h), cy = Math.floor(y / h);
+            if (cx < 0) cx = 0; else if (cx >= gridCols) cx = gridCols - 1;
+            if (cy < 0) cy = 0; else if (cy >= gridRows) cy = gridRows - 1;
+            return cy * gridCols + cx;
+        }
+
+        // Counting sort: particle ids of cell c are sorted[cellStart[c] .. cellStart[c+1])
+        function buildGrid() {
+            const numCells = gridCols * gridRows;
+            cellCount.fill(0);
+            for (let i = 0; i < n; i++) {
+                const c = cellIndex(particles.x[i], particles.y[i]);
+                cellOf[i] = c;
+                cellCount[c]++;
+            }
+            let sum = 0;
+            for (let c = 0; c < numCells; c++) { cellStart[c] = sum; sum += cellCount[c]; }
+            cellStart[numCells] = sum;
+            cellCount.fill(0);
+            for (let i = 0; i < n; i++) {
+                const c = cellOf[i];
+                sorted[cellStart[c] + cellCount[c]++] = i;
+            }
+        }
+
+        // Fill the neighbour scratch with particles within h of i (grid must be current)
+        function gather(i) {
+            const h2 = h * h;
+            let count = 0;
+            let px = particles.x[i], py = particles.y[i];
+            let c = cellOf[i];
+            let gx = c % gridCols, gy = (c - gx) / gridCols;
+            let x0 = Math.max(gx - 1, 0), x1 = Math.min(gx + 1, gridCols - 1);
+            let y0 = Math.max(gy - 1, 0), y1 = Math.min(gy + 1, gridRows - 1);
+            for (let x = x0; x <= x1; x++) {
+                for (let y = y0; y <= y1; y++) {
+                    let cell = y * gridCols + x;
+                    for (let s = cellStart[cell], e = cellStart[cell + 1]; s < e; s++) {
+                        let j = sorted[s];
+                        if (i === j) continue;
+                        let dx = particles.x[j] - px, dy = particles.y[j] - py, d2 = dx * dx + dy * dy;
+                        if (d2 < h2 && d2 > 0.001 && count < MAX_NEIGHBORS) {
+                            nbId[count] = j; nbD[count] = Math.sqrt(d2); nbDx[count] = dx; nbDy[count] = dy;
+                            count++;
+                        }
+                    }
+                }
+            }
+            return count;
+        }
+
+        function viscous() {
+            if (cfg.viscosity > 0 || cfg.viscosityQuadratic > 0) return true;
+            for (const p of cfg.phases) if (p.viscosity > 0) return true;
+            return false;
+        }
+
+        // Viscosity impulses (Clavet et al.): neighbours trade velocity along the line between
+        // them. Unlike the paper, separating pairs are damped too, so thick phases also resist
+        // spreading out (honey). Each pair is visited once (j > i).
+        function applyViscosity(k) {
+            const beta = cfg.viscosityQuadratic;
+            for (let i = 0; i < n; i++) {
+                const count = gather(i);
+                for (let m = 0; m < count; m++) {
+                    const j = nbId[m];
+                    if (j < i) continue;
+                    const rx = nbDx[m] / nbD[m], ry = nbDy[m] / nbD[m];
+                    const u = (particles.vx[i] - particles.vx[j]) * rx + (particles.vy[i] - particles.vy[j]) * ry;
+                    const au = Math.abs(u);
+                    if (au < 1e-6) continue;
+                    const sigma = cfg.viscosity + 0.5 * (particles.viscosity[i] + particles.viscosity[j]);
+                    // Never more than the relative speed, or thick settings would flip pairs around
+                    const I = 0.5 * Math.min(k * (1 - nbD[m] / h) * (sigma * au + beta * au * au), au) * (u > 0 ? 1 : -1);
+                    particles.vx[i] -= rx * I; particles.vy[i] -= ry * I;
+                    particles.vx[j] += rx * I; particles.vy[j] += ry * I;
+                }
+            }
+        }
+
+        // Double-density relaxation (Clavet et al.)
+        function relax() {
+            for (let i = 0; i < n; i++) {
+                const count = gather(i);
+                // Mass-weighted densities: heavy neighbours count for more
+                let mi = particles.mass[i], pi = particles.phase[i];
+                let rho = 0, rhoNear = 0, massSum = mi;
+                for (let m = 0; m < count; m++) {
+                    let q = 1 - nbD[m] / h, mj = particles.mass[nbId[m]];
+                    rho += mj * q * q; rhoNear += mj * q * q * q; massSum += mj;
+                }
+                particles.ambientMass[i] = massSum / (count + 1);
+                let P = cfg.stiffness * (rho - cfg.restDensity * mi), PNear = cfg.stiffnessNear * rhoNear;
+                let mixI = cfg.phases[pi].miscible;
+                let cohI = cfg.cohesion + 0.5 * particles.cohesion[i];
+                let dx = 0, dy = 0;
+                for (let m = 0; m < count; m++) {
+                    let j = nbId[m], pj = particles.phase[j];
+                    let q = 1 - nbD[m] / h, D = 0.5 * (P * q + PNear * q * q);
+                    let bothMiscible = mixI && cfg.phases[pj].miscible;
+                    if (pi !== pj && !bothMiscible) D += cfg.phaseSeparation * q;
+                    // Cohesion peaks mid-range and vanishes at contact and at h
+                    let coh = cohI + 0.5 * particles.cohesion[j];
+                    if (coh > 0) D -= coh * q * (1 - q);
+                    // Split the correction by mass so light particles give way to heavy ones
+                    let mj = particles.mass[j], wj = 2 * mi / (mi + mj), wi = 2 * mj / (mi + mj);
+                    let ux = (nbDx[m] / nbD[m]) * D, uy = (nbDy[m] / nbD[m]) * D;
+                    particles.x[j] += ux * wj; particles.y[j] += uy * wj; dx -= ux * wi; dy -= uy * wi;
+                    if (bothMiscible && cfg.mixRate > 0) mixColors(i, j, cfg.mixRate * q);
+                }
+                particles.x[i] += dx; particles.y[i] += dy;
+            }
+        }
+
+        // Symmetric colour diffusion, conserves the total amount of dye
+        function mixColors(i, j, rate) {
+            for (let c = 0; c < 3; c++) {
+                const d = (colors[j * 3 + c] - colors[i * 3 + c]) * rate;
+                colors[i * 3 + c] += d; colors[j * 3 + c] -= d;
+            }
+        }
+
+        function clampToBounds() {
+            const m = cfg.radius;
+            const boundW = cfg.width, boundH = cfg.height;
+            for (let i = 0; i < n; i++) {
+                if (particles.x[i] < m) particles.x[i] = m;
+                if (particles.x[i] > boundW - m) particles.x[i] = boundW - m;
+                if (particles.y[i] < m) particles.y[i] = m;
+                if (particles.y[i] > boundH - m) particles.y[i] = boundH - m;
+            }
+        }
+
+        function writePositions(out) {
+            for (let i = 0; i < n; i++) { out[i * 2] = particles.x[i]; out[i * 2 + 1] = particles.y[i]; }
+            return out;
+        }
+
+        // Snapshot: plain object of copied typed arrays, safe to keep or post to a Worker
+        function getState() {
+            return {
+                count: n,
+                time,
+                width: cfg.width,
+                height: cfg.height,
+                x: particles.x.slice(0, n),
+                y: particles.y.slice(0, n),
+                vx: particles.vx.slice(0, n),
+                vy: particles.vy.slice(0, n),
+                prevX: particles.prevX.slice(0, n),
+                prevY: particles.prevY.slice(0, n),
+                phase: particles.phase.slice(0, n),
+                colors: colors.slice(0, n * 3),
+                bodies: bodies.snapshot()
+            };
+        }
+
+        function setState(state) {
+            if (state.count > cap) throw new Error("State has " + state.count + " particles, capacity is " + cap);
+            n = state.count;
+            particles.x.set(state.x.subarray(0, n)); particles.y.set(state.y.subarray(0, n));
+            particles.vx.set(state.vx.subarray(0, n)); particles.vy.set(state.vy.subarray(0, n));
+            particles.prevX.set((state.prevX || state.x).subarray(0, n)); particles.prevY.set((state.prevY || state.y).subarray(0, n));
+            for (let i = 0; i < n; i++) setPhase(i, state.phase ? state.phase[i] : 0);
+            if (state.colors) colors.set(state.colors.subarray(0, n * 3));
+            if (state.bodies) setBodies(state.bodies);
+            if (state.width !== undefined) resize(state.width, state.height);
+            numberIds();
+            time = state.time || 0;
+            writePositions(positions);
+        }
+
+        allocGrid();
+        reset();
+
+        return {
+            config: cfg,
+            particles,
+            positions,
+            colors,
+            ids,
+            get count() { return n; },
+            get capacity() { return cap; },
+            get time() { return time; },
+            obstacles,
+            bodies,
+            reset,
+            add,
+            remove,
+            setEmitters,
+            setDrains,
+            resize,
+            setObstacles,
+            setBodies,
+            addBody,
+            removeBody,
+            configure,
+            step,
+            getState,
+            setState,
+            writePositions
+        };
+    }
+
+    // Same surface as create(), but the solver runs in solver-worker.js.
+    // step() never blocks: it is dropped while the previous frame is still in flight,
+    // and `positions` / `colors` / `ids` / `count` always hold the latest finished frame. A frame is
+    // cap*2 positions, cap*3 colours and cap ids (first `count` live); it travels back through a
+    // SharedArrayBuffer when the page is cross-origin isolated, otherwise through two
+    // ArrayBuffers that are transferred back and forth.
+    function spawn(config, options) {
+        const opts = options || {};
+        const cfg = Object.assign({}, DEFAULTS, config);
+        const cap = Math.max(cfg.capacity || 0, cfg.particleCount);
+        let n = cfg.particleCount;
+        const worker = new Worker(opts.url || 'solver-worker.js');
+        const useShared = typeof SharedArrayBuffer !== 'undefined' && root.crossOriginIsolated === true;
+
+        const frameBytes = cap * 6 * 4;
+        let frame, spare = null;
+        let sharedBuffer = null;
+        if (useShared) {
+            sharedBuffer = new SharedArrayBuffer(frameBytes);
+            frame = sharedBuffer;
+        } else {
+            frame = new ArrayBuffer(frameBytes);
+            spare = new ArrayBuffer(frameBytes);
+        }
+        let positions = new Float32Array(frame, 0, cap * 2);
+        let colors = new Float32Array(frame, cap * 8, cap * 3);
+        let ids = new Uint32Array(frame, cap * 20, cap);
+        let busy = true;
+        let time = 0;
+        let requestId = 0;
+        const pending = {};
+        // Latest body snapshot, shaped like the bodies world of create() for readers
+        const bodies = { list: cfg.bodies.slice(), get length() { return this.list.length; } };
+
+        worker.onmessage = (e) => {
+            const msg = e.data;
+            if (msg.type === 'frame') {
+                if (!useShared) {
+                    spare = frame;
+                    frame = msg.buffer;
+                    positions = new Float32Array(frame, 0, cap * 2);
+                    colors = new Float32Array(frame, cap * 8, cap * 3);
+                    ids = new Uint32Array(frame, cap * 20, cap);
+                }
+                n = msg.count;
+                time = msg.time;
+                bodies.list = msg.bodies;
+                busy = false;
+                if (opts.onFrame) opts.onFrame(positions);
+            } else if (msg.type === 'state') {
+                pending[msg.id](msg.state);
+                delete pending[msg.id];
+            } else if (msg.type === 'error' && opts.onError) {
+                opts.onError(new Error(msg.message));
+            }
+        };
+        worker.onerror = (e) => {
+            e.preventDefault();
+            if (opts.onError) opts.onError(new Error(e.message || "Solver worker failed"));
+        };
+
+        function post(msg) {
+            if (spare) {
+                msg.buffer = spare;
+                spare = null;
+                worker.postMessage(msg, [msg.buffer]);
+            } else {
+                worker.postMessage(msg);
+            }
+        }
+
+        post({ type: 'init', config: cfg, shared: sharedBuffer });
+
+        return {
+            config: cfg,
+            get positions() { return positions; },
+            get colors() { return colors; },
+            get ids() { return ids; },
+            get count() { return n; },
+            get capacity() { return cap; },
+            get time() { return time; },
+            get busy() { return busy; },
+            bodies,
+            step(dt, inputs) {
+                if (busy) return false;
+                busy = true;
+                post({ type: 'step', dt, inputs });
+                return true;
+            },
+            reset(seed, mixture) { worker.postMessage({ type: 'reset', seed, mixture }); },
+            configure(values) {
+                for (const key of SIZING_KEYS) {
+                    if (key in values && values[key] !== cfg[key]) throw new Error(key + " can't change on a running solver");
+                }
+                Object.assign(cfg, values);
+                worker.postMessage({ type: 'configure', values });
+            },
+            resize(w, h) { cfg.width = w; cfg.height = h; worker.postMessage({ type: 'resize', width: w, height: h }); },
+            setEmitters(list) { cfg.emitters = list || []; worker.postMessage({ type: 'setEmitters', list: cfg.emitters }); },
+            setDrains(list) { cfg.drains = list || []; worker.postMessage({ type: 'setDrains', list: cfg.drains }); },
+            setObstacles(shapes) { cfg.obstacles = shapes || []; worker.postMessage({ type: 'setObstacles', shapes: cfg.obstacles }); },
+            setBodies(list) { cfg.bodies = list || []; bodies.list = cfg.bodies.slice(); worker.postMessage({ type: 'setBodies', list: cfg.bodies }); },
+            addBody(def) { bodies.list.push(def); worker.postMessage({ type: 'addBody', def }); return bodies.list.length - 1; },
+            removeBody(index) { bodies.list.splice(index, 1); worker.postMessage({ type: 'removeBody', index }); },
+            setState(state) { worker.postMessage({ type: 'setState', state }); },
+            getState() {
+                const id = ++requestId;
+                return new Promise(resolve => {
+                    pending[id] = resolve;
+                    worker.postMessage({ type: 'getState', id });
+                });
+            },
+            terminate() { worker.terminate(); }
+        };
+    }
+
+    const FluidSolver = { DEFAULTS, SIZING_KEYS, TOOLS, create, spawn };
+
+    if (typeof module !== 'undefined' && module.exports) module.exports = FluidSolver;
+    else root.FluidSolver = FluidSolver;
+})(typeof self !== 'undefined' ? self : this);
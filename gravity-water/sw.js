@@ -0,0 +1,47 @@
+// sw.js - Offline launch: precaches the app on install, then serves it cache first.
+// Bump VERSION whenever a precached file changes: the new worker installs in the background,
+// takes over at once and drops the old cache, so the next load runs the new files.
+// PRECACHE has to list every script index.html loads (plus solver-worker.js, started on demand).
+// Trying it locally (localhost counts as a secure context, a LAN address does not):
+//   cd gravity-water && python3 -m http.server 8000
+//   open http://localhost:8000/, wait for "Offline: ready" in the debug log, stop the server
+//   (or DevTools > Network > Offline) and reload. http://localhost:8000/?sw=off unregisters it.
+
+const VERSION = 'gravity-water-v5';
+const PRECACHE = [
+    './', 'index.html', 'style.css', 'manifest.webmanifest',
+    'icons/icon-192.png', 'icons/icon-512.png', 'icons/icon-maskable-512.png',
+    'settings.js', 'onboarding.js', 'defaults.js', 'render-device.js', 'shaders.js', 'input.js',
+    'recorder.js', 'gif.js', 'obstacles.js', 'bodies.js', 'foam.js', 'feedback.js', 'governor.js', 'background.js',
+    'renderer-webgl.js', 'renderer-canvas.js', 'xr.js', 'solver.js', 'gpu-solver.js', 'fluid.js',
+    'solver-worker.js'
+];
+
+self.addEventListener('install', e => {
+    e.waitUntil(caches.open(VERSION)
+        .then(cache => cache.addAll(PRECACHE))
+        .then(() => self.skipWaiting()));
+});
+
+self.addEventListener('activate', e => {
+    e.waitUntil(caches.keys()
+        .then(keys => Promise.all(keys.filter(k => k !== VERSION).map(k => caches.delete(k))))
+        .then(() => self.clients.claim()));
+});
+
+// Same-origin GETs only. Anything fetched that was not precached (a scene mask, a background
+// image) is kept for the next offline launch. Pages with a query (?xr=mock, ?renderer=canvas)
+// are the same index.html.
+self.addEventListener('fetch', e => {
+    const req = e.request;
+    if (req.method !== 'GET' || new URL(req.url).origin !== self.location.origin) return;
+    const navigate = req.mode === 'navigate';
+    e.respondWith(caches.open(VERSION).then(cache =>
+        cache.match(req, { ignoreSearch: navigate }).then(hit => hit || fetch(req).then(res => {
+            if (res.ok && res.type === 'basic') cache.put(req, res.clone());
+            return res;
+        }, err => {
+            if (navigate) return cache.match('index.html');
+            throw err;
+        }))));
+});
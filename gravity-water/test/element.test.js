@@ -0,0 +1,138 @@
+// element.test.js - <gravity-water> pours against a minimal fake DOM (Canvas 2D renderer, manual frames)
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+const SCRIPTS = ['defaults', 'render-device', 'shaders', 'input', 'foam', 'governor', 'background',
+    'renderer-webgl', 'renderer-canvas', 'obstacles', 'bodies', 'solver', 'gravity-water-element'];
+
+// Any 2D context call is a no-op; pixel reads return blank images
+function context2d() {
+    const image = (w, h) => ({ width: w, height: h, data: new Uint8ClampedArray(w * h * 4) });
+    return new Proxy({}, {
+        get: (t, k) => k === 'getImageData' ? (x, y, w, h) => image(w, h)
+            : k === 'createImageData' ? (w, h) => image(w, h)
+            : k === 'createLinearGradient' || k === 'createRadialGradient' ? () => ({ addColorStop() {} })
+            : () => {},
+        set: () => true
+    });
+}
+
+function canvas() {
+    return {
+        width: 300, height: 150, style: {},
+        getContext: type => type === '2d' ? context2d() : null,
+        addEventListener() {}, removeEventListener() {}, setPointerCapture() {},
+        cloneNode() { return canvas(); }, replaceWith() {}
+    };
+}
+
+// A page with the element defined; frames run only when the test calls page.frame()
+function page() {
+    let callbacks = new Map(), nextId = 1;
+    const observers = [];
+    const win = {
+        console: { log() {}, warn() {}, error() {} },
+        Math, JSON, Promise, Map, Set, Array, Object, Error, Proxy,
+        Float32Array, Float64Array, Uint8Array, Uint8ClampedArray, Uint16Array, Uint32Array, Int8Array, Int16Array, Int32Array,
+        devicePixelRatio: 1, innerWidth: 800, innerHeight: 600,
+        performance: { now: () => 0 },
+        requestAnimationFrame(fn) { callbacks.set(nextId, fn); return nextId++; },
+        cancelAnimationFrame(id) { callbacks.delete(id); },
+        addEventListener() {}, removeEventListener() {},
+        navigator: {}, screen: {},
+        document: { createElement: () => canvas() },
+        CustomEvent: class { constructor(type, init) { this.type = type; this.detail = init.detail; } },
+        IntersectionObserver: class {
+            constructor(fn) { this.fn = fn; observers.push(this); }
+            observe() {} disconnect() {}
+        },
+        HTMLElement: class {
+            constructor() { this.attributes = {}; this.clientWidth = 400; this.clientHeight = 200; }
+            attachShadow() { return { appendChild() {}, set innerHTML(v) {} }; }
+            getAttribute(k) { return k in this.attributes ? this.attributes[k] : null; }
+            hasAttribute(k) { return k in this.attributes; }
+            addEventListener() {} removeEventListener() {} dispatchEvent() {}
+        },
+        customElements: { defs: {}, get(n) { return this.defs[n]; }, define(n, c) { this.defs[n] = c; } }
+    };
+    win.self = win;
+    vm.createContext(win);
+    for (const name of SCRIPTS) {
+        const file = path.join(__dirname, '..', name + '.js');
+        vm.runInContext(fs.readFileSync(file, 'utf8'), win, { filename: file });
+    }
+    const Element = win.customElements.get('gravity-water');
+    return {
+        create(attributes) {
+            const el = new Element();
+            Object.assign(el.attributes, attributes);
+            el.connectedCallback();
+            return el;
+        },
+        frame() {
+            const run = callbacks;
+            callbacks = new Map();
+            run.forEach(fn => fn(0));
+        },
+        setVisible(visible) {
+            observers.forEach(o => o.fn([{ isIntersecting: visible }]));
+        }
+    };
+}
+
+// Whether the promise has settled yet, and with what
+function watch(promise) {
+    const state = { settled: false, value: undefined };
+    promise.then(v => { state.settled = true; state.value = v; });
+    return state;
+}
+
+const tick = () => new Promise(resolve => setImmediate(resolve));
+
+test('a pour runs for its length in simulated frames', async () => {
+    const p = page();
+    const el = p.create({ particles: '200' });
+    const before = el.solver.count;
+    const pour = watch(el.pour(0.5, 0.2, 100)); // 6 frames at 60 Hz
+    for (let i = 0; i < 5; i++) p.frame();
+    await tick();
+    assert.equal(pour.settled, false);
+    p.frame();
+    await tick();
+    assert.deepEqual(pour, { settled: true, value: true });
+    assert.ok(el.solver.count > before, 'nothing poured');
+});
+
+test('pausing settles a running pour, and pours on a paused element settle at once', async () => {
+    const p = page();
+    const el = p.create({ particles: '200' });
+    const pour = watch(el.pour(0.5, 0.2, 1000));
+    p.frame();
+    el.pause();
+    await tick();
+    assert.deepEqual(pour, { settled: true, value: false });
+    assert.equal(await el.pour(0.5, 0.2, 1000), false);
+});
+
+test('scrolling out of view settles a running pour, and pours while hidden settle at once', async () => {
+    const p = page();
+    const el = p.create({ particles: '200' });
+    const pour = watch(el.pour(0.5, 0.2, 1000));
+    p.frame();
+    p.setVisible(false);
+    await tick();
+    assert.deepEqual(pour, { settled: true, value: false });
+    assert.equal(await el.pour(0.5, 0.2, 1000), false);
+
+    p.setVisible(true);
+    const again = watch(el.pour(0.5, 0.2, 50));
+    for (let i = 0; i < 3; i++) p.frame();
+    await tick();
+    assert.deepEqual(again, { settled: true, value: true });
+});
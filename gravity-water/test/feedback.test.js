@@ -0,0 +1,117 @@
+// feedback.test.js - Impact and splash classification in feedback.js analyze()
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Feedback = require('../feedback.js');
+const Obstacles = require('../obstacles.js');
+
+const ENV = { width: 400, height: 300, margin: 20, gravity: { x: 0, y: 1 } };
+
+// Frame from [{ x, y, vx, vy }]
+function frame(list) {
+    const f = { count: list.length, x: [], y: [], vx: [], vy: [] };
+    for (const p of list) { f.x.push(p.x); f.y.push(p.y); f.vx.push(p.vx); f.vy.push(p.vy); }
+    return f;
+}
+
+// One particle going from velocity `before` to `after` at (x, y)
+function analyzeOne(x, y, before, after, env) {
+    return Feedback.analyze(
+        frame([{ x, y, vx: before.x, vy: before.y }]),
+        frame([{ x, y, vx: after.x, vy: after.y }]),
+        env || ENV
+    );
+}
+
+test('water stopped by the floor is an impact where it hit', () => {
+    const a = analyzeOne(150, 285, { x: 0, y: 4 }, { x: 0, y: 0 });
+    assert.equal(a.impact, 8); // ½·4², all of it lost
+    assert.equal(a.impactX, 150);
+    assert.equal(a.impactY, 285);
+    // Only slowed down: the speed still going into the wall is not lost
+    assert.equal(analyzeOne(150, 285, { x: 0, y: 4 }, { x: 0, y: 2 }).impact, 6);
+});
+
+test('every wall counts, by the speed into it', () => {
+    assert.equal(analyzeOne(10, 150, { x: -3, y: 0 }, { x: 0, y: 0 }).impact, 4.5);
+    assert.equal(analyzeOne(390, 150, { x: 3, y: 0 }, { x: 0, y: 0 }).impact, 4.5);
+    assert.equal(analyzeOne(200, 10, { x: 0, y: -3 }, { x: 0, y: 0 }).impact, 4.5);
+    // Moving away from the wall it touches is not a hit
+    assert.equal(analyzeOne(10, 150, { x: 3, y: 0 }, { x: 3, y: 0 }).impact, 0);
+});
+
+test('resting water pressing on a wall and water far from walls make no impact', () => {
+    assert.equal(analyzeOne(150, 285, { x: 0, y: 0.2 }, { x: 0, y: 0 }).impact, 0);
+    assert.equal(analyzeOne(200, 150, { x: 0, y: 8 }, { x: 0, y: 0 }).impact, 0);
+});
+
+test('impacts on obstacles use the surface normal', () => {
+    const env = Object.assign({}, ENV, { obstacles: Obstacles.create([{ type: 'circle', x: 200, y: 150, r: 40 }]) });
+    // Falling onto the top of the circle
+    const a = analyzeOne(200, 100, { x: 0, y: 4 }, { x: 0, y: 0 }, env);
+    assert.ok(Math.abs(a.impact - 8) < 1e-6, 'impact ' + a.impact);
+});
+
+test('the impact position is energy-weighted', () => {
+    const a = Feedback.analyze(
+        frame([{ x: 100, y: 285, vx: 0, vy: 2 }, { x: 300, y: 285, vx: 0, vy: 4 }]),
+        frame([{ x: 100, y: 285, vx: 0, vy: 0 }, { x: 300, y: 285, vx: 0, vy: 0 }]),
+        ENV
+    );
+    assert.equal(a.impact, 10);
+    assert.equal(a.impactX, 100 * 0.2 + 300 * 0.8);
+});
+
+test('a splash is a particle thrown against gravity this frame', () => {
+    const thrown = analyzeOne(120, 200, { x: 0, y: 0 }, { x: 1, y: -6 });
+    assert.equal(thrown.splash, 1);
+    assert.equal(thrown.splashX, 120);
+    assert.equal(thrown.splashY, 200);
+    // Still rising from an earlier frame: already counted then
+    assert.equal(analyzeOne(120, 200, { x: 0, y: -6 }, { x: 0, y: -7 }).splash, 0);
+    // Too slow, or falling fast
+    assert.equal(analyzeOne(120, 200, { x: 0, y: 0 }, { x: 0, y: -3 }).splash, 0);
+    assert.equal(analyzeOne(120, 200, { x: 0, y: 0 }, { x: 0, y: 8 }).splash, 0);
+});
+
+test('"against gravity" follows the tilt', () => {
+    const sideways = Object.assign({}, ENV, { gravity: { x: 1, y: 0 } });
+    assert.equal(analyzeOne(200, 150, { x: 0, y: 0 }, { x: -6, y: 0 }, sideways).splash, 1);
+    assert.equal(analyzeOne(200, 150, { x: 0, y: 0 }, { x: 0, y: -6 }, sideways).splash, 0);
+});
+
+test('teleports are left out and kinetic energy is a mean', () => {
+    const a = Feedback.analyze(
+        frame([{ x: 100, y: 100, vx: 2, vy: 0 }, { x: 200, y: 100, vx: 0, vy: 0 }, { x: 385, y: 100, vx: 0, vy: 0 }]),
+        frame([{ x: 100, y: 100, vx: 2, vy: 0 }, { x: 200, y: 100, vx: 0, vy: 4 }, { x: 385, y: 100, vx: 0, vy: 200 }]),
+        ENV
+    );
+    assert.equal(a.count, 2);
+    assert.equal(a.kinetic, (2 + 8) / 2);
+});
+
+test('the tracker skips slots that swap-removal filled with another particle', () => {
+    const tracker = Feedback.tracker();
+    // Three particles drifting right by 1 px per frame
+    const at = (t, ids) => ids.map(id => [100 * id + t, 50]).flat();
+    let pair;
+    for (let t = 0; t < 3; t++) pair = tracker.push(at(t, [0, 1, 2]), 3, 1, [0, 1, 2]);
+    assert.equal(Feedback.analyze(pair.prev, pair.cur, ENV).count, 3);
+    assert.equal(pair.cur.vx[0], 1);
+
+    // Particle 0 drained: particle 2 moves into slot 0, 200 px away from where 0 was
+    pair = tracker.push(at(3, [2, 1]), 2, 1, [2, 1]);
+    assert.ok(Number.isNaN(pair.cur.vx[0]), 'slot 0 has no velocity');
+    assert.equal(pair.cur.vx[1], 1);
+    const a = Feedback.analyze(pair.prev, pair.cur, ENV);
+    assert.equal(a.count, 1);
+    assert.equal(a.kinetic, 0.5);
+    // Its velocity from the previous frame is unknown as well, then it is tracked again
+    pair = tracker.push(at(4, [2, 1]), 2, 1, [2, 1]);
+    assert.equal(Feedback.analyze(pair.prev, pair.cur, ENV).count, 1);
+    pair = tracker.push(at(5, [2, 1]), 2, 1, [2, 1]);
+    assert.equal(Feedback.analyze(pair.prev, pair.cur, ENV).count, 2);
+    assert.equal(pair.cur.vx[0], 1);
+});
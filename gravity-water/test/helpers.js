@@ -0,0 +1,12 @@
+// helpers.js - Assertions shared by the tests (npm test runs test/*.test.js, so this is not one)
+
+'use strict';
+
+const assert = require('node:assert/strict');
+
+// |actual − expected| <= tol, with `what` naming the quantity in the failure message
+function near(actual, expected, tol, what) {
+    assert.ok(Math.abs(actual - expected) <= tol, (what ? what + ': ' : '') + actual + ', expected ' + expected);
+}
+
+module.exports = { near };
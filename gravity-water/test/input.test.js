@@ -0,0 +1,92 @@
+// input.test.js - Tilt mapping and calibration in input.js, driven by its simulator
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const GravityInput = require('../input.js');
+const { near } = require('./helpers.js');
+
+// Tilt input fed by simulated sensor events; smoothing 0 so one update settles
+function rig(options, sim) {
+    const angle = { value: 0 };
+    const tilt = GravityInput.create(Object.assign({
+        smoothing: 0, invert: false, getScreenAngle: () => angle.value
+    }, options));
+    const s = GravityInput.simulator(sim);
+    return {
+        tilt, angle,
+        hold(pose) {
+            tilt.handleMotion(s.motion(pose));
+            return tilt.update(1 / 60);
+        }
+    };
+}
+
+test('a phone held upright pulls straight down the screen', () => {
+    const r = rig({ scale: 3 });
+    const g = r.hold({ beta: 90, gamma: 0 });
+    near(g.x, 0, 1e-6, 'x');
+    near(g.y, 3, 1e-6, 'y');
+    assert.equal(r.tilt.source, 'motion');
+});
+
+test('lying flat gives no in-plane gravity, leaning back gives part of it', () => {
+    const r = rig();
+    const flat = r.hold({ beta: 0, gamma: 0 });
+    near(Math.hypot(flat.x, flat.y), 0, 1e-6, 'flat length');
+    const leaning = r.hold({ beta: 30, gamma: 0 });
+    near(leaning.x, 0, 1e-6, 'x');
+    near(leaning.y, 0.5, 1e-6, 'y');
+});
+
+test('rolling the right edge down sends the water right', () => {
+    const g = rig().hold({ beta: 30, gamma: 45 });
+    assert.ok(g.x > 0.5, 'x is ' + g.x);
+    assert.ok(g.y > 0, 'y is ' + g.y);
+});
+
+test('iOS readings, negated by the platform, map the same once inverted', () => {
+    const pose = { beta: 50, gamma: -20 };
+    const android = rig().hold(pose);
+    const ios = rig({ invert: true }, { platform: 'ios' }).hold(pose);
+    near(ios.x, android.x, 1e-6, 'x');
+    near(ios.y, android.y, 1e-6, 'y');
+});
+
+test('screen rotation is compensated in landscape', () => {
+    // Turned a quarter counter-clockwise: the device's right edge points up
+    const r = rig();
+    r.angle.value = 90;
+    const g = r.hold({ beta: 0, gamma: -90 });
+    near(g.x, 0, 1e-6, 'x');
+    near(g.y, 1, 1e-6, 'y');
+});
+
+test('calibrating makes the current pose upright until it is reset', () => {
+    const r = rig();
+    const pose = { beta: 40, gamma: 0 };
+    const before = r.hold(pose);
+    near(before.y, Math.sin(40 * Math.PI / 180), 1e-6, 'uncalibrated y');
+
+    assert.equal(r.tilt.calibrate(), true);
+    assert.equal(r.tilt.calibrated, true);
+    const held = r.hold(pose);
+    near(held.x, 0, 1e-6, 'calibrated x');
+    near(held.y, 1, 1e-6, 'calibrated y');
+    // Rolling from the new neutral pose still steers sideways
+    assert.ok(r.hold({ beta: 40, gamma: 30 }).x > 0.3);
+
+    r.tilt.resetCalibration();
+    assert.equal(r.tilt.calibrated, false);
+    near(r.hold(pose).y, before.y, 1e-6, 'reset y');
+});
+
+test('simulated noise is reproducible from the seed', () => {
+    const pose = { beta: 70, gamma: 10 };
+    const a = GravityInput.simulator({ noise: 0.5, seed: 3 }).motion(pose);
+    const b = GravityInput.simulator({ noise: 0.5, seed: 3 }).motion(pose);
+    const c = GravityInput.simulator({ noise: 0.5, seed: 4 }).motion(pose);
+    assert.deepEqual(a, b);
+    assert.notDeepEqual(a, c);
+});
@@ -0,0 +1,83 @@
+// solver.test.js - Headless checks for solver.js (run with `npm test`)
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const FluidSolver = require('../solver.js');
+
+const SMALL = { particleCount: 200, width: 400, height: 300, seed: 7 };
+
+function run(config, frames, gravity) {
+    const solver = FluidSolver.create(config);
+    for (let f = 0; f < frames; f++) solver.step(1 / 60, { gravity: gravity || { x: 0, y: 1 } });
+    return solver;
+}
+
+test('two runs with the same seed are bit-identical', () => {
+    const a = run(SMALL, 120, { x: 0.3, y: 1 }).getState();
+    const b = run(SMALL, 120, { x: 0.3, y: 1 }).getState();
+    assert.equal(a.count, b.count);
+    for (const key of ['x', 'y', 'vx', 'vy']) {
+        assert.deepEqual(Buffer.from(a[key].buffer), Buffer.from(b[key].buffer), key + ' differs');
+    }
+});
+
+test('a different seed gives a different layout', () => {
+    const a = FluidSolver.create(SMALL).getState();
+    const b = FluidSolver.create(Object.assign({}, SMALL, { seed: 8 })).getState();
+    assert.notDeepEqual(Array.from(a.x), Array.from(b.x));
+});
+
+test('relaxation pushes overlapping particles apart', () => {
+    const solver = FluidSolver.create({ particleCount: 2, width: 400, height: 400, gravityScale: 0 });
+    const state = solver.getState();
+    state.x.set([200, 202]); state.y.set([200, 200]);
+    state.prevX = state.x; state.prevY = state.y;
+    state.vx.fill(0); state.vy.fill(0);
+    solver.setState(state);
+    for (let f = 0; f < 10; f++) solver.step(1 / 60, { gravity: { x: 0, y: 0 } });
+    const gap = Math.abs(solver.particles.x[1] - solver.particles.x[0]);
+    assert.ok(gap > 2, 'gap stayed at ' + gap);
+});
+
+test('boundary clamping keeps particles inside the walls', () => {
+    const cfg = Object.assign({}, SMALL, { particleCount: 300 });
+    const solver = FluidSolver.create(cfg);
+    const m = solver.config.radius;
+    const gravities = [{ x: 0, y: 1 }, { x: 1, y: 0 }, { x: 0, y: -1 }, { x: -1, y: 0 }];
+    for (let f = 0; f < 240; f++) {
+        solver.step(1 / 60, { gravity: gravities[Math.floor(f / 60)], pointers: [{ x: 200, y: 150, tool: 'push' }] });
+        for (let i = 0; i < solver.count; i++) {
+            const x = solver.particles.x[i], y = solver.particles.y[i];
+            assert.ok(x >= m && x <= cfg.width - m, 'x out of bounds: ' + x);
+            assert.ok(y >= m && y <= cfg.height - m, 'y out of bounds: ' + y);
+        }
+    }
+});
+
+test('particle ids follow particles through swap-removal', () => {
+    const solver = FluidSolver.create(Object.assign({}, SMALL, { capacity: 250 }));
+    const n = solver.count;
+    assert.deepEqual(Array.from(solver.ids.subarray(0, 3)), [0, 1, 2]);
+    const lastX = solver.particles.x[n - 1];
+    solver.remove(0);
+    assert.equal(solver.ids[0], n - 1);
+    assert.equal(solver.particles.x[0], lastX);
+    assert.equal(solver.ids[solver.add(10, 10)], n, 'new particles get new ids');
+});
+
+test('drains keep the ids of the remaining particles unique', () => {
+    const solver = FluidSolver.create(Object.assign({}, SMALL, { drains: [{ x: 200, y: 280, r: 80 }] }));
+    for (let f = 0; f < 120; f++) solver.step(1 / 60, { gravity: { x: 0, y: 1 } });
+    assert.ok(solver.count < SMALL.particleCount, 'nothing drained');
+    const ids = new Set(solver.ids.subarray(0, solver.count));
+    assert.equal(ids.size, solver.count);
+});
+
+test('step() without dt advances time by one frame', () => {
+    const solver = FluidSolver.create(SMALL);
+    solver.step();
+    solver.step(1 / 30);
+    assert.ok(Math.abs(solver.time - 3 / 60) < 1e-12, 'time is ' + solver.time);
+});
@@ -0,0 +1,108 @@
+// xr.test.js - The AR session flow of xr.js against its desktop mock
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const GravityXR = require('../xr.js');
+const { near } = require('./helpers.js');
+
+const TOL = 1e-5; // Matrices are Float32Array
+
+// Same rig as ?xr=mock in fluid.js: 1 m up and back, pitched 45° down at a floor hit
+function rig(options) {
+    const mock = GravityXR.mock(options);
+    const a = -Math.PI / 4;
+    mock.setPose({ x: 0, y: 1, z: 1 }, { x: Math.sin(a / 2), y: 0, z: 0, w: Math.cos(a / 2) });
+    mock.setHit(GravityXR.rigidMatrix({ x: 0, y: 0, z: 0 }, { x: 0, y: 0, z: 0, w: 1 }));
+    const ar = GravityXR.create({ xr: mock.xr, XRWebGLLayer: mock.XRWebGLLayer, gl: {} });
+    return { mock, ar };
+}
+
+// One session animation frame, as render() sees it
+function nextFrame(r) {
+    let view;
+    r.ar.requestFrame((time, xrFrame) => { view = r.ar.frame(xrFrame); });
+    r.mock.tick(16);
+    return view;
+}
+
+test('support follows the mock', async () => {
+    assert.equal(await GravityXR.isSupported(GravityXR.mock().xr), true);
+    assert.equal(await GravityXR.isSupported(GravityXR.mock({ supported: false }).xr), false);
+    assert.equal(await GravityXR.isSupported(undefined), false);
+});
+
+test('start asks for hit testing and reports the pose as up', async () => {
+    const r = rig();
+    assert.equal(await r.ar.start(), r.ar);
+    assert.equal(r.ar.active, true);
+    assert.ok(r.mock.init.requiredFeatures.includes('hit-test'));
+
+    const view = nextFrame(r);
+    assert.equal(view.views.length, 1);
+    assert.ok(view.reticle, 'reticle over the hit');
+    assert.equal(view.tray, null);
+    near(view.up.x, 0, TOL, 'up x');
+    near(view.up.y, Math.SQRT1_2, TOL, 'up y');
+    near(view.up.z, Math.SQRT1_2, TOL, 'up z');
+});
+
+test('a tap places the tray at the hit, facing the viewer', async () => {
+    const r = rig();
+    const placed = [];
+    r.ar.on('place', m => placed.push(m));
+    await r.ar.start();
+    assert.equal(r.ar.place(), false, 'nothing to place on before the first frame');
+
+    nextFrame(r);
+    r.mock.select();
+    assert.equal(placed.length, 1);
+    assert.equal(r.ar.placed, true);
+    const tray = placed[0];
+    const half = r.ar.options.trayWidth / 2;
+    near(tray[0], half, TOL, 'right edge along +x');
+    near(tray[6], -half, TOL, 'near edge towards the viewer');
+    near(tray[9], 1, TOL, 'normal is the floor normal');
+    near(tray[12], 0, TOL, 'x'); near(tray[13], 0, TOL, 'y'); near(tray[14], 0, TOL, 'z');
+
+    const view = nextFrame(r);
+    assert.equal(view.reticle, null, 'no reticle once placed');
+    assert.equal(view.tray, tray);
+
+    // Losing the surface keeps the tray, and a tap without a hit does nothing
+    r.mock.setHit(null);
+    assert.equal(nextFrame(r).tray, tray);
+    r.mock.select();
+    assert.equal(placed.length, 1);
+});
+
+test('ending the session clears the tray and allows a new one', async () => {
+    const r = rig();
+    let ended = 0;
+    r.ar.on('end', () => ended++);
+    await r.ar.start();
+    nextFrame(r);
+    r.mock.select();
+
+    await r.ar.end();
+    assert.equal(ended, 1);
+    assert.equal(r.ar.active, false);
+    assert.equal(r.ar.placed, false);
+    assert.equal(r.mock.session, null);
+    assert.equal(r.ar.frame({}), null);
+
+    await r.ar.start();
+    assert.equal(r.ar.active, true);
+    assert.ok(nextFrame(r).reticle);
+});
+
+test('a headset gets one viewport per eye', async () => {
+    const r = rig({ views: 2, width: 800, height: 400 });
+    await r.ar.start();
+    const views = nextFrame(r).views;
+    assert.deepEqual(views.map(v => v.viewport), [
+        { x: 0, y: 0, width: 400, height: 400 },
+        { x: 400, y: 0, width: 400, height: 400 }
+    ]);
+});
@@ -0,0 +1,289 @@
+// xr.js - WebXR immersive-ar: hit-test a real surface, place a tray there, follow the device pose
+// Matrices are column-major Float32Array(16) as WebXR hands them out. Spaces:
+//   local   world-fixed, y up (gravity is -y)
+//   viewer  the device: x right, y towards the top of the screen, z out of the screen
+// Per animation frame, frame(xrFrame) returns what the renderer needs:
+//   { framebuffer, views: [{ viewport, projection, view }], reticle, tray, up }
+// reticle / tray are model matrices for the quad [-1, 1]² (x: the water's right, -y: towards
+// the viewer at placement, z: the surface normal), up the world up vector in viewer space.
+// mock() builds a fake navigator.xr / XRWebGLLayer for desktop testing.
+
+(function (root) {
+    'use strict';
+
+    const DEFAULTS = {
+        trayWidth: 0.4,     // m
+        aspect: 1,          // Tray depth / width; the renderer sets it to the simulation's
+        domOverlay: null    // Element kept on screen during the session (buttons)
+    };
+
+    // --- Math ---
+    // Vector v turned by the inverse of unit quaternion q
+    function unrotate(q, v) {
+        const qx = -q.x, qy = -q.y, qz = -q.z, qw = q.w;
+        const tx = 2 * (qy * v.z - qz * v.y), ty = 2 * (qz * v.x - qx * v.z), tz = 2 * (qx * v.y - qy * v.x);
+        return {
+            x: v.x + qw * tx + (qy * tz - qz * ty),
+            y: v.y + qw * ty + (qz * tx - qx * tz),
+            z: v.z + qw * tz + (qx * ty - qy * tx)
+        };
+    }
+
+    // World up in viewer space: the device-frame up vector input.js works with
+    function upInViewer(orientation) {
+        return unrotate(orientation, { x: 0, y: 1, z: 0 });
+    }
+
+    function rigidMatrix(p, q) {
+        const x = q.x, y = q.y, z = q.z, w = q.w;
+        return new Float32Array([
+            1 - 2 * (y * y + z * z), 2 * (x * y + z * w), 2 * (x * z - y * w), 0,
+            2 * (x * y - z * w), 1 - 2 * (x * x + z * z), 2 * (y * z + x * w), 0,
+            2 * (x * z + y * w), 2 * (y * z - x * w), 1 - 2 * (x * x + y * y), 0,
+            p.x, p.y, p.z, 1
+        ]);
+    }
+
+    function invertRigid(m) {
+        const out = new Float32Array(16);
+        for (let c = 0; c < 3; c++) for (let r = 0; r < 3; r++) out[c * 4 + r] = m[r * 4 + c];
+        for (let r = 0; r < 3; r++) out[12 + r] = -(out[r] * m[12] + out[4 + r] * m[13] + out[8 + r] * m[14]);
+        out[15] = 1;
+        return out;
+    }
+
+    function perspective(fovy, aspect, near, far) {
+        const f = 1 / Math.tan(fovy / 2), nf = 1 / (near - far);
+        return new Float32Array([f / aspect, 0, 0, 0, 0, f, 0, 0, 0, 0, (far + near) * nf, -1, 0, 0, 2 * far * near * nf, 0]);
+    }
+
+    // Tray on the surface at hit (a pose matrix whose y axis is the surface normal), its near
+    // edge facing the viewer. Falls back to the hit's own z axis when looking straight down.
+    function trayMatrix(hit, viewer, width, aspect) {
+        const n = normalized(hit[4], hit[5], hit[6]);
+        const p = { x: hit[12], y: hit[13], z: hit[14] };
+        let f = { x: viewer.x - p.x, y: viewer.y - p.y, z: viewer.z - p.z };
+        const d = f.x * n.x + f.y * n.y + f.z * n.z;
+        f = normalized(f.x - n.x * d, f.y - n.y * d, f.z - n.z * d);
+        if (!f) f = normalized(hit[8], hit[9], hit[10]);
+        const r = { x: n.y * f.z - n.z * f.y, y: n.z * f.x - n.x * f.z, z: n.x * f.y - n.y * f.x };
+        const hw = width / 2, hd = width * aspect / 2;
+        return new Float32Array([
+            r.x * hw, r.y * hw, r.z * hw, 0,
+            -f.x * hd, -f.y * hd, -f.z * hd, 0,
+            n.x, n.y, n.z, 0,
+            p.x, p.y, p.z, 1
+        ]);
+    }
+
+    function normalized(x, y, z) {
+        const l = Math.sqrt(x * x + y * y + z * z);
+        return l > 1e-6 ? { x: x / l, y: y / l, z: z / l } : null;
+    }
+
+    // --- Session ---
+    function isSupported(xr) {
+        if (!xr || !xr.isSessionSupported) return Promise.resolve(false);
+        return xr.isSessionSupported('immersive-ar').catch(() => false);
+    }
+
+    // env: { xr: navigator.xr, gl, XRWebGLLayer } (the globals by default)
+    function create(env, options) {
+        const opts = Object.assign({}, DEFAULTS, options);
+        const xr = env.xr || (root.navigator && root.navigator.xr);
+        const Layer = env.XRWebGLLayer || root.XRWebGLLayer;
+        const gl = env.gl;
+        let session = null, local = null, hitSource = null;
+        let layer = null;
+        let lastHit = null, viewerPos = { x: 0, y: 0, z: 0 };
+        let tray = null;
+        const listeners = { place: [], end: [] };
+
+        function emit(type, arg) {
+            listeners[type].forEach(fn => fn(arg));
+        }
+
+        function on(type, fn) {
+            listeners[type].push(fn);
+        }
+
+        function start() {
+            if (!xr || !Layer) return Promise.reject(new Error("WebXR unavailable"));
+            const init = { requiredFeatures: ['local', 'hit-test'], optionalFeatures: opts.domOverlay ? ['dom-overlay'] : [] };
+            if (opts.domOverlay) init.domOverlay = { root: opts.domOverlay };
+            return xr.requestSession('immersive-ar', init).then(s => {
+                session = s;
+                session.addEventListener('select', place);
+                session.addEventListener('end', ended);
+                return Promise.resolve(gl.makeXRCompatible ? gl.makeXRCompatible() : null);
+            }).then(() => {
+                layer = new Layer(session, gl, { alpha: true, depth: false });
+                session.updateRenderState({ baseLayer: layer });
+                return Promise.all([session.requestReferenceSpace('local'), session.requestReferenceSpace('viewer')]);
+            }).then(spaces => {
+                local = spaces[0];
+                return session.requestHitTestSource({ space: spaces[1] });
+            }).then(source => {
+                hitSource = source;
+                return api;
+            }, e => {
+                // Half-started sessions must not linger
+                if (session) session.end().catch(() => {});
+                throw e;
+            });
+        }
+
+        function ended() {
+            if (hitSource && hitSource.cancel) hitSource.cancel();
+            session = local = hitSource = layer = null;
+            lastHit = tray = null;
+            emit('end');
+        }
+
+        function end() {
+            return session ? session.end() : Promise.resolve();
+        }
+
+        // Tap: put the tray where the reticle is (again, if it was placed before)
+        function place() {
+            if (!lastHit) return false;
+            tray = trayMatrix(lastHit, viewerPos, opts.trayWidth, opts.aspect);
+            emit('place', tray);
+            return true;
+        }
+
+        function requestFrame(fn) {
+            return session.requestAnimationFrame(fn);
+        }
+
+        function frame(xrFrame) {
+            if (!session || !local) return null;
+            const pose = xrFrame.getViewerPose(local);
+            if (!pose) return null; // Tracking lost
+            const t = pose.transform;
+            viewerPos = { x: t.position.x, y: t.position.y, z: t.position.z };
+            const hits = hitSource ? xrFrame.getHitTestResults(hitSource) : [];
+            const hitPose = hits.length > 0 ? hits[0].getPose(local) : null;
+            lastHit = hitPose ? hitPose.transform.matrix : null;
+            return {
+                framebuffer: layer.framebuffer,
+                views: pose.views.map(v => ({
+                    viewport: layer.getViewport(v),
+                    projection: v.projectionMatrix,
+                    view: v.transform.inverse.matrix
+                })),
+                reticle: !tray && lastHit ? trayMatrix(lastHit, viewerPos, opts.trayWidth, opts.aspect) : null,
+                tray,
+                up: upInViewer(t.orientation)
+            };
+        }
+
+        const api = {
+            options: opts,
+            get active() { return session !== null; },
+            get placed() { return tray !== null; },
+            start,
+            end,
+            place,
+            frame,
+            requestFrame,
+            on
+        };
+        return api;
+    }
+
+    // --- Desktop mock ---
+    // A scripted device: setPose(position, orientation), setHit(matrix | null), select(), tick(time)
+    // runs the session's animation frame callbacks. views: eye count (1 handheld, 2 headset).
+    function mock(options) {
+        const mopts = Object.assign({ supported: true, views: 1, width: 640, height: 480, fovy: 1 }, options);
+        const state = {
+            position: { x: 0, y: 0, z: 0 }, orientation: { x: 0, y: 0, z: 0, w: 1 },
+            hit: null, session: null, init: null
+        };
+        const projection = perspective(mopts.fovy, mopts.width / mopts.height, 0.01, 100);
+
+        function makeSession() {
+            const handlers = {};
+            let callbacks = [], nextId = 1;
+            const s = {
+                renderState: {},
+                addEventListener(type, fn) { (handlers[type] = handlers[type] || []).push(fn); },
+                removeEventListener(type, fn) { handlers[type] = (handlers[type] || []).filter(h => h !== fn); },
+                dispatch(type) { (handlers[type] || []).slice().forEach(fn => fn({ type, session: s })); },
+                updateRenderState(rs) { Object.assign(s.renderState, rs); },
+                requestReferenceSpace(type) { return Promise.resolve({ type }); },
+                requestHitTestSource(init) { return Promise.resolve({ space: init.space, cancel() {} }); },
+                requestAnimationFrame(fn) { callbacks.push({ id: nextId, fn }); return nextId++; },
+                cancelAnimationFrame(id) { callbacks = callbacks.filter(c => c.id !== id); },
+                end() {
+                    if (state.session !== s) return Promise.resolve();
+                    state.session = null;
+                    s.dispatch('end');
+                    return Promise.resolve();
+                },
+                tick(time) {
+                    const run = callbacks;
+                    callbacks = [];
+                    const f = makeFrame();
+                    run.forEach(c => c.fn(time, f));
+                }
+            };
+            return s;
+        }
+
+        function makeFrame() {
+            const matrix = rigidMatrix(state.position, state.orientation);
+            const inverse = invertRigid(matrix);
+            const transform = { position: state.position, orientation: state.orientation, matrix, inverse: { matrix: inverse } };
+            const views = [];
+            for (let i = 0; i < mopts.views; i++) {
+                views.push({ eye: mopts.views === 1 ? 'none' : i === 0 ? 'left' : 'right', index: i, projectionMatrix: projection, transform });
+            }
+            return {
+                getViewerPose(space) { return space && space.type === 'local' ? { transform, views } : null; },
+                getHitTestResults() {
+                    return state.hit ? [{ getPose() { return { transform: { matrix: state.hit } }; } }] : [];
+                }
+            };
+        }
+
+        function XRWebGLLayer(session, gl) {
+            this.framebuffer = null; // The default framebuffer stands in for the session's
+            this.getViewport = view => {
+                const w = mopts.width / mopts.views;
+                return { x: (view.index || 0) * w, y: 0, width: w, height: mopts.height };
+            };
+        }
+
+        const xr = {
+            isSessionSupported(mode) { return Promise.resolve(mopts.supported && mode === 'immersive-ar'); },
+            requestSession(mode, init) {
+                if (!mopts.supported || mode !== 'immersive-ar') return Promise.reject(new Error("NotSupportedError"));
+                if (state.session) return Promise.reject(new Error("InvalidStateError"));
+                state.session = makeSession();
+                state.init = init;
+                return Promise.resolve(state.session);
+            }
+        };
+
+        return {
+            xr,
+            XRWebGLLayer,
+            get session() { return state.session; },
+            get init() { return state.init; },
+            setPose(position, orientation) {
+                state.position = position;
+                if (orientation) state.orientation = orientation;
+            },
+            setHit(matrix) { state.hit = matrix; },
+            select() { if (state.session) state.session.dispatch('select'); },
+            tick(time) { if (state.session) state.session.tick(time || 0); }
+        };
+    }
+
+    const GravityXR = { DEFAULTS, create, isSupported, mock, upInViewer, trayMatrix, rigidMatrix, invertRigid, perspective };
+
+    if (typeof module !== 'undefined' && module.exports) module.exports = GravityXR;
+    else root.GravityXR = GravityXR;
+})(typeof self !== 'undefined' ? self : this);